@@ -2,6 +2,8 @@
 
 /**
  * @constructor
+ * A histogram which can drop new data points into its bars one at a time.  The animation can be sped up or slowed
+ * down, paused, stepped through and skipped to the end; large amounts of data are dropped in batches.
  * @param {Element} $div The div to build the histogram in.  Width and height are inherited from this div
  * @param {string} title The title.
  * @param {HistogramData} histogramData The histogram data.
@@ -13,55 +15,124 @@
 var AnimatedHistogram = function($div, title, histogramData, yTicks, yIntervals, plotStats, editable) {
     Histogram.call(this, $div, title, histogramData, yTicks, yIntervals, plotStats, editable);
     this.animatedBars = [];
-    this.animating = false;
+    this.samples = [];
+    this.animating = false; // True from when data arrives until it has all been added, even while paused
+    this.stepInProgress = false; // True while bars are falling
+    this.paused = false;
+    this.speed = 1;
+    this.batchLargeQueues = true;
+    this.batchSize = 1;
     return this;
 };
 
 
 AnimatedHistogram.prototype = Object.create(Histogram.prototype);
 
+
+/**
+ * How long one step of the animation takes at normal speed, in milliseconds.
+ */
+AnimatedHistogram.stepDuration = 400;
+
+
 /**
- * Animate in the next data point
+ * When batching, data is dropped in batches so that the animation takes about this many steps.
+ */
+AnimatedHistogram.maximumSteps = 50;
+
+
+/**
+ * Replace the data, abandoning any animation of the old data.
+ * @param {HistogramData} histogramData The new data to display.
+ */
+AnimatedHistogram.prototype.setHistogramData = function(histogramData) {
+  if (histogramData !== this.histogramData) {
+    this.cancelAnimation();
+  }
+  Histogram.prototype.setHistogramData.call(this, histogramData);
+};
+
+
+/**
+ * Animate in the next data point, or the next batch of them.  Once all the data has been added, display it and
+ * call the completion callback.
  */
 AnimatedHistogram.prototype.animateNextDataPoint = function()
 {
+  this.stepInProgress = false;
   if (this.samples.length === 0) {
     this.animating = false;
     this.setHistogramData(this.histogramData); // Setting data using this accessor causes display to be updated
     // Remove animated bar elements
-    this.animatedBars.forEach(function($bar) {
-      $bar.remove();
-    });
-    this.animatedBars = [];
+    this.removeAnimatedBars();
     this.notifyObserversOfChange();
     if (this.animationCompletionCallback) {
-      this.animationCompletionCallback();
+      var callback = this.animationCompletionCallback;
       this.animationCompletionCallback = undefined;
+      callback();
     }
     return;
   }
+  if (!this.paused) {
+    this.animateStep();
+  }
+};
+
+
+/**
+ * Drop the next batch of data points into their bars, one falling bar for each bin, then go on to the next.
+ */
+AnimatedHistogram.prototype.animateStep = function()
+{
   var self = this;
-  var height = this.frequencyToHeight(1);
   var totalHeight = this.$histogramContentArea.height();
-  var dataPoint = this.samples.pop();
-  var columnIndex = HistogramData.binIndexForDataPoint(dataPoint, self.histogramData.values);
-  var frequency = this.histogramData.frequencies[columnIndex];
-  this.histogramData.frequencies[columnIndex]++; // Add this data point to our histogram
-  var endHeight = this.frequencyToHeight(frequency);
-  var $column = this.bars[columnIndex].parent();
-  var $animatedBar = $('<div class="histogram_bar"></div>');
-  $animatedBar.css('height', height);
-  $animatedBar.css('bottom', totalHeight - height);
-  $animatedBar.css('background-color', self.barColor);
-  $column.append($animatedBar);
-  this.animatedBars.push($animatedBar);
-  $animatedBar.animate({ 'bottom' : endHeight }, function() {
-    // animation complete
-    self.animateNextDataPoint();
+  var dataPoints = this.samples.splice(Math.max(this.samples.length - this.batchSize, 0), this.batchSize);
+  var counts = {};
+  dataPoints.forEach(function(dataPoint) {
+    var columnIndex = HistogramData.binIndexForDataPoint(dataPoint, self.histogramData.values,
+                                                         self.histogramData.edges);
+    counts[columnIndex] = (counts[columnIndex] || 0) + 1;
+    self.addToSums(dataPoint);
+  });
+  var columnIndexes = Object.keys(counts);
+  var barsFalling = columnIndexes.length;
+  this.stepInProgress = true;
+  columnIndexes.forEach(function(key) {
+    var columnIndex = Number(key);
+    var scale = self.displayScale(columnIndex);
+    var height = self.frequencyToHeight(counts[key] * scale);
+    var frequency = self.histogramData.frequencies[columnIndex];
+    self.histogramData.frequencies[columnIndex] += counts[key]; // Add these data points to our histogram
+    var endHeight = self.frequencyToHeight(frequency * scale);
+    var $column = self.bars[columnIndex].parent();
+    var $animatedBar = $('<div class="histogram_bar"></div>');
+    $animatedBar.css('height', height);
+    $animatedBar.css('bottom', totalHeight - height);
+    $animatedBar.css('background-color', self.barColor);
+    $column.append($animatedBar);
+    self.animatedBars.push($animatedBar);
+    $animatedBar.animate({ 'bottom' : endHeight }, AnimatedHistogram.stepDuration / self.speed, function() {
+      // animation complete
+      barsFalling--;
+      if (barsFalling === 0) {
+        self.animateNextDataPoint();
+      }
+    });
   });
 };
 
 
+/**
+ * Add a data point's exact value to the sums, as HistogramData.makeWithDataPoints does, so that continuous samples
+ * give the same mean and standard deviation whether they are animated or not.
+ * @param {number} dataPoint The data point.
+ */
+AnimatedHistogram.prototype.addToSums = function(dataPoint) {
+  this.histogramData.sum += dataPoint;
+  this.histogramData.sumOfSquares += dataPoint * dataPoint;
+};
+
+
 /**
  * Animate in new data.
  * @param {Array<number>} samples An array of data points.
@@ -69,12 +140,100 @@ AnimatedHistogram.prototype.animateNextDataPoint = function()
  */
 AnimatedHistogram.prototype.animateInData = function(samples, callback)
 {
+  this.animationCompletionCallback = callback;
+  // Take data points from the end, so the first ones are dropped in first.  Undefined statistics, such as the
+  // geometric mean of negative values, can't be shown.
+  this.samples = samples.filter(isFinite).reverse().concat(this.samples);
+  this.batchSize = this.batchLargeQueues ? Math.ceil(this.samples.length / AnimatedHistogram.maximumSteps) : 1;
+  if (!this.animating) {
+    this.animating = true;
+    this.animateNextDataPoint();
+  }
+};
+
+
+/**
+ * @param {number} speed How many times faster than normal to animate.
+ */
+AnimatedHistogram.prototype.setSpeed = function(speed) {
+  this.speed = speed;
+};
+
+
+/**
+ * Stop dropping data points once the bars now falling have landed.
+ */
+AnimatedHistogram.prototype.pause = function() {
+  this.paused = true;
+};
+
+
+/**
+ * Carry on animating after a pause.
+ */
+AnimatedHistogram.prototype.resume = function() {
+  this.paused = false;
+  if (this.animating && !this.stepInProgress) {
+    this.animateNextDataPoint();
+  }
+};
+
+
+/**
+ * While paused, drop in the next data point, or the next batch.
+ */
+AnimatedHistogram.prototype.step = function() {
+  if (this.animating && !this.stepInProgress) {
+    this.animateStep();
+  }
+};
+
+
+/**
+ * Add all the data waiting to be animated at once, and finish the animation.
+ */
+AnimatedHistogram.prototype.skipToEnd = function() {
   if (!this.animating) {
-     this.samples = samples.slice(0); // Clone samples array
-     this.animateNextDataPoint();
+    return;
   }
-  else {
-    this.samples = this.samples.concat(samples);
+  var self = this;
+  this.animatedBars.forEach(function($bar) {
+    $bar.stop();
+  });
+  this.samples.forEach(function(dataPoint) {
+    self.histogramData.frequencies[HistogramData.binIndexForDataPoint(dataPoint, self.histogramData.values,
+                                                                      self.histogramData.edges)]++;
+    self.addToSums(dataPoint);
+  });
+  this.samples = [];
+  this.animateNextDataPoint();
+};
+
+
+/**
+ * Abandon the animation, without adding the data still waiting or calling the completion callback.
+ */
+AnimatedHistogram.prototype.cancelAnimation = function() {
+  if (!this.animating) {
+    return;
   }
-  this.animationCompletionCallback = callback;
-};
\ No newline at end of file
+  this.animatedBars.forEach(function($bar) {
+    $bar.stop();
+  });
+  this.removeAnimatedBars();
+  this.samples = [];
+  this.animating = false;
+  this.stepInProgress = false;
+  this.animationCompletionCallback = undefined;
+};
+
+
+/**
+ * Remove the bars which were animated, once the data they show is drawn by the histogram's own bars.
+ */
+AnimatedHistogram.prototype.removeAnimatedBars = function() {
+  this.animatedBars.forEach(function($bar) {
+    $bar.remove();
+  });
+  this.animatedBars = [];
+};
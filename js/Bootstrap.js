@@ -0,0 +1,172 @@
+"use strict";
+
+/**
+ * @constructor
+ * Bootstraps a statistic from the sample values drawn so far.  The sample is resampled with replacement many
+ * times, and the distribution of the statistic over the resamples is shown with its percentile confidence interval.
+ * Next to it, the true sampling distribution of the statistic is built by sampling the parent population,
+ * so the two can be compared.
+ * @param {Element} $bootstrapDiv The div to build the bootstrap distribution histogram in.
+ * @param {Element} $trueDiv The div to build the true sampling distribution histogram in.
+ * @param {Sampling} sampling The sampling object which owns the parent population and the sample values.
+ */
+var Bootstrap = function($bootstrapDiv, $trueDiv, sampling) {
+  this.sampling = sampling;
+  var emptyData = HistogramData.makeEmptyLike(sampling.histogram1.histogramData);
+  this.bootstrapHistogram = new Histogram($bootstrapDiv, '', emptyData,
+      true,  /* yTicks */
+      10,    /* yIntervals */
+      true,  /* shouldPlotStats */
+      false  /* editable */);
+  this.trueHistogram = new Histogram($trueDiv, '', emptyData,
+      true,  /* yTicks */
+      10,    /* yIntervals */
+      true,  /* shouldPlotStats */
+      false  /* editable */);
+  this.statName = 'mean';
+  this.numberOfResamples = 1000;
+  this.level = 0.95;
+  this.intervalColor = 'red';
+  this.observedColor = 'blue';
+  this.reset();
+  return this;
+};
+
+
+/**
+ * Compute the percentile confidence interval from bootstrap statistics.
+ * @param {Array<number>} statistics The statistic computed on each resample.
+ * @param {number} level The confidence level, between 0 and 1.
+ * @return {{lower: number, upper: number}} The interval.
+ */
+Bootstrap.percentileInterval = function(statistics, level) {
+  var tailArea = (1 - level) / 2;
+  return {
+    lower : StatisticsFunctions.quantile(statistics, tailArea),
+    upper : StatisticsFunctions.quantile(statistics, 1 - tailArea)
+  };
+};
+
+
+/**
+ * Change the statistic, the number of resamples and the confidence level.  Clears the results.
+ * @param {string} statName The name of the statistic, as accepted by StatisticsFunctions.functionByName.
+ * @param {number} numberOfResamples The number of resamples.
+ * @param {number} level The confidence level, between 0 and 1.
+ */
+Bootstrap.prototype.setSettings = function(statName, numberOfResamples, level) {
+  this.statName = statName;
+  this.numberOfResamples = numberOfResamples;
+  this.level = level;
+  this.reset();
+};
+
+
+/**
+ * Clear the results.
+ */
+Bootstrap.prototype.reset = function() {
+  var emptyData = HistogramData.makeEmptyLike(this.sampling.histogram1.histogramData);
+  var color = this.sampling.colorForStat(this.statName);
+  var label = Sampling.labelForStat(this.statName);
+  this.bootstrapHistogram.setMarkers([]);
+  this.bootstrapHistogram.setHistogramData(emptyData);
+  this.bootstrapHistogram.setBarColor(color);
+  this.bootstrapHistogram.setTitle('Bootstrap distribution of the ' + label);
+  this.trueHistogram.setMarkers([]);
+  this.trueHistogram.setHistogramData(emptyData);
+  this.trueHistogram.setBarColor(color);
+  this.trueHistogram.setTitle('True sampling distribution of the ' + label);
+  this.updateResultsDisplay(undefined);
+};
+
+
+/**
+ * Bootstrap the current sample values and build the matching true sampling distribution.
+ * @return {Object} The results, or undefined if there are fewer than two sample values or the statistic is
+ * undefined for every resample.
+ */
+Bootstrap.prototype.run = function() {
+  var sampleValues = this.sampling.sampleValues;
+  if (sampleValues.length < 2) {
+    this.reset();
+    $('#bootstrapMessage').html('Draw at least 2 sample values in the Sampling Distributions mode first.');
+    return undefined;
+  }
+  var reduceFunction = StatisticsFunctions.functionByName(this.statName);
+  var sampleSize = sampleValues.length;
+  var bootstrapStatistics = [];
+  for (var i = 0; i < this.numberOfResamples; i++) {
+    bootstrapStatistics.push(reduceFunction(this.sampling.engine.resample(sampleValues)));
+  }
+  var population = this.sampling.histogram1.histogramData;
+  var trueStatistics = this.sampling.sampleMany(population, sampleSize, this.numberOfResamples, reduceFunction);
+  // Some statistics are undefined for some samples, such as the standard deviation of a single value
+  bootstrapStatistics = bootstrapStatistics.filter(isFinite);
+  trueStatistics = trueStatistics.filter(isFinite);
+  if (bootstrapStatistics.length === 0 || trueStatistics.length === 0) {
+    this.reset();
+    $('#bootstrapMessage').html('The ' + Sampling.labelForStat(this.statName) + ' is undefined for these samples.');
+    return undefined;
+  }
+
+  // Both distributions share bins so they can be compared by eye.  Math.min.apply would overflow the stack on
+  // many resamples.
+  var min = Infinity;
+  var max = -Infinity;
+  bootstrapStatistics.concat(trueStatistics).forEach(function(statistic) {
+    min = Math.min(min, statistic);
+    max = Math.max(max, statistic);
+  });
+  var binValues = Distributions.binValuesForRange(min, max, this.sampling.distributionParameters.numberOfBins);
+  this.bootstrapHistogram.setHistogramData(HistogramData.makeWithDataPoints(bootstrapStatistics, binValues));
+  this.trueHistogram.setHistogramData(HistogramData.makeWithDataPoints(trueStatistics, binValues));
+
+  var interval = Bootstrap.percentileInterval(bootstrapStatistics, this.level);
+  var observed = reduceFunction(sampleValues);
+  this.bootstrapHistogram.setMarkers([
+    { value : interval.lower, color : this.intervalColor },
+    { value : interval.upper, color : this.intervalColor },
+    { value : observed, color : this.observedColor }
+  ]);
+  var trueInterval = Bootstrap.percentileInterval(trueStatistics, this.level);
+  this.trueHistogram.setMarkers([
+    { value : trueInterval.lower, color : this.intervalColor },
+    { value : trueInterval.upper, color : this.intervalColor }
+  ]);
+
+  var results = {
+    sampleSize : sampleSize,
+    observed : observed,
+    bootstrapStandardError : StatisticsFunctions.standardDeviation(bootstrapStatistics),
+    trueStandardError : StatisticsFunctions.standardDeviation(trueStatistics),
+    interval : interval,
+    trueInterval : trueInterval
+  };
+  this.updateResultsDisplay(results);
+  return results;
+};
+
+
+/**
+ * Show the results of the last run.
+ * @param {Object} results The results returned by run, or undefined to clear them.
+ */
+Bootstrap.prototype.updateResultsDisplay = function(results) {
+  $('#bootstrapMessage').html('');
+  $('#bootstrapLevel').html((this.level * 100).toFixed(0) + '%');
+  if (!results) {
+    $('#bootstrapSampleSize, #bootstrapObserved, #bootstrapSE, #bootstrapTrueSE, #bootstrapInterval, #bootstrapTrueInterval').html('');
+    return;
+  }
+  var formatInterval = function(interval) {
+    return '[' + StatisticsFunctions.formatValue(interval.lower) + ', ' +
+           StatisticsFunctions.formatValue(interval.upper) + ']';
+  };
+  $('#bootstrapSampleSize').html(results.sampleSize.toFixed(0));
+  $('#bootstrapObserved').html(StatisticsFunctions.formatValue(results.observed));
+  $('#bootstrapSE').html(StatisticsFunctions.formatValue(results.bootstrapStandardError));
+  $('#bootstrapTrueSE').html(StatisticsFunctions.formatValue(results.trueStandardError));
+  $('#bootstrapInterval').html(formatInterval(results.interval));
+  $('#bootstrapTrueInterval').html(formatInterval(results.trueInterval));
+};
@@ -0,0 +1,135 @@
+"use strict";
+
+if (typeof require !== 'undefined') {
+  var Chart = require('./Chart.js');
+}
+
+/**
+ * @constructor
+ * Draws a HistogramData as a box plot: a box from the first to the third quartile with a line at the median,
+ * whiskers out to the furthest values within 1.5 IQR of the box, and each value beyond them marked as an outlier.
+ * @param {Element} $div The div to build the chart in.  Width and height are inherited from this div.
+ * @param {string} title The title.
+ * @param {HistogramData} histogramData The data to display.
+ */
+var BoxPlot = function($div, title, histogramData) {
+  Chart.call(this, $div, histogramData);
+  this.boxColor = '#404040'; // dark gray
+  this.medianColor = 'magenta';
+  this.outlierColor = 'red';
+  this.buildCanvas(title);
+  this.redraw();
+  return this;
+};
+
+
+BoxPlot.prototype = Object.create(Chart.prototype);
+
+
+/**
+ * Values further than this many IQRs beyond the quartiles are outliers.
+ */
+BoxPlot.outlierFactor = 1.5;
+
+
+/**
+ * Find the five-number summary and the outliers of a histogram.
+ * @param {HistogramData} histogramData The data, which must have at least one observation.
+ * @return {{firstQuartile: number, median: number, thirdQuartile: number, lowerWhisker: number,
+ * upperWhisker: number, outliers: Array<{value: number, frequency: number}>}} The summary.  The whiskers end at the
+ * smallest and largest bin values which are not outliers.
+ */
+BoxPlot.summary = function(histogramData) {
+  var firstQuartile = histogramData.firstQuartile();
+  var thirdQuartile = histogramData.thirdQuartile();
+  var fence = BoxPlot.outlierFactor * (thirdQuartile - firstQuartile);
+  var lowerFence = firstQuartile - fence;
+  var upperFence = thirdQuartile + fence;
+  var lowerWhisker = firstQuartile;
+  var upperWhisker = thirdQuartile;
+  var outliers = [];
+  histogramData.values.forEach(function(value, index) {
+    var frequency = histogramData.frequencies[index];
+    if (frequency <= 0) {
+      return;
+    }
+    if (value < lowerFence || value > upperFence) {
+      outliers.push({ value : value, frequency : frequency });
+    }
+    else {
+      lowerWhisker = Math.min(lowerWhisker, value);
+      upperWhisker = Math.max(upperWhisker, value);
+    }
+  });
+  return {
+    firstQuartile : firstQuartile,
+    median : histogramData.median(),
+    thirdQuartile : thirdQuartile,
+    lowerWhisker : lowerWhisker,
+    upperWhisker : upperWhisker,
+    outliers : outliers
+  };
+};
+
+
+/**
+ * Draw the box, the whiskers and the outliers, centered between the title and the value axis.
+ */
+BoxPlot.prototype.redraw = function() {
+  var canvas = this.$canvas.get(0);
+  var context = canvas.getContext('2d');
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  this.drawValueAxis(context);
+  if (this.histogramData.numberOfObservations() < 1) {
+    return;
+  }
+  var summary = BoxPlot.summary(this.histogramData);
+  var self = this;
+  var toX = function(value) {
+    return Math.floor(self.valueToCanvasX(value)) + 0.5;
+  };
+  var plotHeight = canvas.height - this.topInset - this.bottomInset;
+  var middleY = Math.floor(this.topInset + plotHeight / 2) + 0.5;
+  var halfBox = Math.floor(plotHeight / 4);
+
+  // Draw the whiskers, with a short bar at each end
+  context.strokeStyle = this.boxColor;
+  context.beginPath();
+  context.moveTo(toX(summary.lowerWhisker), middleY);
+  context.lineTo(toX(summary.firstQuartile), middleY);
+  context.moveTo(toX(summary.thirdQuartile), middleY);
+  context.lineTo(toX(summary.upperWhisker), middleY);
+  [summary.lowerWhisker, summary.upperWhisker].forEach(function(value) {
+    context.moveTo(toX(value), middleY - halfBox / 2);
+    context.lineTo(toX(value), middleY + halfBox / 2);
+  });
+  context.stroke();
+
+  // Draw the box and the median
+  context.strokeRect(toX(summary.firstQuartile), middleY - halfBox, toX(summary.thirdQuartile) -
+                     toX(summary.firstQuartile), 2 * halfBox);
+  context.beginPath();
+  context.strokeStyle = this.medianColor;
+  context.moveTo(toX(summary.median), middleY - halfBox);
+  context.lineTo(toX(summary.median), middleY + halfBox);
+  context.stroke();
+
+  // Mark each outlier, with its count if more than one observation has that value
+  context.strokeStyle = this.outlierColor;
+  context.fillStyle = this.outlierColor;
+  context.textAlign = 'center';
+  summary.outliers.forEach(function(outlier) {
+    var x = toX(outlier.value);
+    context.beginPath();
+    context.arc(x, middleY, 3, 0, 2 * Math.PI);
+    context.stroke();
+    if (outlier.frequency > 1) {
+      context.fillText(outlier.frequency, x, middleY - 6);
+    }
+  });
+};
+
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BoxPlot;
+}
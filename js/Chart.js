@@ -0,0 +1,152 @@
+"use strict";
+
+/**
+ * @constructor
+ * The base of the charts which display a HistogramData: the bar histogram and the box plot, dot plot and
+ * empirical CDF views.  A chart keeps its data and tells its observers whenever the data changes.
+ * @param {Element} $div The div to build the chart in.  Width and height are inherited from this div.
+ * @param {HistogramData} histogramData The data to display.
+ */
+var Chart = function($div, histogramData) {
+  this.$div = $div;
+  this.histogramData = histogramData;
+  this.observers = {};
+  this.topInset = 16;
+  this.bottomInset = 16;
+  this.leftInset = 45;
+  this.rightInset = 10;
+  return this;
+};
+
+
+/**
+ * Create the canvas which the chart is drawn on, and the title above it.
+ * @param {string} title The title.
+ */
+Chart.prototype.buildCanvas = function(title) {
+  var $div = this.$div;
+  var $canvas = $('<canvas width="' + $div.width() + '" height="' + $div.height() + '" class="chart"></canvas>');
+  $div.append($canvas);
+  this.$canvas = $canvas;
+  this.$title = $('<div class="absolute">' + title + '</div>');
+  $div.append(this.$title);
+  this.$title.css('left', this.leftInset);
+};
+
+
+/**
+ * Remove the chart from the page.
+ */
+Chart.prototype.remove = function() {
+  this.$canvas.remove();
+  this.$title.remove();
+};
+
+
+/**
+ * Set the title of the chart.
+ * @param newTitle The new title
+ */
+Chart.prototype.setTitle = function(newTitle) {
+  this.$title.html(newTitle);
+};
+
+
+/**
+ * Update the data.
+ * @param {HistogramData} histogramData The new data to display.
+ */
+Chart.prototype.setHistogramData = function(histogramData) {
+  this.histogramData = histogramData;
+  this.notifyObserversOfChange();
+  this.redraw();
+};
+
+
+/**
+ * Draw the chart.  Each kind of chart draws itself.
+ */
+Chart.prototype.redraw = function() {
+};
+
+
+/**
+ * Convert a value to an X coordinate, spreading the bins' whole range evenly across the chart.
+ * @param {number} value The value.
+ * @return {number} An x coordinate relative to the canvas.
+ */
+Chart.prototype.valueToCanvasX = function(value) {
+  var edges = this.histogramData.binEdges();
+  var bottom = edges[0];
+  var top = edges[edges.length - 1];
+  var width = this.$canvas.get(0).width - this.leftInset - this.rightInset;
+  return this.leftInset + (value - bottom) / (top - bottom) * width;
+};
+
+
+/**
+ * Draw the value axis along the bottom, labelled under about every eighth bin.
+ * @param context The canvas context.
+ */
+Chart.prototype.drawValueAxis = function(context) {
+  var canvas = this.$canvas.get(0);
+  var values = this.histogramData.values;
+  var numberOfBins = values.length;
+  var y = canvas.height - this.bottomInset + 0.5;
+  context.strokeStyle = 'black';
+  context.fillStyle = 'black';
+  context.font = '9px Times New Roman';
+  context.textAlign = 'center';
+  context.beginPath();
+  context.moveTo(this.leftInset, y);
+  context.lineTo(canvas.width - this.rightInset, y);
+  context.stroke();
+  var lastIndex = -1;
+  for (var i = 0; i <= 8; i++) {
+    var index = i === 8 ? numberOfBins - 1 : Math.floor(numberOfBins / 8 * i);
+    if (index === lastIndex) {
+      continue;
+    }
+    lastIndex = index;
+    var x = Math.floor(this.valueToCanvasX(values[index])) + 0.5;
+    context.beginPath();
+    context.moveTo(x, y);
+    context.lineTo(x, y + 4);
+    context.stroke();
+    context.fillText(values[index], x, y + 12);
+  }
+};
+
+
+/**
+ * @param observer A function which takes the chart, and is called whenever the values change.
+ * @param context A string which is used to identify this observer uniquely.
+ */
+Chart.prototype.addObserver = function(observer, context) {
+  this.observers[context] = observer;
+};
+
+
+/**
+ * @param context A string which identifies this observer uniquely;
+ */
+Chart.prototype.removeObserver = function(context) {
+  delete this.observers[context];
+};
+
+
+/**
+ * Notify all of our observers when values change.
+ */
+Chart.prototype.notifyObserversOfChange = function() {
+  for (var context in this.observers) {
+    if (this.observers.hasOwnProperty(context)) {
+      this.observers[context](this);
+    }
+  }
+};
+
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Chart;
+}
@@ -0,0 +1,203 @@
+"use strict";
+
+/**
+ * @constructor
+ * Simulates the coverage of confidence intervals for the mean.  Samples are drawn repeatedly from the parent
+ * population, an interval is built from each one and the intervals are drawn as stacked horizontal segments,
+ * with the ones that miss the true population mean highlighted.
+ * @param {Element} $div The div to draw the intervals in.  Width and height are inherited from this div.
+ * @param {Sampling} sampling The sampling object which owns the parent population.
+ */
+var ConfidenceIntervals = function($div, sampling) {
+  this.$div = $div;
+  this.sampling = sampling;
+  this.topInset = 16;
+  this.bottomInset = 16;
+  this.leftInset = 45;
+  this.rightInset = 10;
+  this.maximumRows = 100; // Only the most recent intervals are drawn
+  this.coverColor = '#404040'; // dark gray
+  this.missColor = 'red';
+  this.meanColor = 'blue';
+  var $canvas = $('<canvas width="' + $div.width() + '" height="' + $div.height() + '" class="chart"></canvas>');
+  $div.append($canvas);
+  this.$canvas = $canvas;
+  this.$title = $('<div class="absolute"></div>');
+  $div.append(this.$title);
+  this.$title.css('left', this.leftInset);
+  this.sampleSize = 10;
+  this.level = 0.95;
+  this.method = 'z';
+  this.reset();
+  return this;
+};
+
+
+/**
+ * Build a confidence interval for the mean from a sample.
+ * @param {Array<number>} sample The sample.
+ * @param {number} level The confidence level, between 0 and 1.
+ * @param {string} method 'z' to use the population standard deviation, 't' to use the sample standard deviation.
+ * @param {number} populationSD The population standard deviation, used by the z method.
+ * @return {{lower: number, upper: number, mean: number}} The interval.
+ */
+ConfidenceIntervals.intervalForSample = function(sample, level, method, populationSD) {
+  var sampleSize = sample.length;
+  var mean = StatisticsFunctions.mean(sample);
+  var tailArea = (1 - level) / 2;
+  var criticalValue;
+  var sd;
+  if (method === 't') {
+    criticalValue = StatisticsFunctions.tQuantile(1 - tailArea, sampleSize - 1);
+    sd = Math.sqrt(StatisticsFunctions.varianceUnbiased(sample));
+  }
+  else {
+    criticalValue = StatisticsFunctions.normalQuantile(1 - tailArea);
+    sd = populationSD;
+  }
+  var marginOfError = criticalValue * sd / Math.sqrt(sampleSize);
+  return { lower : mean - marginOfError, upper : mean + marginOfError, mean : mean };
+};
+
+
+/**
+ * Change the settings used to build intervals.  Clears all intervals.
+ * @param {number} sampleSize The sample size.
+ * @param {number} level The confidence level, between 0 and 1.
+ * @param {string} method 'z' or 't'.
+ */
+ConfidenceIntervals.prototype.setSettings = function(sampleSize, level, method) {
+  this.sampleSize = sampleSize;
+  this.level = level;
+  this.method = method;
+  this.reset();
+};
+
+
+/**
+ * Remove all intervals.
+ */
+ConfidenceIntervals.prototype.reset = function() {
+  this.intervals = [];
+  this.numberCovering = 0;
+  this.$title.html('Confidence intervals for the mean (n=' + this.sampleSize + ', ' +
+                   (this.level * 100).toFixed(0) + '%, ' + this.method + ')');
+  this.redraw();
+};
+
+
+/**
+ * Draw samples from the parent population and add an interval for each.
+ * @param {number} numberOfIntervals The number of intervals to add.
+ */
+ConfidenceIntervals.prototype.addIntervals = function(numberOfIntervals) {
+  var population = this.sampling.histogram1.histogramData;
+  if (population.numberOfObservations() < 1) {
+    return;
+  }
+  var populationMean = population.mean();
+  var populationSD = population.standardDeviation();
+  for (var i = 0; i < numberOfIntervals; i++) {
+    var sample = this.sampling.sample(population, this.sampleSize);
+    var interval = ConfidenceIntervals.intervalForSample(sample, this.level, this.method, populationSD);
+    interval.covers = interval.lower <= populationMean && populationMean <= interval.upper;
+    if (interval.covers) {
+      this.numberCovering++;
+    }
+    this.intervals.push(interval);
+  }
+  this.redraw();
+};
+
+
+/**
+ * @return {number} The fraction of intervals which cover the population mean, or NaN if there are none.
+ */
+ConfidenceIntervals.prototype.coverage = function() {
+  return this.numberCovering / this.intervals.length;
+};
+
+
+/**
+ * Convert a value to an X coordinate, using the parent population's bins, of any widths, as the scale.
+ * @param {number} value The value.
+ * @return {number} An x coordinate relative to the canvas.
+ */
+ConfidenceIntervals.prototype.valueToCanvasX = function(value) {
+  var edges = this.sampling.histogram1.histogramData.binEdges();
+  var bottom = edges[0];
+  var top = edges[edges.length - 1];
+  var width = this.$canvas.get(0).width - this.leftInset - this.rightInset;
+  return this.leftInset + (value - bottom) / (top - bottom) * width;
+};
+
+
+/**
+ * Redraw the intervals, the population mean and the axis.
+ */
+ConfidenceIntervals.prototype.redraw = function() {
+  var canvas = this.$canvas.get(0);
+  var context = canvas.getContext('2d');
+  var population = this.sampling.histogram1.histogramData;
+  var values = population.values;
+  var bottom = canvas.height - this.bottomInset - 0.5;
+  context.clearRect(0, 0, canvas.width, canvas.height);
+
+  // Draw the axis, labelled with the population's bin values
+  context.beginPath();
+  context.strokeStyle = 'black';
+  context.moveTo(this.leftInset, bottom);
+  context.lineTo(canvas.width - this.rightInset, bottom);
+  context.stroke();
+  context.fillStyle = 'black';
+  context.font = '9px Times New Roman';
+  context.textAlign = 'center';
+  // Five labels spread across the bins, however many there are
+  var lastIndex = -1;
+  for (var i = 0; i <= 4; i++) {
+    var index = i === 4 ? values.length - 1 : Math.floor(values.length / 4 * i);
+    if (index !== lastIndex) {
+      context.fillText(values[index], this.valueToCanvasX(values[index]), bottom + 12);
+      lastIndex = index;
+    }
+  }
+
+  // Draw the intervals, most recent at the bottom
+  var shown = this.intervals.slice(-this.maximumRows);
+  var rowHeight = (bottom - this.topInset) / this.maximumRows;
+  for (var row = 0; row < shown.length; row++) {
+    var interval = shown[shown.length - 1 - row];
+    var y = Math.floor(bottom - (row + 0.5) * rowHeight) + 0.5;
+    context.beginPath();
+    context.strokeStyle = interval.covers ? this.coverColor : this.missColor;
+    context.lineWidth = interval.covers ? 1 : 2;
+    context.moveTo(this.valueToCanvasX(interval.lower), y);
+    context.lineTo(this.valueToCanvasX(interval.upper), y);
+    context.stroke();
+  }
+  context.lineWidth = 1;
+
+  // Draw the population mean
+  if (population.numberOfObservations() > 0) {
+    var meanX = Math.floor(this.valueToCanvasX(population.mean())) + 0.5;
+    context.beginPath();
+    context.strokeStyle = this.meanColor;
+    context.moveTo(meanX, this.topInset);
+    context.lineTo(meanX, bottom);
+    context.stroke();
+  }
+
+  this.updateCoverageDisplay();
+};
+
+
+/**
+ * Show the running coverage next to the intervals.
+ */
+ConfidenceIntervals.prototype.updateCoverageDisplay = function() {
+  var numberOfIntervals = this.intervals.length;
+  $('#ciCount').html(numberOfIntervals.toFixed(0));
+  $('#ciMissed').html((numberOfIntervals - this.numberCovering).toFixed(0));
+  $('#ciCoverage').html(numberOfIntervals > 0 ? (this.coverage() * 100).toFixed(1) + '%' : '');
+  $('#ciLevel').html((this.level * 100).toFixed(0) + '%');
+};
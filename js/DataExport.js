@@ -0,0 +1,202 @@
+"use strict";
+
+
+/**
+ * @overview Declares functions for downloading sample values, statistics and histograms as CSV or JSON.
+ */
+
+/**
+ * @namespace
+ */
+var DataExport = DataExport || {};
+
+
+/**
+ * The Stats fields which are exported, with their column labels, in export order.
+ */
+DataExport.statisticFields = [
+  { name : 'numberOfObservations', label : 'n' },
+  { name : 'mean', label : 'Mean' },
+  { name : 'median', label : 'Median' },
+  { name : 'sd', label : 'SD' },
+  { name : 'variance', label : 'Variance' },
+  { name : 'varianceu', label : 'Variance (unbiased)' },
+  { name : 'MAD', label : 'MAD' },
+  { name : 'range', label : 'Range' },
+  { name : 'skew', label : 'Skew' },
+  { name : 'kurtosis', label : 'Kurtosis' },
+  { name : 'firstQuartile', label : 'Q1' },
+  { name : 'thirdQuartile', label : 'Q3' },
+  { name : 'interquartileRange', label : 'IQR' },
+  { name : 'mode', label : 'Mode' },
+  { name : 'trimmedMean', label : 'Trimmed mean (10%)' },
+  { name : 'geometricMean', label : 'Geometric mean' },
+  { name : 'coefficientOfVariation', label : 'CV' },
+  { name : 'medianAbsoluteDeviation', label : 'Median abs. deviation' }
+];
+
+
+/**
+ * Quote a CSV cell if it contains a separator, a quote or a line break.  Missing values become empty cells.
+ * @param {*} value The cell value.
+ * @return {string} The cell text.
+ */
+DataExport.csvCell = function(value) {
+  if (value === undefined || value === null || (typeof value === 'number' && isNaN(value))) {
+    return '';
+  }
+  var text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+};
+
+
+/**
+ * @param {Array<Array>} rows The rows, the first of which is the header.
+ * @return {string} The rows as CSV text.
+ */
+DataExport.toCSV = function(rows) {
+  return rows.map(function(row) {
+    return row.map(DataExport.csvCell).join(',');
+  }).join('\n') + '\n';
+};
+
+
+/**
+ * @param {Array<number>} sampleValues The sample values.
+ * @return {string} One value per row, under the heading 'value'.
+ */
+DataExport.sampleValuesToCSV = function(sampleValues) {
+  return DataExport.toCSV([['value']].concat(sampleValues.map(function(value) {
+    return [value];
+  })));
+};
+
+
+/**
+ * Make a plain object from statistics, keyed by field name, for JSON export.
+ * @param {Stats} stats The statistics.
+ * @return {Object}
+ */
+DataExport.statsToObject = function(stats) {
+  var result = {};
+  DataExport.statisticFields.forEach(function(field) {
+    var value = stats[field.name];
+    result[field.name] = (value === undefined || (typeof value === 'number' && isNaN(value))) ? null : value;
+  });
+  return result;
+};
+
+
+/**
+ * @param {Array<{name: string, histogramData: HistogramData}>} histograms The histograms.
+ * @return {string} One row per statistic and one column per histogram.
+ */
+DataExport.statisticsToCSV = function(histograms) {
+  var allStats = histograms.map(function(histogram) {
+    return histogram.histogramData.getStatistics();
+  });
+  var rows = [['statistic'].concat(histograms.map(function(histogram) {
+    return histogram.name;
+  }))];
+  DataExport.statisticFields.forEach(function(field) {
+    rows.push([field.label].concat(allStats.map(function(stats) {
+      return stats.numberOfObservations > 0 ? stats[field.name] : undefined;
+    })));
+  });
+  return DataExport.toCSV(rows);
+};
+
+
+/**
+ * @param {Array<{name: string, histogramData: HistogramData}>} histograms The histograms.
+ * @return {string} One row per bin, in long format: histogram, value, frequency.
+ */
+DataExport.histogramsToCSV = function(histograms) {
+  var rows = [['histogram', 'value', 'frequency']];
+  histograms.forEach(function(histogram) {
+    var data = histogram.histogramData;
+    for (var i = 0; i < data.values.length; i++) {
+      rows.push([histogram.name, data.values[i], data.frequencies[i]]);
+    }
+  });
+  return DataExport.toCSV(rows);
+};
+
+
+/**
+ * @param {Array<number>} sampleValues The sample values.
+ * @param {Array<{name: string, histogramData: HistogramData}>} histograms The histograms.
+ * @return {Object} Everything which can be exported, as a plain object for JSON export.
+ */
+DataExport.toObject = function(sampleValues, histograms) {
+  return {
+    sampleValues : sampleValues.slice(),
+    histograms : histograms.map(function(histogram) {
+      var data = histogram.histogramData;
+      return {
+        name : histogram.name,
+        values : data.values.slice(),
+        frequencies : data.frequencies.slice(),
+        statistics : data.numberOfObservations() > 0 ? DataExport.statsToObject(data.getStatistics()) : null
+      };
+    })
+  };
+};
+
+
+/**
+ * Build the text of an export.
+ * @param {string} content 'sampleValues', 'statistics' or 'histograms'.
+ * @param {string} format 'csv' or 'json'.
+ * @param {Array<number>} sampleValues The sample values.
+ * @param {Array<{name: string, histogramData: HistogramData}>} histograms The histograms.
+ * @return {string} The file contents.
+ */
+DataExport.makeText = function(content, format, sampleValues, histograms) {
+  if (format === 'json') {
+    var all = DataExport.toObject(sampleValues, histograms);
+    var result;
+    if (content === 'sampleValues') {
+      result = { sampleValues : all.sampleValues };
+    }
+    else if (content === 'statistics') {
+      result = {};
+      all.histograms.forEach(function(histogram) {
+        result[histogram.name] = histogram.statistics;
+      });
+    }
+    else {
+      result = { histograms : all.histograms };
+    }
+    return JSON.stringify(result, null, 2);
+  }
+  if (content === 'sampleValues') {
+    return DataExport.sampleValuesToCSV(sampleValues);
+  }
+  else if (content === 'statistics') {
+    return DataExport.statisticsToCSV(histograms);
+  }
+  return DataExport.histogramsToCSV(histograms);
+};
+
+
+/**
+ * Make the browser download text, or an image, as a file.
+ * @param {string} filename The suggested file name.
+ * @param {string|Blob} text The file contents.
+ * @param {string} mimeType The MIME type, such as 'text/csv'.
+ */
+DataExport.download = function(filename, text, mimeType) {
+  var blob = text instanceof Blob ? text : new Blob([text], { type : mimeType });
+  var url = URL.createObjectURL(blob);
+  var $link = $('<a></a>').attr({ href : url, download : filename }).css('display', 'none');
+  $('body').append($link);
+  $link.get(0).click();
+  $link.remove();
+  setTimeout(function() {
+    URL.revokeObjectURL(url);
+  }, 0);
+};
@@ -0,0 +1,164 @@
+"use strict";
+
+
+/**
+ * @overview Declares functions for building a parent population from CSV or pasted data.
+ */
+
+if (typeof require !== 'undefined') {
+  var HistogramData = require('./HistogramData.js');
+  var Distributions = require('./Distributions.js');
+}
+
+/**
+ * @namespace
+ */
+var DataImport = DataImport || {};
+
+
+/**
+ * Split text into rows of numbers.  Cells may be separated by commas, semicolons, tabs or spaces.
+ * Cells which are not numbers, such as column headings, are ignored, and rows without numbers are skipped.
+ * @param {string} text The CSV or pasted text.
+ * @return {Array<Array<number>>} The numeric cells of each row.
+ */
+DataImport.parseRows = function(text) {
+  var rows = [];
+  text.split(/\r\n|\r|\n/).forEach(function(line) {
+    var numbers = [];
+    line.split(/[,;\t ]+/).forEach(function(cell) {
+      var trimmed = cell.replace(/^["']|["']$/g, '');
+      if (trimmed !== '' && isFinite(trimmed)) {
+        numbers.push(parseFloat(trimmed));
+      }
+    });
+    if (numbers.length > 0) {
+      rows.push(numbers);
+    }
+  });
+  return rows;
+};
+
+
+/**
+ * Do the rows look like value, frequency pairs?  Every row must have two numbers, the frequencies must be
+ * non-negative whole numbers and each value must appear only once.
+ * @param {Array<Array<number>>} rows The numeric cells of each row.
+ * @return {boolean}
+ */
+DataImport.looksBinned = function(rows) {
+  var seen = {};
+  return rows.every(function(row) {
+    var isPair = row.length === 2 && row[1] >= 0 && row[1] === Math.floor(row[1]) && !seen[row[0]];
+    seen[row[0]] = true;
+    return isPair;
+  });
+};
+
+
+/**
+ * Build a population from text.
+ * @param {string} text The CSV or pasted text.
+ * @param {string} format 'raw' for one data point per row (the first number in the row), 'binned' for value,
+ * frequency pairs, or 'auto' to decide from the data.
+ * @param {number} numberOfBins (optional) The number of bins, Distributions.defaultNumberOfBins if omitted.
+ * @return {HistogramData} The population.
+ */
+DataImport.makeHistogramData = function(text, format, numberOfBins) {
+  var rows = DataImport.parseRows(text);
+  if (rows.length === 0) {
+    throw 'No numbers were found in the data.';
+  }
+  if (format === 'binned' || (format === 'auto' && rows.length > 1 && DataImport.looksBinned(rows))) {
+    return DataImport.makeWithBinnedPairs(rows, numberOfBins);
+  }
+  return DataImport.makeWithDataPoints(rows.map(function(row) {
+    return row[0];
+  }), numberOfBins);
+};
+
+
+/**
+ * Bin raw data points, choosing bin values which fit the data.  Whole number data keeps every integer on a bin.
+ * @param {Array<number>} dataPoints The data.
+ * @param {number} numberOfBins (optional) The number of bins, Distributions.defaultNumberOfBins if omitted.
+ * @return {HistogramData} The population.
+ */
+DataImport.makeWithDataPoints = function(dataPoints, numberOfBins) {
+  // Math.min.apply would overflow the stack on large files
+  var min = Infinity;
+  var max = -Infinity;
+  dataPoints.forEach(function(dataPoint) {
+    min = Math.min(min, dataPoint);
+    max = Math.max(max, dataPoint);
+  });
+  var allIntegers = dataPoints.every(function(dataPoint) {
+    return dataPoint === Math.floor(dataPoint);
+  });
+  var binValues;
+  if (allIntegers && min >= 0) {
+    binValues = Distributions.binValuesForIntegerRange(min, max, numberOfBins);
+  }
+  else {
+    binValues = Distributions.binValuesForRange(min, max, numberOfBins);
+  }
+  return HistogramData.makeWithDataPoints(dataPoints, binValues);
+};
+
+
+/**
+ * Load value, frequency pairs as they are.  The values must be equally spaced (gaps are filled with zero
+ * frequencies) and must fit in the number of bins.
+ * @param {Array<Array<number>>} rows The value, frequency pairs.
+ * @param {number} numberOfBins (optional) The number of bins, Distributions.defaultNumberOfBins if omitted.
+ * @return {HistogramData} The population.
+ */
+DataImport.makeWithBinnedPairs = function(rows, numberOfBins) {
+  numberOfBins = numberOfBins || Distributions.defaultNumberOfBins;
+  var pairs = rows.map(function(row) {
+    if (row.length < 2 || row[1] < 0) {
+      throw 'Each row must contain a value and a non-negative frequency.';
+    }
+    return { value : row[0], frequency : row[1] };
+  });
+  pairs.sort(function(a, b) {return a.value - b.value;});
+  if (pairs.length === 1) {
+    pairs.push({ value : pairs[0].value + 1, frequency : 0 });
+  }
+  var step = Infinity;
+  for (var i = 1; i < pairs.length; i++) {
+    var difference = pairs[i].value - pairs[i - 1].value;
+    if (difference === 0) {
+      throw 'The value ' + pairs[i].value + ' appears more than once.';
+    }
+    step = Math.min(step, difference);
+  }
+  var first = pairs[0].value;
+  var numberOfValues = Math.round((pairs[pairs.length - 1].value - first) / step) + 1;
+  if (numberOfValues > numberOfBins) {
+    throw 'The values must fit in ' + numberOfBins + ' equally spaced bins.';
+  }
+  // Center the data in the chart
+  var start = first - Math.floor((numberOfBins - numberOfValues) / 2) * step;
+  if (first >= 0 && start < 0) {
+    // Don't show negative bins for non-negative data, such as counts
+    start = first - Math.floor(first / step + 1e-9) * step;
+  }
+  var binValues = Distributions.valuesStartingAt(start, step, numberOfBins);
+  var frequencies = binValues.map(function() {
+    return 0;
+  });
+  pairs.forEach(function(pair) {
+    var position = (pair.value - start) / step;
+    if (Math.abs(position - Math.round(position)) > 1e-6) {
+      throw 'The values must be equally spaced.';
+    }
+    frequencies[Math.round(position)] = pair.frequency;
+  });
+  return new HistogramData(binValues, frequencies);
+};
+
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DataImport;
+}
@@ -0,0 +1,566 @@
+"use strict";
+
+
+/**
+ * @overview Declares functions for building parent populations from named distributions and their parameters.
+ * Nothing here touches the page, so populations can be built in Node as well as in the browser.
+ */
+
+if (typeof require !== 'undefined') {
+  var HistogramData = require('./HistogramData.js');
+  var StatisticsFunctions = require('./StatisticsFunctions.js');
+}
+
+/**
+ * @namespace
+ */
+var Distributions = Distributions || {};
+
+
+/**
+ * The number of bins in a population or sampling distribution when no number is given.
+ */
+Distributions.defaultNumberOfBins = 33;
+
+
+/**
+ * The smallest number of bins which can be chosen.
+ */
+Distributions.minimumNumberOfBins = 5;
+
+
+/**
+ * The largest number of bins which can be chosen.
+ */
+Distributions.maximumNumberOfBins = 100;
+
+
+/**
+ * The total frequency of a population generated from distribution parameters.
+ */
+Distributions.populationSize = 2000;
+
+
+/**
+ * @param {number} numberOfBins (optional) The number of bins, Distributions.defaultNumberOfBins if omitted.
+ * @returns {Array} An array of the bin values used for displaying all stats other than variance.
+ */
+Distributions.integerValues = function(numberOfBins) {
+  return Distributions.valuesWithInterval(1, numberOfBins);
+};
+
+
+/**
+ * @param {number} interval The interval between bins.
+ * @param {number} numberOfBins (optional) The number of bins, Distributions.defaultNumberOfBins if omitted.
+ * @returns {Array} An array of the bin values used displaying variance.
+ */
+Distributions.valuesWithInterval = function(interval, numberOfBins) {
+    numberOfBins = numberOfBins || Distributions.defaultNumberOfBins;
+    var values = [];
+    for (var i = 0; i < numberOfBins; i++) {
+        values.push(i * interval);
+    }
+    return values;
+};
+
+
+/**
+ * @param {number} start The first bin value.
+ * @param {number} interval The interval between bins.
+ * @param {number} numberOfBins (optional) The number of bins, Distributions.defaultNumberOfBins if omitted.
+ * @returns {Array<number>} The bin values, rounded to remove floating point noise.
+ */
+Distributions.valuesStartingAt = function(start, interval, numberOfBins) {
+    numberOfBins = numberOfBins || Distributions.defaultNumberOfBins;
+    var values = [];
+    for (var i = 0; i < numberOfBins; i++) {
+        values.push(parseFloat((start + i * interval).toFixed(10)));
+    }
+    return values;
+};
+
+
+/**
+ * Round an interval up to the nearest 1, 2, 2.5 or 5 times a power of ten.
+ * @param {number} roughInterval The smallest acceptable interval.
+ * @returns {number} A readable interval.
+ */
+Distributions.niceInterval = function(roughInterval) {
+    var magnitude = Math.pow(10, Math.floor(Math.log(roughInterval) / Math.LN10));
+    var multiples = [1, 2, 2.5, 5, 10];
+    for (var i = 0; i < multiples.length; i++) {
+        if (multiples[i] * magnitude >= roughInterval * (1 - 1e-9)) {
+            return multiples[i] * magnitude;
+        }
+    }
+    return 10 * magnitude;
+};
+
+
+/**
+ * Choose readable bin values which cover a range of continuous values, centered on the range.
+ * @param {number} min The smallest value to cover.
+ * @param {number} max The largest value to cover.
+ * @param {number} numberOfBins (optional) The number of bins, Distributions.defaultNumberOfBins if omitted.
+ * @returns {Array<number>} The bin values.
+ */
+Distributions.binValuesForRange = function(min, max, numberOfBins) {
+    numberOfBins = numberOfBins || Distributions.defaultNumberOfBins;
+    var lastIndex = numberOfBins - 1;
+    var interval = Distributions.niceInterval(Math.max(max - min, 1e-9) / lastIndex);
+    var firstIndex = Math.floor(min / interval + 0.5);
+    var lastNeeded = Math.ceil(max / interval - 0.5);
+    while (lastNeeded - firstIndex > lastIndex) {
+        interval = Distributions.niceInterval(interval * 1.01);
+        firstIndex = Math.floor(min / interval + 0.5);
+        lastNeeded = Math.ceil(max / interval - 0.5);
+    }
+    firstIndex -= Math.floor((lastIndex - (lastNeeded - firstIndex)) / 2);
+    return Distributions.valuesStartingAt(firstIndex * interval, interval, numberOfBins);
+};
+
+
+/**
+ * Choose readable bin values for a non-negative statistic, starting at zero.
+ * @param {number} max The largest value to cover.
+ * @param {number} numberOfBins (optional) The number of bins, Distributions.defaultNumberOfBins if omitted.
+ * @returns {Array<number>} The bin values.
+ */
+Distributions.binValuesFromZero = function(max, numberOfBins) {
+    numberOfBins = numberOfBins || Distributions.defaultNumberOfBins;
+    var interval = max > 0 ? Distributions.niceInterval(max / (numberOfBins - 1)) : 1;
+    return Distributions.valuesStartingAt(0, interval, numberOfBins);
+};
+
+
+/**
+ * Choose bin values for a distribution over the integers.  Narrow distributions are spread across the chart
+ * using fractional intervals which land exactly on every integer; wide ones group several integers per bin.
+ * @param {number} min The smallest integer to cover.
+ * @param {number} max The largest integer to cover.
+ * @param {number} numberOfBins (optional) The number of bins, Distributions.defaultNumberOfBins if omitted.
+ * @returns {Array<number>} The bin values.
+ */
+Distributions.binValuesForIntegerRange = function(min, max, numberOfBins) {
+    numberOfBins = numberOfBins || Distributions.defaultNumberOfBins;
+    var lastIndex = numberOfBins - 1;
+    var span = Math.max(max - min, 1);
+    var interval, extraBins;
+    if (span <= lastIndex) {
+        var binsPerInteger = Math.floor(lastIndex / span);
+        interval = 1 / binsPerInteger;
+        extraBins = lastIndex - span * binsPerInteger;
+    }
+    else {
+        interval = Math.ceil(span / lastIndex);
+        extraBins = lastIndex - Math.ceil(span / interval);
+    }
+    var start = Math.max(min - Math.floor(extraBins / 2) * interval, 0);
+    return Distributions.valuesStartingAt(start, interval, numberOfBins);
+};
+
+
+/**
+ * Compute population frequencies for a continuous distribution.
+ * @param {Array<number>} values The bin values.
+ * @param {function(number) : number} cumulative The cumulative distribution function.
+ * @param {Array<number>} edges (optional) The bin boundaries, for bins of varying width.
+ * @returns {Array<number>} The frequencies, summing to approximately Distributions.populationSize.
+ */
+Distributions.continuousFrequencies = function(values, cumulative, edges) {
+    edges = edges || HistogramData.edgesForValues(values);
+    return values.map(function(value, index) {
+        var probability = cumulative(edges[index + 1]) - cumulative(edges[index]);
+        return Math.round(probability * Distributions.populationSize);
+    });
+};
+
+
+/**
+ * Compute population frequencies for a distribution over the integers.
+ * @param {Array<number>} values The bin values.
+ * @param {number} min The smallest integer with non-zero probability.
+ * @param {number} max The largest integer with non-zero probability.
+ * @param {function(number) : number} probability The probability mass function.
+ * @param {Array<number>} edges (optional) The bin boundaries, for bins of varying width.
+ * @returns {Array<number>} The frequencies, summing to approximately Distributions.populationSize.
+ */
+Distributions.discreteFrequencies = function(values, min, max, probability, edges) {
+    var frequencies = values.map(function() {
+        return 0;
+    });
+    var allEdges = edges || HistogramData.edgesForValues(values);
+    for (var k = min; k <= max; k++) {
+        if (k >= allEdges[0] && k < allEdges[allEdges.length - 1]) {
+            frequencies[HistogramData.binIndexForDataPoint(k, values, edges)] += probability(k);
+        }
+    }
+    return frequencies.map(function(frequency) {
+        return Math.round(frequency * Distributions.populationSize);
+    });
+};
+
+
+/**
+ * @param {Array<number>} values The bin values.
+ * @param {number} mean The mean.
+ * @param {number} sd The standard deviation.
+ * @param {Array<number>} edges (optional) The bin boundaries, for bins of varying width.
+ * @returns {Array<number>} The frequencies of a normal population over the given bin values.
+ */
+Distributions.normalFrequencies = function(values, mean, sd, edges) {
+    return Distributions.continuousFrequencies(values, function(x) {
+        return 1 - StatisticsFunctions.zprob((x - mean) / sd);
+    }, edges);
+};
+
+
+/**
+ * @param {Array<number>} values The bin values.
+ * @param {number} n The number of trials.
+ * @param {number} p The probability of success.
+ * @param {Array<number>} edges (optional) The bin boundaries, for bins of varying width.
+ * @returns {Array<number>} The frequencies of a binomial population over the given bin values.
+ */
+Distributions.binomialFrequencies = function(values, n, p, edges) {
+    return Distributions.discreteFrequencies(values, 0, n, function(k) {
+        return StatisticsFunctions.binomialProbability(k, n, p);
+    }, edges);
+};
+
+
+/**
+ * @param {Array<number>} values The bin values.
+ * @param {number} lambda The mean.
+ * @param {Array<number>} edges (optional) The bin boundaries, for bins of varying width.
+ * @returns {Array<number>} The frequencies of a Poisson population over the given bin values.
+ */
+Distributions.poissonFrequencies = function(values, lambda, edges) {
+    var max = Math.ceil(lambda + 10 * Math.sqrt(lambda) + 10);
+    if (edges) {
+        max = Math.max(max, Math.floor(edges[edges.length - 1]));
+    }
+    return Distributions.discreteFrequencies(values, 0, max, function(k) {
+        return StatisticsFunctions.poissonProbability(k, lambda);
+    }, edges);
+};
+
+/**
+ * @param {Array<number>} values The bin values.
+ * @param {number} min The lower bound.
+ * @param {number} max The upper bound.
+ * @param {Array<number>} edges (optional) The bin boundaries, for bins of varying width.
+ * @returns {Array<number>} The frequencies of a continuous uniform population over the given bin values.
+ */
+Distributions.uniformRangeFrequencies = function(values, min, max, edges) {
+    return Distributions.continuousFrequencies(values, function(x) {
+        return (Math.min(Math.max(x, min), max) - min) / (max - min);
+    }, edges);
+};
+
+
+/**
+ * Frequencies of a gamma shaped population stretched across the bin values, with its long tail to the
+ * right, or mirrored to put the long tail on the left.
+ * @param {Array<number>} values The bin values, starting at zero.
+ * @param {number} shape The gamma shape parameter.  Smaller shapes are more strongly skewed.
+ * @param {string} direction 'Right' or 'Left'.
+ * @param {Array<number>} edges (optional) The bin boundaries, for bins of varying width.
+ * @returns {Array<number>} The frequencies.
+ */
+Distributions.skewedFrequencies = function(values, shape, direction, edges) {
+    var allEdges = edges || HistogramData.edgesForValues(values);
+    var bottom = allEdges[0];
+    var top = allEdges[allEdges.length - 1];
+    var scale = top / (shape + 6 * Math.sqrt(shape));
+    var cumulative = function(x) {
+        return StatisticsFunctions.regularizedGammaP(shape, Math.max(x, 0) / scale);
+    };
+    if (direction === 'Left') {
+        // Mirror the population across the middle of the bins
+        return Distributions.continuousFrequencies(values, function(x) {
+            return 1 - cumulative(bottom + top - x);
+        }, edges);
+    }
+    return Distributions.continuousFrequencies(values, cumulative, edges);
+};
+
+
+Distributions.uniformFrequencies = function(constant, numberOfBins) {
+    numberOfBins = numberOfBins || Distributions.defaultNumberOfBins;
+    var result = [];
+    for (var i = 0; i < numberOfBins; i++) {
+        result.push(constant);
+    }
+    return result;
+};
+
+
+/**
+ * @param {number} mean The mean.
+ * @param {number} sd The standard deviation.
+ * @param {Array<number>} edges (optional) Bin boundaries to use instead of equally spaced bins.
+ * @param {number} numberOfBins (optional) The number of equally spaced bins, when no edges are given.
+ * @returns {HistogramData} A normal population.
+ */
+Distributions.normal = function(mean, sd, edges, numberOfBins) {
+    var values = edges ? HistogramData.valuesForEdges(edges) :
+                         Distributions.binValuesForRange(mean - 4 * sd, mean + 4 * sd, numberOfBins);
+    return new HistogramData(values, Distributions.normalFrequencies(values, mean, sd, edges), undefined, undefined,
+                             edges);
+};
+
+
+/**
+ * @param {number} n The number of trials.
+ * @param {number} p The probability of success.
+ * @param {Array<number>} edges (optional) Bin boundaries to use instead of equally spaced bins.
+ * @param {number} numberOfBins (optional) The number of equally spaced bins, when no edges are given.
+ * @returns {HistogramData} A binomial population.
+ */
+Distributions.binomial = function(n, p, edges, numberOfBins) {
+    var mean = n * p;
+    var sd = Math.sqrt(n * p * (1 - p));
+    var min = Math.max(Math.floor(mean - 6 * sd), 0);
+    var max = Math.min(Math.ceil(mean + 6 * sd), n);
+    var values = edges ? HistogramData.valuesForEdges(edges) :
+                         Distributions.binValuesForIntegerRange(min, max, numberOfBins);
+    return new HistogramData(values, Distributions.binomialFrequencies(values, n, p, edges), undefined, undefined,
+                             edges);
+};
+
+
+/**
+ * @param {number} lambda The mean.
+ * @param {Array<number>} edges (optional) Bin boundaries to use instead of equally spaced bins.
+ * @param {number} numberOfBins (optional) The number of equally spaced bins, when no edges are given.
+ * @returns {HistogramData} A Poisson population.
+ */
+Distributions.poisson = function(lambda, edges, numberOfBins) {
+    var sd = Math.sqrt(lambda);
+    var min = Math.max(Math.floor(lambda - 6 * sd), 0);
+    var max = Math.ceil(lambda + 6 * sd);
+    var values = edges ? HistogramData.valuesForEdges(edges) :
+                         Distributions.binValuesForIntegerRange(min, max, numberOfBins);
+    return new HistogramData(values, Distributions.poissonFrequencies(values, lambda, edges), undefined, undefined,
+                             edges);
+};
+
+/**
+ * @param {number} shape The gamma shape parameter.
+ * @param {string} direction 'Right' or 'Left'.
+ * @param {Array<number>} edges (optional) Bin boundaries to use instead of equally spaced bins.
+ * @param {number} numberOfBins (optional) The number of equally spaced bins, when no edges are given.
+ * @returns {HistogramData} A skewed population on the integers from 0, one per bin.
+ */
+Distributions.skewed = function(shape, direction, edges, numberOfBins) {
+    var values = edges ? HistogramData.valuesForEdges(edges) : Distributions.integerValues(numberOfBins);
+    return new HistogramData(values, Distributions.skewedFrequencies(values, shape, direction, edges), undefined,
+                             undefined, edges);
+};
+
+
+/**
+ * @param {number} min The lower bound.
+ * @param {number} max The upper bound.
+ * @param {Array<number>} edges (optional) Bin boundaries to use instead of equally spaced bins.
+ * @param {number} numberOfBins (optional) The number of equally spaced bins, when no edges are given.
+ * @returns {HistogramData} A continuous uniform population.
+ */
+Distributions.uniform = function(min, max, edges, numberOfBins) {
+    var values = edges ? HistogramData.valuesForEdges(edges) : Distributions.binValuesForRange(min, max, numberOfBins);
+    return new HistogramData(values, Distributions.uniformRangeFrequencies(values, min, max, edges), undefined,
+                             undefined, edges);
+};
+
+
+/**
+ * @param {Array<number>} edges (optional) Bin boundaries to use instead of equally spaced bins.
+ * @param {number} numberOfBins (optional) The number of equally spaced bins, when no edges are given.
+ * @returns {HistogramData} An empty population on the integers from 0, one per bin, to be drawn with the mouse.
+ */
+Distributions.custom = function(edges, numberOfBins) {
+    if (edges) {
+        return HistogramData.makeEmpty(HistogramData.valuesForEdges(edges), edges);
+    }
+    return HistogramData.makeEmpty(Distributions.integerValues(numberOfBins));
+};
+
+
+/**
+ * Fit an imported population to the chosen bins.  Populations imported with another number of bins are spread
+ * across the current number, over the same range.
+ * @param {HistogramData} imported The imported population.
+ * @param {Array<number>} edges (optional) Bin boundaries to use instead of equally spaced bins.
+ * @param {number} numberOfBins (optional) The number of equally spaced bins, when no edges are given.
+ * @returns {HistogramData} The population, a copy so that dragging its bars leaves the import intact.
+ */
+Distributions.imported = function(imported, edges, numberOfBins) {
+    numberOfBins = numberOfBins || Distributions.defaultNumberOfBins;
+    if (edges) {
+        return imported.rebin(HistogramData.valuesForEdges(edges), edges);
+    }
+    if (imported.edges || imported.numberOfBins() !== numberOfBins) {
+        return imported.rebin(Distributions.binValuesForRange(imported.minValue(), imported.maxValue(), numberOfBins));
+    }
+    return new HistogramData(imported.values.slice(), imported.frequencies.slice(), imported.sum,
+                             imported.sumOfSquares);
+};
+
+
+/**
+ * @returns {Object} The parameters shown when the page is first opened.
+ */
+Distributions.defaultParameters = function() {
+    return {
+        mean : 0,
+        sd : 1,
+        n : 8,
+        p : 0.5,
+        lambda : 1,
+        min : 0,
+        max : 1,
+        skew : 'Right',
+        shape : 2,
+        importedPopulation : undefined,
+        numberOfBins : Distributions.defaultNumberOfBins,
+        binEdges : undefined,
+        samplingModel : 'auto'
+    };
+};
+
+
+/**
+ * Check the parameters used by a distribution.
+ * @param {string} name The name of the distribution: 'Normal', 'Binomial', 'Poisson', 'Uniform', 'Skewed',
+ * 'Custom' or 'Imported'.
+ * @param {Object} parameters The parameters, as returned by defaultParameters.
+ * @returns {string} An error message, or the empty string if the parameters are valid.
+ */
+Distributions.validateParameters = function(name, parameters) {
+    var numberOfBins = parameters.numberOfBins;
+    if (!(numberOfBins >= Distributions.minimumNumberOfBins && numberOfBins <= Distributions.maximumNumberOfBins &&
+          numberOfBins === Math.floor(numberOfBins))) {
+        return 'The number of bins must be a whole number from ' + Distributions.minimumNumberOfBins + ' to ' +
+               Distributions.maximumNumberOfBins + '.';
+    }
+    var edges = parameters.binEdges;
+    if (edges) {
+        var increasing = edges.length >= 3 && edges.length <= Distributions.maximumNumberOfBins + 1;
+        for (var i = 0; i < edges.length; i++) {
+            increasing = increasing && isFinite(edges[i]) && (i === 0 || edges[i] > edges[i - 1]);
+        }
+        if (!increasing) {
+            return 'The bin edges must be 3 to ' + (Distributions.maximumNumberOfBins + 1) + ' increasing numbers.';
+        }
+    }
+    if (parameters.samplingModel && Distributions.samplingModels.indexOf(parameters.samplingModel) === -1) {
+        return 'Choose a sampling model from the list.';
+    }
+    if (name === 'Normal') {
+        if (!isFinite(parameters.mean) || !(parameters.sd > 0 && isFinite(parameters.sd))) {
+            return 'The mean must be a number and the SD must be positive.';
+        }
+    }
+    else if (name === 'Binomial') {
+        var n = parameters.n;
+        if (!(n >= 1 && n === Math.floor(n) && isFinite(n)) || !(parameters.p >= 0 && parameters.p <= 1)) {
+            return 'n must be a positive whole number and p must be between 0 and 1.';
+        }
+    }
+    else if (name === 'Poisson') {
+        if (!(parameters.lambda > 0 && isFinite(parameters.lambda))) {
+            return 'Lambda must be positive.';
+        }
+    }
+    else if (name === 'Uniform') {
+        if (!isFinite(parameters.min) || !isFinite(parameters.max) || !(parameters.max > parameters.min)) {
+            return 'The maximum must be greater than the minimum.';
+        }
+    }
+    else if (name === 'Skewed') {
+        if (!(parameters.shape >= 0.5 && parameters.shape <= 100)) {
+            return 'The shape must be between 0.5 and 100.';
+        }
+    }
+    else if (name === 'Imported') {
+        if (!parameters.importedPopulation) {
+            return 'Load a population from data first.';
+        }
+    }
+    return '';
+};
+
+
+/**
+ * The sampling models which can be chosen: 'auto', or one of SamplingEngine.samplingModels.
+ */
+Distributions.samplingModels = ['auto', 'discrete', 'uniform', 'linear'];
+
+
+/**
+ * Choose how values are drawn within the bins of a population.  Unless a model has been chosen, continuous
+ * populations are sampled continuously and populations of whole numbers give exact bin values.
+ * @param {string} name The name of the distribution, as accepted by validateParameters.
+ * @param {Object} parameters The parameters, as returned by defaultParameters.
+ * @returns {string} One of SamplingEngine.samplingModels.
+ */
+Distributions.samplingModel = function(name, parameters) {
+    if (parameters.samplingModel && parameters.samplingModel !== 'auto') {
+        return parameters.samplingModel;
+    }
+    if (name === 'Normal' || name === 'Skewed') {
+        return 'linear';
+    }
+    else if (name === 'Uniform') {
+        return 'uniform';
+    }
+    else if (name === 'Imported') {
+        // Imported raw data is continuous unless every value in it is a whole number
+        var imported = parameters.importedPopulation;
+        for (var i = 0; i < imported.numberOfBins(); i++) {
+            if (imported.frequencies[i] > 0 && imported.values[i] !== Math.round(imported.values[i])) {
+                return 'uniform';
+            }
+        }
+    }
+    return 'discrete';
+};
+
+
+/**
+ * Build a population from a named distribution.  The parameters should be checked with validateParameters first.
+ * The population has equally spaced bins, numberOfBins of them, unless binEdges are given.
+ * @param {string} name The name of the distribution, as accepted by validateParameters.
+ * @param {Object} parameters The parameters, as returned by defaultParameters.
+ * @returns {HistogramData} The population.
+ */
+Distributions.make = function(name, parameters) {
+    var edges = parameters.binEdges;
+    var numberOfBins = parameters.numberOfBins;
+    if (name === 'Normal') {
+        return Distributions.normal(parameters.mean, parameters.sd, edges, numberOfBins);
+    }
+    else if (name === 'Binomial') {
+        return Distributions.binomial(parameters.n, parameters.p, edges, numberOfBins);
+    }
+    else if (name === 'Poisson') {
+        return Distributions.poisson(parameters.lambda, edges, numberOfBins);
+    }
+    else if (name === 'Uniform') {
+        return Distributions.uniform(parameters.min, parameters.max, edges, numberOfBins);
+    }
+    else if (name === 'Skewed') {
+        return Distributions.skewed(parameters.shape, parameters.skew, edges, numberOfBins);
+    }
+    else if (name === 'Imported') {
+        return Distributions.imported(parameters.importedPopulation, edges, numberOfBins);
+    }
+    return Distributions.custom(edges, numberOfBins);
+};
+
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Distributions;
+}
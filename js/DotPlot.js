@@ -0,0 +1,91 @@
+"use strict";
+
+if (typeof require !== 'undefined') {
+  var Chart = require('./Chart.js');
+}
+
+/**
+ * @constructor
+ * Draws a HistogramData as a dot plot: a stack of dots above each bin value, one for each observation.  When the
+ * tallest stack would not fit, each dot stands for several observations, as noted under the title.
+ * @param {Element} $div The div to build the chart in.  Width and height are inherited from this div.
+ * @param {string} title The title.
+ * @param {HistogramData} histogramData The data to display.
+ */
+var DotPlot = function($div, title, histogramData) {
+  Chart.call(this, $div, histogramData);
+  this.dotColor = '#404040'; // dark gray
+  this.minimumDotSize = 4; // Pixels
+  this.buildCanvas(title);
+  this.redraw();
+  return this;
+};
+
+
+DotPlot.prototype = Object.create(Chart.prototype);
+
+
+/**
+ * Work out how many dots to stack above each bin.
+ * @param {HistogramData} histogramData The data.
+ * @param {number} maximumRows The most dots which fit in a stack.
+ * @return {{observationsPerDot: number, dots: Array<number>}} The number of observations each dot stands for,
+ * and the number of dots above each bin.  A partly filled last dot is drawn as a whole one.
+ */
+DotPlot.stacks = function(histogramData, maximumRows) {
+  var largest = Math.max.apply(null, histogramData.frequencies.concat([0]));
+  var observationsPerDot = Math.max(Math.ceil(largest / Math.max(maximumRows, 1)), 1);
+  return {
+    observationsPerDot : observationsPerDot,
+    dots : histogramData.frequencies.map(function(frequency) {
+      return Math.ceil(frequency / observationsPerDot);
+    })
+  };
+};
+
+
+/**
+ * Draw the stacks of dots over the value axis.
+ */
+DotPlot.prototype.redraw = function() {
+  var canvas = this.$canvas.get(0);
+  var context = canvas.getContext('2d');
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  this.drawValueAxis(context);
+  var data = this.histogramData;
+  if (data.numberOfObservations() < 1) {
+    return;
+  }
+  // Dots are as wide as the narrowest bin, but no smaller than minimumDotSize
+  var edges = data.binEdges();
+  var narrowest = Infinity;
+  for (var i = 0; i < data.numberOfBins(); i++) {
+    narrowest = Math.min(narrowest, this.valueToCanvasX(edges[i + 1]) - this.valueToCanvasX(edges[i]));
+  }
+  var dotSize = Math.max(Math.min(Math.floor(narrowest), 10), this.minimumDotSize);
+  var bottom = canvas.height - this.bottomInset - 1;
+  var stacks = DotPlot.stacks(data, Math.floor((bottom - this.topInset) / dotSize));
+  var radius = dotSize / 2 - 0.5;
+
+  context.fillStyle = this.dotColor;
+  var self = this;
+  stacks.dots.forEach(function(numberOfDots, index) {
+    var x = self.valueToCanvasX(data.values[index]);
+    for (var row = 0; row < numberOfDots; row++) {
+      context.beginPath();
+      context.arc(x, bottom - (row + 0.5) * dotSize, radius, 0, 2 * Math.PI);
+      context.fill();
+    }
+  });
+  if (stacks.observationsPerDot > 1) {
+    context.textAlign = 'right';
+    context.fillText('Each dot is up to ' + stacks.observationsPerDot + ' values', canvas.width - this.rightInset,
+                     this.topInset - 4);
+    context.textAlign = 'center'; // Restore text align setting
+  }
+};
+
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DotPlot;
+}
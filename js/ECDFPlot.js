@@ -0,0 +1,96 @@
+"use strict";
+
+if (typeof require !== 'undefined') {
+  var Chart = require('./Chart.js');
+}
+
+/**
+ * @constructor
+ * Draws a HistogramData as its empirical cumulative distribution function: a step curve which rises at each bin
+ * value by the proportion of observations there, from 0 on the left to 1 on the right.
+ * @param {Element} $div The div to build the chart in.  Width and height are inherited from this div.
+ * @param {string} title The title.
+ * @param {HistogramData} histogramData The data to display.
+ */
+var ECDFPlot = function($div, title, histogramData) {
+  Chart.call(this, $div, histogramData);
+  this.curveColor = 'blue';
+  this.buildCanvas(title);
+  this.redraw();
+  return this;
+};
+
+
+ECDFPlot.prototype = Object.create(Chart.prototype);
+
+
+/**
+ * @param {HistogramData} histogramData The data.
+ * @return {Array<{value: number, proportion: number}>} The bin values where the curve rises, in order, with the
+ * proportion of observations at or below each.
+ */
+ECDFPlot.steps = function(histogramData) {
+  var numberOfObservations = histogramData.numberOfObservations();
+  var steps = [];
+  var total = 0;
+  histogramData.values.forEach(function(value, index) {
+    var frequency = histogramData.frequencies[index];
+    if (frequency > 0) {
+      total += frequency;
+      steps.push({ value : value, proportion : total / numberOfObservations });
+    }
+  });
+  return steps;
+};
+
+
+/**
+ * Draw the proportion axis and the step curve.
+ */
+ECDFPlot.prototype.redraw = function() {
+  var canvas = this.$canvas.get(0);
+  var context = canvas.getContext('2d');
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  this.drawValueAxis(context);
+  var top = this.topInset;
+  var bottom = canvas.height - this.bottomInset;
+  var left = this.leftInset;
+  var right = canvas.width - this.rightInset;
+  var toY = function(proportion) {
+    return Math.floor(bottom - proportion * (bottom - top)) + 0.5;
+  };
+
+  // Draw the proportion axis, with faint lines across at each quarter
+  context.textAlign = 'right';
+  [0, 0.25, 0.5, 0.75, 1].forEach(function(proportion) {
+    var y = toY(proportion);
+    context.strokeStyle = proportion === 0 ? 'black' : '#dddddd';
+    context.beginPath();
+    context.moveTo(left - 4, y);
+    context.lineTo(right, y);
+    context.stroke();
+    context.fillText(proportion, left - 6, y + 3);
+  });
+  context.textAlign = 'center'; // Restore text align setting
+  if (this.histogramData.numberOfObservations() < 1) {
+    return;
+  }
+
+  // Draw the curve: flat between the values, rising at each one
+  var self = this;
+  context.strokeStyle = this.curveColor;
+  context.beginPath();
+  context.moveTo(left, toY(0));
+  ECDFPlot.steps(this.histogramData).forEach(function(step, index, steps) {
+    var x = self.valueToCanvasX(step.value);
+    context.lineTo(x, toY(index > 0 ? steps[index - 1].proportion : 0));
+    context.lineTo(x, toY(step.proportion));
+  });
+  context.lineTo(right, toY(1));
+  context.stroke();
+};
+
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ECDFPlot;
+}
@@ -0,0 +1,90 @@
+"use strict";
+
+/**
+ * @constructor
+ * Undo and redo stacks of saved states.  Before each change, the state it changes is recorded; undoing swaps the
+ * current state for the last one recorded, and redoing swaps it back.  States are opaque to the history, so they
+ * should be copies which later changes can't alter.
+ * @param {number} limit The most states to keep for undoing.  The oldest are forgotten first.
+ */
+var EditHistory = function(limit) {
+  this.limit = limit || EditHistory.defaultLimit;
+  this.undoStates = [];
+  this.redoStates = [];
+  return this;
+};
+
+
+/**
+ * The number of changes which can be undone, unless a limit is given.
+ */
+EditHistory.defaultLimit = 50;
+
+
+/**
+ * Record the state before a change.  Anything which was undone can no longer be redone.
+ * @param {*} state The state.
+ */
+EditHistory.prototype.record = function(state) {
+  this.undoStates.push(state);
+  if (this.undoStates.length > this.limit) {
+    this.undoStates.shift();
+  }
+  this.redoStates = [];
+};
+
+
+/**
+ * @return {boolean} True if there is a change to undo.
+ */
+EditHistory.prototype.canUndo = function() {
+  return this.undoStates.length > 0;
+};
+
+
+/**
+ * @return {boolean} True if there is an undone change to redo.
+ */
+EditHistory.prototype.canRedo = function() {
+  return this.redoStates.length > 0;
+};
+
+
+/**
+ * @param {*} currentState The state now, which redo will return to.
+ * @return {*} The state before the last change, or undefined if there is nothing to undo.
+ */
+EditHistory.prototype.undo = function(currentState) {
+  if (!this.canUndo()) {
+    return undefined;
+  }
+  this.redoStates.push(currentState);
+  return this.undoStates.pop();
+};
+
+
+/**
+ * @param {*} currentState The state now, which undo will return to.
+ * @return {*} The state after the last undone change, or undefined if there is nothing to redo.
+ */
+EditHistory.prototype.redo = function(currentState) {
+  if (!this.canRedo()) {
+    return undefined;
+  }
+  this.undoStates.push(currentState);
+  return this.redoStates.pop();
+};
+
+
+/**
+ * Forget every change.
+ */
+EditHistory.prototype.clear = function() {
+  this.undoStates = [];
+  this.redoStates = [];
+};
+
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EditHistory;
+}
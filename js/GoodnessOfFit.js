@@ -0,0 +1,242 @@
+"use strict";
+
+if (typeof require !== 'undefined') {
+  var StatisticsFunctions = require('./StatisticsFunctions.js');
+}
+
+/**
+ * @constructor
+ * Tests whether the sample data fit the parent population with a chi-square goodness-of-fit test.  The expected
+ * count of each bin is its share of the population times the number of sample values; bins expected to hold
+ * too few values are merged with their neighbours.  The Pearson residual of each group of bins is drawn under
+ * the sample data, so the bins where the sample departs from the population stand out.
+ * @param {Element} $div The div to draw the residuals in.  Width and height are inherited from this div.
+ * @param {Sampling} sampling The sampling object which owns the parent population and the sample data.
+ */
+var GoodnessOfFit = function($div, sampling) {
+  this.$div = $div;
+  this.sampling = sampling;
+  this.topInset = 16;
+  this.bottomInset = 4;
+  this.minimumExpected = GoodnessOfFit.minimumExpected;
+  this.residualLimit = 2; // Residuals beyond this size are highlighted
+  this.residualColor = '#404040'; // dark gray
+  this.largeResidualColor = 'red';
+  var $canvas = $('<canvas width="' + $div.width() + '" height="' + $div.height() + '" class="chart"></canvas>');
+  $div.append($canvas);
+  this.$canvas = $canvas;
+  this.$title = $('<div class="absolute"></div>');
+  $div.append(this.$title);
+  this.$title.css('left', sampling.histogram2.leftInset);
+  this.reset();
+  return this;
+};
+
+
+/**
+ * Bins are merged until the expected count of each group is at least this large, the usual rule of thumb for
+ * the chi-square approximation.
+ */
+GoodnessOfFit.minimumExpected = 5;
+
+
+/**
+ * Merge neighbouring bins, from left to right, until each group is expected to hold enough values.  Bins left
+ * over at the right end join the last group.
+ * @param {Array<number>} observed The observed count of each bin.
+ * @param {Array<number>} expected The expected count of each bin.
+ * @param {number} minimumExpected The smallest expected count allowed in a group.
+ * @return {Array<{firstBin: number, lastBin: number, observed: number, expected: number}>} The groups, in order.
+ */
+GoodnessOfFit.mergeBins = function(observed, expected, minimumExpected) {
+  var groups = [];
+  var group;
+  for (var i = 0; i < expected.length; i++) {
+    if (!group) {
+      group = { firstBin : i, lastBin : i, observed : 0, expected : 0 };
+    }
+    group.lastBin = i;
+    group.observed += observed[i];
+    group.expected += expected[i];
+    if (group.expected >= minimumExpected) {
+      groups.push(group);
+      group = undefined;
+    }
+  }
+  if (group) {
+    if (groups.length > 0) {
+      var last = groups[groups.length - 1];
+      last.lastBin = group.lastBin;
+      last.observed += group.observed;
+      last.expected += group.expected;
+    }
+    else {
+      groups.push(group);
+    }
+  }
+  return groups;
+};
+
+
+/**
+ * Compare a sample with the population it was drawn from.
+ * @param {HistogramData} sample The sample data.
+ * @param {HistogramData} population The population, with the same bins as the sample.
+ * @param {number} minimumExpected (optional) The smallest expected count allowed in a group of bins.
+ * Defaults to GoodnessOfFit.minimumExpected.
+ * @return {{statistic: number, degreesOfFreedom: number, pValue: number, groups: Array<Object>}} The chi-square
+ * statistic, its degrees of freedom and p-value, and the groups of bins with their observed and expected counts
+ * and Pearson residuals.
+ */
+GoodnessOfFit.test = function(sample, population, minimumExpected) {
+  if (sample.numberOfBins() !== population.numberOfBins()) {
+    throw 'The sample and the population have different bins.';
+  }
+  var sampleSize = sample.numberOfObservations();
+  var populationSize = population.numberOfObservations();
+  if (sampleSize < 1 || populationSize < 1) {
+    throw 'The sample and the population must both have values.';
+  }
+  var expected = population.frequencies.map(function(frequency) {
+    return sampleSize * frequency / populationSize;
+  });
+  var groups = GoodnessOfFit.mergeBins(sample.frequencies, expected,
+                                       minimumExpected === undefined ? GoodnessOfFit.minimumExpected : minimumExpected);
+  var statistic = 0;
+  groups.forEach(function(group) {
+    group.residual = (group.observed - group.expected) / Math.sqrt(group.expected);
+    statistic += group.residual * group.residual;
+  });
+  var degreesOfFreedom = groups.length - 1;
+  return {
+    statistic : statistic,
+    degreesOfFreedom : degreesOfFreedom,
+    pValue : degreesOfFreedom > 0 ? StatisticsFunctions.chiSquareProbability(statistic, degreesOfFreedom) : undefined,
+    groups : groups
+  };
+};
+
+
+/**
+ * Clear the last test.
+ */
+GoodnessOfFit.prototype.reset = function() {
+  this.results = undefined;
+  this.redraw();
+  $('#goodnessOfFitMessage').html('');
+};
+
+
+/**
+ * Test the sample data drawn so far against the parent population, and show the results.
+ * @return {Object} The results returned by GoodnessOfFit.test, or undefined if there are no sample values.
+ */
+GoodnessOfFit.prototype.run = function() {
+  var sample = this.sampling.histogram2.histogramData;
+  var population = this.sampling.histogram1.histogramData;
+  if (sample.numberOfObservations() < 1) {
+    this.reset();
+    $('#goodnessOfFitMessage').html('Draw some sample values first.');
+    return undefined;
+  }
+  var results;
+  try {
+    results = GoodnessOfFit.test(sample, population, this.minimumExpected);
+  }
+  catch (error) {
+    this.reset();
+    $('#goodnessOfFitMessage').html(error);
+    return undefined;
+  }
+  this.results = results;
+  this.redraw();
+  $('#goodnessOfFitMessage').html(results.degreesOfFreedom > 0 ? '' :
+      'Too few sample values: all of the bins had to be merged into one.');
+  return results;
+};
+
+
+/**
+ * Draw the residual of each group of bins as a bar under the bins of the sample data, with lines at plus and
+ * minus residualLimit.
+ */
+GoodnessOfFit.prototype.redraw = function() {
+  var canvas = this.$canvas.get(0);
+  var context = canvas.getContext('2d');
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  this.updateResultsDisplay(this.results);
+  if (!this.results) {
+    this.$title.html('');
+    return;
+  }
+  this.$title.html('Residuals (observed - expected) / &radic;expected');
+
+  var histogram = this.sampling.histogram2;
+  var leftInset = histogram.leftInset;
+  var columnEdges = histogram.columnEdges;
+  var groups = this.results.groups;
+  var largest = this.residualLimit + 1;
+  groups.forEach(function(group) {
+    largest = Math.max(largest, Math.abs(group.residual));
+  });
+  var top = this.topInset;
+  var halfHeight = (canvas.height - top - this.bottomInset) / 2;
+  var zeroY = Math.floor(top + halfHeight) + 0.5;
+  var residualToY = function(residual) {
+    return zeroY - residual / largest * halfHeight;
+  };
+
+  var self = this;
+  groups.forEach(function(group) {
+    var left = leftInset + columnEdges[group.firstBin];
+    var right = leftInset + columnEdges[group.lastBin + 1];
+    var y = residualToY(group.residual);
+    context.fillStyle = Math.abs(group.residual) > self.residualLimit ? self.largeResidualColor : self.residualColor;
+    context.fillRect(left + 1, Math.min(y, zeroY), Math.max(right - left - 2, 1), Math.abs(y - zeroY));
+  });
+
+  // Draw the axis, the limits and their labels
+  var right = leftInset + columnEdges[columnEdges.length - 1];
+  context.strokeStyle = 'black';
+  context.beginPath();
+  context.moveTo(leftInset, zeroY);
+  context.lineTo(right, zeroY);
+  context.stroke();
+  context.strokeStyle = this.largeResidualColor;
+  context.fillStyle = 'black';
+  context.font = '9px Times New Roman';
+  context.textAlign = 'right';
+  [-this.residualLimit, 0, this.residualLimit].forEach(function(residual) {
+    var y = Math.floor(residualToY(residual)) + 0.5;
+    if (residual !== 0) {
+      context.beginPath();
+      context.moveTo(leftInset, y);
+      context.lineTo(right, y);
+      context.stroke();
+    }
+    context.fillText(residual, leftInset - 8, y + 2);
+  });
+  context.textAlign = 'center'; // Restore text align setting
+};
+
+
+/**
+ * Show the results of the last test.
+ * @param {Object} results The results returned by GoodnessOfFit.test, or undefined to clear them.
+ */
+GoodnessOfFit.prototype.updateResultsDisplay = function(results) {
+  if (!results) {
+    $('#goodnessOfFitStatistic, #goodnessOfFitDF, #goodnessOfFitP, #goodnessOfFitGroups').html('');
+    return;
+  }
+  $('#goodnessOfFitStatistic').html(StatisticsFunctions.formatValue(results.statistic));
+  $('#goodnessOfFitDF').html(results.degreesOfFreedom.toFixed(0));
+  $('#goodnessOfFitP').html(results.pValue === undefined ? '' : results.pValue.toFixed(4));
+  $('#goodnessOfFitGroups').html(results.groups.length + ' of ' +
+                                 this.sampling.histogram2.histogramData.numberOfBins());
+};
+
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GoodnessOfFit;
+}
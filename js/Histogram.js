@@ -8,14 +8,11 @@
  * @param {boolean} yTicks Display tick marks on the y axis.
  * @param {number} yIntervals The number of intervals to show on the y Axis.
  * @param {boolean} plotStats
- * @param {boolean} editable Is this histogram's data editable by clicking with the mouse.
+ * @param {boolean} editable Is this histogram's data editable with the mouse, by touch or from the keyboard.
  */
 var Histogram = function($div, title, histogramData, yTicks, yIntervals, plotStats, editable) {
+    Chart.call(this, $div, histogramData);
     var self = this; // Capture reference to 'this' to use in closures
-    this.$div = $div;
-    this.histogramData = histogramData;
-    var width = $div.width();
-    var numberOfBins = histogramData.numberOfBins();
     this.shouldPlotStats = plotStats;
     this.topInset = 16;
     this.bottomInset = 16;
@@ -23,17 +20,19 @@ var Histogram = function($div, title, histogramData, yTicks, yIntervals, plotSta
     this.showYTicks = yTicks;
     this.yIntervals = yIntervals;
     this.fitNormal = false;
-    var contentWidth = width - this.leftInset;
-    var columnWidth = Math.floor(contentWidth / numberOfBins);
-    this.columnWidth = columnWidth;
-    // Create a canvas for drawing axes and stat visual indicators
+    this.overlay = undefined;
+    this.overlayProbabilities = undefined; // The bin probabilities of a discrete overlay, kept between redraws
+    this.overlayColor = 'darkorange';
+    this.markers = [];
+    this.editable = editable;
+    this.editStartCallback = undefined; // Called with this histogram before each edit by the user
+    this.editing = false; // True while a drag is changing the data
+    // Create a canvas for drawing axes and stat visual indicators.  Screen readers use the data table instead.
     var $canvas = $('<canvas width="' + $div.width() + '" height="' + $div.height() + '" class="chart"></canvas>');
     $canvas.css('zIndex', 1);
+    $canvas.attr('aria-hidden', 'true');
     $div.append($canvas);
     this.$canvas = $canvas;
-    if (editable) {
-        this.makeEditable();
-    }
 
     // Create title
     this.$title = $('<div class="absolute">' + title + '</div>');
@@ -48,20 +47,22 @@ var Histogram = function($div, title, histogramData, yTicks, yIntervals, plotSta
     this.$div.append($histogramContentArea);
     this.$histogramContentArea = $histogramContentArea;
 
-    // Create columns and bars
-    var bars = [];
-    for (var i = 0; i < numberOfBins; i++) {
-        // 'column' is invisible, and runs from top to bottom of the histogram
-        var $column = $('<div class="histogram_column"></div>')
-        // 'bar' is visible and colored, and its height is determined by the data
-        var $bar = $('<div class="histogram_bar"></div>');
-        $bar.css('bottom', 0); // Fix bar to bottom of histogram
-        $column.append($bar);
-        $histogramContentArea.append($column);
-        $column.width(columnWidth);
-        bars.push($bar);
+    // Create a table of the data, which is hidden from view but read by screen readers
+    this.$dataTable = $('<table class="visuallyHidden"><caption></caption><thead><tr><th scope="col">Value</th>' +
+                        '<th scope="col">Frequency</th></tr></thead><tbody></tbody></table>');
+    this.$dataTable.find('caption').html(title);
+    this.$div.append(this.$dataTable);
+
+    // Create columns and bars.  Columns of an editable histogram are sliders; otherwise the table describes them.
+    this.bars = [];
+    this.buildColumns(histogramData);
+    if (editable) {
+        $histogramContentArea.attr({ role : 'group', 'aria-label' : this.$title.text() });
+        this.makeEditable();
+    }
+    else {
+        $histogramContentArea.attr('aria-hidden', 'true');
     }
-    this.bars = bars;
     this.barColor = '#404040'; // Default to dark gray
     // Install event handlers to track document-wide mouse state
     self.mouseDown = false;
@@ -70,10 +71,9 @@ var Histogram = function($div, title, histogramData, yTicks, yIntervals, plotSta
     });
     $(document).mouseup(function() {
         self.mouseDown = false;
+        self.editing = false;
     });
 
-    // Create observer table
-    this.observers = {};
     // Display the data
     this.setHistogramData(histogramData);
 
@@ -84,30 +84,132 @@ var Histogram = function($div, title, histogramData, yTicks, yIntervals, plotSta
 };
 
 
+Histogram.prototype = Object.create(Chart.prototype);
+
+
 /**
  * Update the histogram data.
  * @param {HistogramData} histogramData The new data to display.
  */
 Histogram.prototype.setHistogramData = function(histogramData) {
+  var columnEdges = this.columnEdgesFor(histogramData);
+  if (columnEdges.join() !== this.columnEdges.join()) {
+    this.buildColumns(histogramData);
+  }
   this.histogramData = histogramData;
+  this.showsDensity = !histogramData.hasEqualWidths();
   this.computeTransforms();
+  var frequencies = this.displayedFrequencies();
   var numberOfBins = histogramData.numberOfBins();
   for (var i = 0; i < numberOfBins; i++) {
       var $bar = this.bars[i];
-      var height = this.frequencyToHeight(histogramData.frequencies[i]);
+      var height = this.frequencyToHeight(frequencies[i]);
       $bar.height(height);
   }
+  this.updateAccessibleData();
   this.notifyObserversOfChange();
   this.redraw();
 };
 
 
 /**
- * Set the title of the chart.
+ * Set the title of the histogram and of its data table.
  * @param newTitle The new title
  */
 Histogram.prototype.setTitle = function(newTitle) {
-  this.$title.html(newTitle);
+  Chart.prototype.setTitle.call(this, newTitle);
+  this.$dataTable.find('caption').html(newTitle);
+  if (this.editable) {
+    this.$histogramContentArea.attr('aria-label', this.$title.text());
+  }
+};
+
+
+/**
+ * Find where the boundaries between columns go.  Equally wide bins get columns a whole number of pixels wide;
+ * otherwise each column is as wide as its bin in proportion.
+ * @param {HistogramData} histogramData The histogram data.
+ * @return {Array<number>} The left edge of each column and the right edge of the last one, in pixels from the
+ * left of the content area.
+ */
+Histogram.prototype.columnEdgesFor = function(histogramData) {
+  var numberOfBins = histogramData.numberOfBins();
+  var columnWidth = Math.floor((this.$div.width() - this.leftInset) / numberOfBins);
+  var columnEdges = [];
+  if (histogramData.hasEqualWidths()) {
+    for (var i = 0; i <= numberOfBins; i++) {
+      columnEdges.push(i * columnWidth);
+    }
+  }
+  else {
+    var edges = histogramData.binEdges();
+    var contentWidth = columnWidth * numberOfBins;
+    var span = edges[numberOfBins] - edges[0];
+    for (var i = 0; i <= numberOfBins; i++) {
+      columnEdges.push(Math.round((edges[i] - edges[0]) / span * contentWidth));
+    }
+  }
+  return columnEdges;
+};
+
+
+/**
+ * Replace the columns and bars to suit the bins of new data.  Bars keep the color they had.
+ * @param {HistogramData} histogramData The histogram data.
+ */
+Histogram.prototype.buildColumns = function(histogramData) {
+  var color = this.bars.length > 0 ? this.bars[0].get(0).style.backgroundColor : '';
+  this.bars.forEach(function($bar) {
+    $bar.parent().remove();
+  });
+  var columnEdges = this.columnEdgesFor(histogramData);
+  var numberOfBins = histogramData.numberOfBins();
+  var bars = [];
+  var $tableBody = this.$dataTable.find('tbody');
+  $tableBody.empty();
+  for (var i = 0; i < numberOfBins; i++) {
+      // 'column' is invisible, and runs from top to bottom of the histogram
+      var $column = $('<div class="histogram_column"></div>')
+      // 'bar' is visible and colored, and its height is determined by the data
+      var $bar = $('<div class="histogram_bar"></div>');
+      $bar.css('bottom', 0); // Fix bar to bottom of histogram
+      $bar.css('background-color', color);
+      $column.append($bar);
+      this.$histogramContentArea.append($column);
+      $column.width(columnEdges[i + 1] - columnEdges[i]);
+      if (this.editable) {
+          // Only one column is in the tab order; the arrow keys move between them
+          $column.attr({ tabindex : i === 0 ? 0 : -1, role : 'slider', 'aria-valuemin' : 0 });
+      }
+      bars.push($bar);
+      $tableBody.append('<tr><th scope="row">' + histogramData.values[i] + '</th><td></td></tr>');
+  }
+  this.bars = bars;
+  this.columnEdges = columnEdges;
+};
+
+
+/**
+ * @param {number} index The index of a bin.
+ * @return {number} The factor from the frequency of the bin to the height it is drawn at.  Bins of varying width
+ * are drawn as densities, in observations per average bin width, so that wide bins don't look more common.
+ */
+Histogram.prototype.displayScale = function(index) {
+  if (!this.showsDensity) {
+    return 1;
+  }
+  return this.histogramData.step() / this.histogramData.binWidth(index);
+};
+
+
+/**
+ * @return {Array<number>} The frequencies as drawn: densities when the bins vary in width.
+ */
+Histogram.prototype.displayedFrequencies = function() {
+  var self = this;
+  return this.histogramData.frequencies.map(function(frequency, index) {
+    return frequency * self.displayScale(index);
+  });
 };
 
 
@@ -120,6 +222,38 @@ Histogram.prototype.setFitNormal = function(shouldFitNormal) {
 };
 
 
+/**
+ * Draw a theoretical distribution over the bars, scaled to the number of observations.
+ * @param {Object} overlay A distribution made by TheoreticalDistributions, or undefined for none.
+ */
+Histogram.prototype.setOverlay = function(overlay) {
+  this.overlay = overlay;
+  this.redraw();
+};
+
+
+/**
+ * Set the vertical marker lines drawn across the histogram, for example to show an observed statistic.
+ * @param {Array<{value: number, color: string}>} markers The markers.
+ */
+Histogram.prototype.setMarkers = function(markers) {
+  this.markers = markers;
+  this.redraw();
+};
+
+
+/**
+ * Color each bar individually, for example to shade a tail area.
+ * @param {function(number) : string} colorForValue A function which takes a bin value and returns its bar color.
+ */
+Histogram.prototype.setBarColorsByValue = function(colorForValue) {
+  var values = this.histogramData.values;
+  this.bars.forEach(function($bar, index) {
+    $bar.css('background-color', colorForValue(values[index]));
+  });
+};
+
+
 /**
  * Set bar color.
  * @param newColor The new bar color.
@@ -140,7 +274,7 @@ Histogram.prototype.computeTransforms = function() {
     var minFrequency = 0;
     var maxFrequency = 0;
     var theSame = true;
-    var frequencies = this.histogramData.frequencies;
+    var frequencies = this.displayedFrequencies();
     for (var i = 0; i < frequencies.length; i++) {
         if (isNaN(frequencies[i])) {
           console.log('Error, frequencies[' + i + '] === NaN');
@@ -199,10 +333,43 @@ Histogram.prototype.frequencyToHeight = function(frequency) {
  * @return {number} An x coordinate relative to this histogram canvas.
  */
 Histogram.prototype.valueToCanvasX = function(value) {
-  // Assumes that each column increments by 1
-  var step = this.histogramData.step();
-  var start= this.histogramData.values[0];
-  return ((value-start)  / step) * this.columnWidth + this.leftInset + (this.columnWidth / 2);
+  // Values beyond the ends are placed by extending the first or last column
+  var data = this.histogramData;
+  var edges = data.binEdges();
+  var index = HistogramData.binIndexForDataPoint(value, data.values, data.edges);
+  var columnWidth = this.columnEdges[index + 1] - this.columnEdges[index];
+  var fraction = (value - edges[index]) / (edges[index + 1] - edges[index]);
+  return this.columnEdges[index] + fraction * columnWidth + this.leftInset;
+};
+
+
+/**
+ * @param {number} x An x coordinate relative to the left of the content area.
+ * @return {number} The index of the column at that point, which is the number of bins if it's past the last one.
+ */
+Histogram.prototype.columnIndexAtX = function(x) {
+  var numberOfBins = this.histogramData.numberOfBins();
+  for (var i = 0; i < numberOfBins; i++) {
+    if (x < this.columnEdges[i + 1]) {
+      return i;
+    }
+  }
+  return numberOfBins;
+};
+
+
+/**
+ * Convert an X coordinate to a value.  The inverse of valueToCanvasX.
+ * @param {number} x An x coordinate relative to this histogram canvas.
+ * @return {number} The value.
+ */
+Histogram.prototype.canvasXToValue = function(x) {
+  var edges = this.histogramData.binEdges();
+  var contentX = x - this.leftInset;
+  var index = Math.min(this.columnIndexAtX(contentX), this.histogramData.numberOfBins() - 1);
+  var columnWidth = this.columnEdges[index + 1] - this.columnEdges[index];
+  var fraction = (contentX - this.columnEdges[index]) / columnWidth;
+  return edges[index] + fraction * (edges[index + 1] - edges[index]);
 };
 
 
@@ -218,8 +385,17 @@ Histogram.prototype.makeEditable = function() {
     var x = pageX - self.$div.offset().left - self.leftInset;
     // console.log('x=' + x + ' y=' + y);  // Log touch position
     if (x > 0 && y > 0) {
-      var columnIndex = Math.floor(x / self.columnWidth);
-      var frequencyValue = Math.round(self.heightToFrequency(y));
+      var columnIndex = self.columnIndexAtX(x);
+      var frequencyValue = Math.round(self.heightToFrequency(y) / self.displayScale(columnIndex));
+      if (columnIndex >= self.histogramData.numberOfBins() ||
+          frequencyValue === self.histogramData.frequencies[columnIndex]) {
+        return;
+      }
+      // The whole drag is one edit
+      if (!self.editing) {
+        self.editing = true;
+        self.startEdit();
+      }
       self.updateValueAtIndex(columnIndex, frequencyValue);
     }
   };
@@ -246,7 +422,119 @@ Histogram.prototype.makeEditable = function() {
       event.preventDefault();
     }
   }, false);
+  canvas.addEventListener('touchend', function() {
+    self.editing = false;
+  }, false);
+
+  // Install keyboard handlers on the columns: up and down change a frequency, left and right move between bins
+  this.$histogramContentArea.on('keydown', '.histogram_column', function(event) {
+    var index = $(this).index();
+    var frequency = self.histogramData.frequencies[index];
+    var maximum = self.maximumEditableFrequency(index);
+    var newFrequency;
+    switch (event.key) {
+      case 'ArrowLeft':
+        self.focusColumn(index - 1);
+        break;
+      case 'ArrowRight':
+        self.focusColumn(index + 1);
+        break;
+      case 'ArrowUp':
+        newFrequency = frequency + 1;
+        break;
+      case 'ArrowDown':
+        newFrequency = frequency - 1;
+        break;
+      case 'PageUp':
+        newFrequency = frequency + Histogram.largeKeyboardStep;
+        break;
+      case 'PageDown':
+        newFrequency = frequency - Histogram.largeKeyboardStep;
+        break;
+      case 'Home':
+        newFrequency = 0;
+        break;
+      case 'End':
+        newFrequency = maximum;
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+    if (newFrequency !== undefined) {
+      newFrequency = Math.min(Math.max(newFrequency, 0), Math.max(maximum, frequency));
+      if (newFrequency !== frequency) {
+        self.startEdit();
+        self.updateValueAtIndex(index, newFrequency);
+      }
+    }
+  });
+};
+
+
+/**
+ * Tell the editStartCallback, if there is one, that the user is about to change the data.
+ */
+Histogram.prototype.startEdit = function() {
+  if (this.editStartCallback) {
+    this.editStartCallback(this);
+  }
+};
+
+
+/**
+ * How much Page Up and Page Down change a frequency by.
+ */
+Histogram.largeKeyboardStep = 10;
+
+
+/**
+ * @param {number} index The index of a bin.
+ * @return {number} The largest frequency which can be set for the bin: the one whose bar reaches the top of the
+ * histogram, as with the mouse.
+ */
+Histogram.prototype.maximumEditableFrequency = function(index) {
+  return Math.floor(this.heightToFrequency(this.$histogramContentArea.height()) / this.displayScale(index));
+};
+
+
+/**
+ * Move the keyboard focus to a column of an editable histogram, making it the one in the tab order.
+ * @param {number} index The index of the column.  Nothing happens if there is no such column.
+ */
+Histogram.prototype.focusColumn = function(index) {
+  if (index < 0 || index >= this.bars.length) {
+    return;
+  }
+  var $column = this.bars[index].parent();
+  this.$histogramContentArea.children('.histogram_column').attr('tabindex', -1);
+  $column.attr('tabindex', 0);
+  $column.focus();
+};
 
+
+/**
+ * Bring the data table, and the sliders of an editable histogram, up to date with the bin values and frequencies.
+ */
+Histogram.prototype.updateAccessibleData = function() {
+  var data = this.histogramData;
+  var $headings = this.$dataTable.find('tbody th');
+  var $cells = this.$dataTable.find('tbody td');
+  var editable = this.editable;
+  var self = this;
+  this.bars.forEach(function($bar, index) {
+    var frequency = data.frequencies[index];
+    // The bins can change without the columns being rebuilt, when their number stays the same
+    $headings.eq(index).text(data.values[index]);
+    $cells.eq(index).text(frequency);
+    if (editable) {
+      $bar.parent().attr({
+        'aria-valuenow' : frequency,
+        'aria-valuemax' : Math.max(self.maximumEditableFrequency(index), frequency),
+        'aria-valuetext' : 'Value ' + data.values[index] + ', frequency ' + frequency
+      });
+    }
+  });
 };
 
 
@@ -260,20 +548,58 @@ Histogram.prototype.clearCanvas = function() {
 };
 
 
+/**
+ * @return The context to draw on: the canvas's own, or the one an export is being drawn on.
+ */
+Histogram.prototype.drawingContext = function() {
+  return this.exportContext || this.$canvas.get(0).getContext('2d');
+};
+
+
 /**
  * Redraw the canvas.
  */
 Histogram.prototype.redraw = function() {
   this.clearCanvas();
+  this.drawCanvasContents();
+};
+
+
+/**
+ * Draw the axes, statistics, fits, overlay and markers.  The bars and title are divs, so they are not drawn here.
+ */
+Histogram.prototype.drawCanvasContents = function() {
   if (this.fitNormal) {
     this.drawNormalDistributionFit();
   }
+  if (this.overlay) {
+    this.drawOverlay();
+  }
   if (this.shouldPlotStats && this.histogramData.numberOfObservations() > 1) {
       this.plotStatistics();
   }
   else {
     this.drawAxes();
   }
+  this.drawMarkers();
+};
+
+
+/**
+ * Draw the vertical marker lines.
+ */
+Histogram.prototype.drawMarkers = function() {
+  var canvas = this.$canvas.get(0);
+  var context = this.drawingContext();
+  var self = this;
+  this.markers.forEach(function(marker) {
+    var x = Math.floor(self.valueToCanvasX(marker.value)) + 0.5;
+    context.beginPath();
+    context.strokeStyle = marker.color;
+    context.moveTo(x, self.topInset);
+    context.lineTo(x, canvas.height - self.bottomInset);
+    context.stroke();
+  });
 };
 
 
@@ -286,17 +612,17 @@ Histogram.prototype.drawAxes = function() {
     var leftInset = this.leftInset;
     var tickMarkHeight = 5;
     var canvas = this.$canvas.get(0);
-    var context = canvas.getContext('2d');
+    var context = this.drawingContext();
     context.beginPath();
     context.strokeStyle = 'black';
     context.moveTo(leftInset - 0.5, this.topInset);
     // Draw Y axis
     context.lineTo(leftInset - 0.5, canvas.height - bottomInset - 0.5);
     // Draw X axis
-    context.lineTo(this.columnWidth * numberOfBins + leftInset, canvas.height - bottomInset - 0.5);
+    context.lineTo(this.columnEdges[numberOfBins] + leftInset, canvas.height - bottomInset - 0.5);
     // Draw horizontal tick marks
     for (var i = 0; i < numberOfBins; i++) {
-        var x = (i * this.columnWidth) - 0.5 + leftInset;
+        var x = this.columnEdges[i] - 0.5 + leftInset;
         context.moveTo(x, canvas.height - bottomInset);
         context.lineTo(x, canvas.height - bottomInset + tickMarkHeight);
     }
@@ -320,18 +646,19 @@ Histogram.prototype.drawAxes = function() {
         context.fillText(frequencyLabel, leftInset - 8, y + 2);
       }
     }
-    // Draw horizontal axis labels
+    // Draw horizontal axis labels under about every eighth bin, skipping any which would overlap
     var values = this.histogramData.values;
     context.textAlign = 'center'; // Restore text align setting
-    context.fillText(values[0], leftInset, canvas.height - bottomInset + 12);
-    context.fillText(values[Math.floor(numberOfBins/8*1)], leftInset+45, canvas.height - bottomInset+12);
-    context.fillText(values[Math.floor(numberOfBins/8*2)], leftInset+85, canvas.height - bottomInset+12);
-    context.fillText(values[Math.floor(numberOfBins/8*3)], leftInset+125, canvas.height - bottomInset+12);
-    context.fillText(values[Math.floor(numberOfBins/8*4)], leftInset+165, canvas.height - bottomInset+12);
-    context.fillText(values[Math.floor(numberOfBins/8*5)], leftInset+205, canvas.height - bottomInset+12);
-    context.fillText(values[Math.floor(numberOfBins/8*6)], leftInset+245, canvas.height - bottomInset+12);
-    context.fillText(values[Math.floor(numberOfBins/8*7)], leftInset+285, canvas.height - bottomInset+12);       
-    context.fillText(values[numberOfBins - 1], leftInset+325, canvas.height - bottomInset + 12);
+    var minimumLabelSpacing = 30;
+    var lastLabelX = -minimumLabelSpacing;
+    for (var i = 0; i <= 8; i++) {
+        var index = i === 8 ? numberOfBins - 1 : Math.floor(numberOfBins / 8 * i);
+        var labelX = this.valueToCanvasX(values[index]);
+        if (labelX - lastLabelX >= minimumLabelSpacing) {
+            context.fillText(values[index], labelX, canvas.height - bottomInset + 12);
+            lastLabelX = labelX;
+        }
+    }
 };
 
 
@@ -348,41 +675,11 @@ Histogram.prototype.updateValueAtIndex = function(index, newValue) {
 
     this.histogramData.frequencies[index] = newValue;
     this.histogramData.computeSums();
-    var newHeight = this.frequencyToHeight(newValue);
+    var newHeight = this.frequencyToHeight(newValue * this.displayScale(index));
     this.bars[index].height(newHeight);
+    this.updateAccessibleData();
     this.notifyObserversOfChange();
-    if (this.shouldPlotStats) {
-        this.plotStatistics();
-    }
-};
-
-
-/**
- * @param observer A function which takes no arguments, and is called whenever the values change.
- * @param context A string which is used to identify this observer uniquely.
- */
-Histogram.prototype.addObserver = function(observer, context) {
-    this.observers[context] = observer;
-};
-
-
-/**
- * @param context A string which identifies this observer uniquely;
- */
-Histogram.prototype.removeObserver = function(context) {
-    delete this.observers[context];
-};
-
-
-/**
- * Notify all of our observers when values change.
- */
-Histogram.prototype.notifyObserversOfChange = function() {
-    for (var context in this.observers) {
-      if (this.observers.hasOwnProperty(context)) {
-          this.observers[context](this);
-      }
-    }
+    this.redraw();
 };
 
 
@@ -395,17 +692,17 @@ Histogram.prototype.plotStatistics = function() {
     var sdColor = 'red';
 
     var canvas = this.$canvas.get(0);
-    var context = canvas.getContext('2d');
+    var context = this.drawingContext();
 
     var mean = this.histogramData.mean();
     var meanX = Math.floor(this.valueToCanvasX(mean)) + 0.5;
     var median = this.histogramData.median();
     var medianX = Math.floor(this.valueToCanvasX(median)) + 0.5;
     var sd = this.histogramData.standardDeviation();
-    var sdX = Math.round(sd * this.columnWidth / this.histogramData.step());
+    var sdLeftX = Math.floor(this.valueToCanvasX(mean - sd)) + 0.5;
+    var sdRightX = Math.floor(this.valueToCanvasX(mean + sd)) + 0.5;
     var totalHeight = this.bottomInset - 1;
     var halfHeight = totalHeight / 2;
-    context.clearRect(0, canvas.height - totalHeight, canvas.width, totalHeight);
     this.drawAxes();
     // Draw mean tickmark
     context.beginPath();
@@ -422,10 +719,10 @@ Histogram.prototype.plotStatistics = function() {
     // Draw standard deviation
     context.beginPath();
     context.strokeStyle = sdColor;
-    context.moveTo(meanX + sdX, canvas.height - totalHeight);
-    context.lineTo(meanX + sdX, canvas.height - halfHeight);
-    context.lineTo(meanX - sdX, canvas.height - halfHeight);
-    context.lineTo(meanX - sdX, canvas.height - totalHeight);
+    context.moveTo(sdRightX, canvas.height - totalHeight);
+    context.lineTo(sdRightX, canvas.height - halfHeight);
+    context.lineTo(sdLeftX, canvas.height - halfHeight);
+    context.lineTo(sdLeftX, canvas.height - totalHeight);
     context.stroke();
 };
 
@@ -443,7 +740,7 @@ Histogram.prototype.drawNormalDistributionFit = function() {
   var bottomInset = this.bottomInset;
   var leftInset = this.leftInset;
   var canvas = this.$canvas.get(0);
-  var context = canvas.getContext('2d');
+  var context = this.drawingContext();
   var totalHeight = this.$histogramContentArea.height();
   var totalWidth = this.$histogramContentArea.width();
 
@@ -458,7 +755,7 @@ Histogram.prototype.drawNormalDistributionFit = function() {
 
   var temp = Math.sqrt(1.0/(2.0 * Math.PI));
   temp = temp * p / .3989;
-  var x = (this.histogramData.values[0] - step/2 - mean) / standardDeviation;
+  var x = (this.canvasXToValue(leftInset) - mean) / standardDeviation;
   var y = temp * Math.exp(-x*x/2);
 
   var screenX = leftInset;
@@ -468,14 +765,158 @@ Histogram.prototype.drawNormalDistributionFit = function() {
   context.moveTo(screenX, totalHeight - screenY + bottomInset - 0.5);
 
   var pixelStep = 5;
-  var unitsPerPixel = step / this.columnWidth;
-  var sdsPerPixel = unitsPerPixel / standardDeviation;  //sd's per pixel
   for (var i = 0; i < totalWidth; i += pixelStep) {
-    x += pixelStep * sdsPerPixel;
+    screenX += pixelStep;
+    x = (this.canvasXToValue(screenX) - mean) / standardDeviation;
     y = temp * Math.exp(-x * x / 2);
     screenY = Math.min(this.frequencyToHeight(y), totalHeight);
-    screenX += pixelStep;
     context.lineTo(screenX, totalHeight - screenY + bottomInset - 0.5);
   }
   context.stroke();
 };
+
+
+/**
+ * The probability of each bin under the discrete overlay.  They only change with the overlay and the bins, so they
+ * are kept rather than worked out again on every redraw, such as while a bar is dragged.
+ * @return {Array<number>} The probability of each bin.
+ */
+Histogram.prototype.binProbabilitiesForOverlay = function() {
+  var edges = this.histogramData.binEdges().join(',');
+  var cached = this.overlayProbabilities;
+  if (!cached || cached.overlay !== this.overlay || cached.edges !== edges) {
+    cached = {
+      overlay : this.overlay,
+      edges : edges,
+      probabilities : TheoreticalDistributions.binProbabilities(this.overlay, this.histogramData)
+    };
+    this.overlayProbabilities = cached;
+  }
+  return cached.probabilities;
+};
+
+
+/**
+ * Draw the theoretical distribution, scaled to the number of observations.  A density is drawn as a curve; a
+ * probability mass function as a level line across each bar at its expected frequency, with its name above.
+ */
+Histogram.prototype.drawOverlay = function() {
+  var overlay = this.overlay;
+  var data = this.histogramData;
+  var numberOfObservations = data.numberOfObservations();
+  if (numberOfObservations < 1) {
+    return;
+  }
+
+  var canvas = this.$canvas.get(0);
+  var context = this.drawingContext();
+  var totalHeight = this.$histogramContentArea.height();
+  var baseY = canvas.height - this.bottomInset - 0.5;
+  var leftInset = this.leftInset;
+  var columnEdges = this.columnEdges;
+  var self = this;
+  var screenY;
+
+  context.beginPath();
+  context.strokeStyle = this.overlayColor;
+  if (overlay.density) {
+    // Densities are in observations per average bin width, as bars of varying width are drawn
+    var scale = numberOfObservations * data.step();
+    var pixelStep = 2;
+    for (var screenX = leftInset; screenX <= leftInset + columnEdges[columnEdges.length - 1]; screenX += pixelStep) {
+      screenY = Math.min(this.frequencyToHeight(scale * overlay.density(this.canvasXToValue(screenX))), totalHeight);
+      if (screenX === leftInset) {
+        context.moveTo(screenX, baseY - screenY);
+      }
+      else {
+        context.lineTo(screenX, baseY - screenY);
+      }
+    }
+  }
+  else {
+    this.binProbabilitiesForOverlay().forEach(function(probability, index) {
+      if (probability > 0) {
+        var frequency = probability * numberOfObservations * self.displayScale(index);
+        screenY = Math.min(self.frequencyToHeight(frequency), totalHeight);
+        context.moveTo(leftInset + columnEdges[index], baseY - screenY);
+        context.lineTo(leftInset + columnEdges[index + 1], baseY - screenY);
+      }
+    });
+  }
+  context.stroke();
+
+  context.fillStyle = this.overlayColor;
+  context.font = '9px Times New Roman';
+  context.textAlign = 'right';
+  context.fillText(overlay.name, canvas.width - 2, this.topInset - 4);
+  context.textAlign = 'center'; // Restore text align setting
+};
+
+
+/**
+ * Draw the whole histogram, bars and title included, on a white background, as it looks on screen.
+ * @param context A canvas context, or an SVGContext, the size of the histogram's canvas.
+ */
+Histogram.prototype.renderTo = function(context) {
+  var canvas = this.$canvas.get(0);
+  context.fillStyle = 'white';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  // Draw the bars where their divs are, in their own colors
+  var frequencies = this.displayedFrequencies();
+  var totalHeight = this.$histogramContentArea.height();
+  var baseY = canvas.height - this.bottomInset;
+  var left = this.leftInset - 1;
+  var columnEdges = this.columnEdges;
+  var self = this;
+  this.bars.forEach(function($bar, index) {
+    var height = Math.min(Math.max(self.frequencyToHeight(frequencies[index]), 0), totalHeight);
+    if (height > 0) {
+      context.fillStyle = $bar.get(0).style.backgroundColor || $bar.css('background-color');
+      context.fillRect(left + columnEdges[index], baseY - height, columnEdges[index + 1] - columnEdges[index], height);
+    }
+  });
+
+  context.fillStyle = 'black';
+  context.font = '12px Calibri, sans-serif';
+  context.textAlign = 'left';
+  context.fillText(this.$title.text(), this.leftInset, 12);
+  context.textAlign = 'center'; // Restore text align setting
+
+  this.exportContext = context;
+  try {
+    this.drawCanvasContents();
+  }
+  finally {
+    this.exportContext = undefined;
+  }
+};
+
+
+/**
+ * @param {number} scale How many times larger than on screen the image should be.
+ * @return {string} The histogram as a standalone SVG document.
+ */
+Histogram.prototype.toSVG = function(scale) {
+  var canvas = this.$canvas.get(0);
+  var context = new SVGContext(canvas.width, canvas.height);
+  this.renderTo(context);
+  return context.toSVG(scale);
+};
+
+
+/**
+ * Draw the histogram as a PNG image.
+ * @param {number} scale How many times larger than on screen the image should be, for a sharper figure.
+ * @param {function(Blob)} callback Called with the image once it is made.
+ */
+Histogram.prototype.toPNG = function(scale, callback) {
+  var canvas = this.$canvas.get(0);
+  var imageCanvas = document.createElement('canvas');
+  imageCanvas.width = Math.round(canvas.width * scale);
+  imageCanvas.height = Math.round(canvas.height * scale);
+  var context = imageCanvas.getContext('2d');
+  context.scale(scale, scale);
+  this.renderTo(context);
+  imageCanvas.toBlob(callback, 'image/png');
+};
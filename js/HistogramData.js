@@ -1,5 +1,9 @@
 "use strict";
 
+if (typeof require !== 'undefined') {
+  var Stats = require('./Stats.js');
+}
+
 
 /**
  * @constructor
@@ -10,10 +14,13 @@
  * @param {Array} frequencies The frequency data to display.
  * @param {number} sum (optional) The precomputed sum.
  * @param {number} sumOfSquares (optional) The precomputed sum of squares.
+ * @param {Array<number>} edges (optional) The boundaries of the bins, one more than the number of bins, for bins
+ * of varying width.  When omitted the bins are equally spaced and each is centered on its value.
  */
-var HistogramData = function(values, frequencies, sum, sumOfSquares) {
+var HistogramData = function(values, frequencies, sum, sumOfSquares, edges) {
   this.values = values;
   this.frequencies = frequencies;
+  this.edges = edges;
   this.sumOfSquares = sumOfSquares;
   this.sum = sum;
   if (!sum && !sumOfSquares) {
@@ -24,12 +31,56 @@ var HistogramData = function(values, frequencies, sum, sumOfSquares) {
 
 
 /**
- * Find the column index for an arbitrary data point.
+ * @param {Array<number>} binValues Equally spaced bin values.
+ * @return {Array<number>} The boundaries of bins centered on the values.
+ */
+HistogramData.edgesForValues = function(binValues) {
+  var step = binValues.length > 1 ? binValues[1] - binValues[0] : 1;
+  var edges = binValues.map(function(value) {
+    return value - step / 2;
+  });
+  edges.push(binValues[binValues.length - 1] + step / 2);
+  return edges;
+};
+
+
+/**
+ * @param {Array<number>} edges Increasing bin boundaries.
+ * @return {Array<number>} The midpoint of each bin, to use as its value.
+ */
+HistogramData.valuesForEdges = function(edges) {
+  var values = [];
+  for (var i = 0; i < edges.length - 1; i++) {
+    values.push(parseFloat(((edges[i] + edges[i + 1]) / 2).toFixed(10)));
+  }
+  return values;
+};
+
+
+/**
+ * Find the column index for an arbitrary data point.  Data points outside the bins are counted in the first or
+ * last bin, and a data point on the boundary between two bins belongs to the upper one.
  * @param {number} dataPoint A single data point.
  * @param {Array<number>} binValues
+ * @param {Array<number>} edges (optional) The bin boundaries, for bins of varying width.
  * @return {number} The index of the column this data point belongs to.
  */
-HistogramData.binIndexForDataPoint = function(dataPoint, binValues) {
+HistogramData.binIndexForDataPoint = function(dataPoint, binValues, edges) {
+  if (edges) {
+    // Binary search for the last boundary at or below the data point
+    var low = 0;
+    var high = binValues.length - 1;
+    while (low < high) {
+      var middle = Math.ceil((low + high) / 2);
+      if (edges[middle] <= dataPoint) {
+        low = middle;
+      }
+      else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  }
   var step = binValues[1] - binValues[0];
   var binIndex = Math.round((dataPoint-binValues[0]) / step);
   return Math.min(Math.max(binIndex, 0), binValues.length - 1);
@@ -40,9 +91,10 @@ HistogramData.binIndexForDataPoint = function(dataPoint, binValues) {
  * Create a histogram with arbitrary data and bin values.
  * @param {Array<number>} datapoints The data set.
  * @param {Array<number>} binValues The midpoint values of the histogram bins.
+ * @param {Array<number>} edges (optional) The bin boundaries, for bins of varying width.
  * @return {HistogramData} A new histogram.
  */
-HistogramData.makeWithDataPoints = function(datapoints, binValues) {
+HistogramData.makeWithDataPoints = function(datapoints, binValues, edges) {
     var frequencies = [];
     // Initialize frequencies to 0
     for (var i = 0; i < binValues.length; i++) {
@@ -51,29 +103,42 @@ HistogramData.makeWithDataPoints = function(datapoints, binValues) {
     var sum = 0;
     var sumOfSquares = 0;
 
-    var step = binValues[1] - binValues[0];
     for (var i = 0; i < datapoints.length; i++) {
         var dataPoint = datapoints[i];
-        var binIndex = HistogramData.binIndexForDataPoint(dataPoint, binValues);
+        if (!isFinite(dataPoint)) {
+            // Undefined statistics, such as the geometric mean of negative values, can't be shown
+            continue;
+        }
+        var binIndex = HistogramData.binIndexForDataPoint(dataPoint, binValues, edges);
         frequencies[binIndex]++;
         sum = sum + dataPoint;
         sumOfSquares = sumOfSquares + (dataPoint * dataPoint);
     }
-    return new HistogramData(binValues, frequencies, sum, sumOfSquares);
+    return new HistogramData(binValues, frequencies, sum, sumOfSquares, edges);
 };
 
 
 /**
  * Make an empty histogram with the specified bin values.
  * @param binValues The bin values.
+ * @param {Array<number>} edges (optional) The bin boundaries, for bins of varying width.
  * @return {HistogramData} A new histogram.
  */
-HistogramData.makeEmpty = function (binValues) {
+HistogramData.makeEmpty = function (binValues, edges) {
     var frequencies = [];
     for (var i = 0; i < binValues.length; i++) {
         frequencies.push(0);
     }
-    return new HistogramData(binValues, frequencies, 0, 0);
+    return new HistogramData(binValues, frequencies, 0, 0, edges);
+};
+
+
+/**
+ * @param {HistogramData} histogramData A histogram.
+ * @return {HistogramData} A new, empty histogram with the same bins.
+ */
+HistogramData.makeEmptyLike = function(histogramData) {
+    return HistogramData.makeEmpty(histogramData.values, histogramData.edges);
 };
 
 
@@ -93,6 +158,11 @@ HistogramData.makeByCombiningData = function(histogramData1, histogramData2) {
   for (var i = 0; i < numberOfBins1; i++) {
     scaleSame = scaleSame && histogramData1.values[i] === histogramData2.values[i];
   }
+  var edges1 = histogramData1.binEdges();
+  var edges2 = histogramData2.binEdges();
+  for (var i = 0; i <= numberOfBins1; i++) {
+    scaleSame = scaleSame && Math.abs(edges1[i] - edges2[i]) <= 1e-9 * Math.max(Math.abs(edges1[i]), 1);
+  }
   if (!scaleSame) {
     throw 'Attempt to merge two histograms of different scale';
   }
@@ -104,7 +174,7 @@ HistogramData.makeByCombiningData = function(histogramData1, histogramData2) {
   var sum = histogramData1.sum + histogramData2.sum;
   var sumOfSquares = histogramData1.sumOfSquares + histogramData2.sumOfSquares;
 
-  return new HistogramData(histogramData1.values, newFrequencies, sum, sumOfSquares);
+  return new HistogramData(histogramData1.values, newFrequencies, sum, sumOfSquares, histogramData1.edges);
 };
 
 
@@ -127,13 +197,205 @@ HistogramData.prototype.computeSums = function() {
 
 
 /**
- * @return {number} The interval between one bin and the next.
+ * @return {number} The interval between one bin and the next.  For bins of varying width, the average width.
  */
 HistogramData.prototype.step = function() {
+  if (this.edges) {
+    return (this.edges[this.edges.length - 1] - this.edges[0]) / this.numberOfBins();
+  }
   return this.values[1] - this.values[0];
 };
 
 
+/**
+ * @return {Array<number>} The boundaries of the bins, one more than the number of bins.
+ */
+HistogramData.prototype.binEdges = function() {
+  return this.edges || HistogramData.edgesForValues(this.values);
+};
+
+
+/**
+ * @param {number} index The index of a bin.
+ * @return {number} The width of the bin.
+ */
+HistogramData.prototype.binWidth = function(index) {
+  if (this.edges) {
+    return this.edges[index + 1] - this.edges[index];
+  }
+  return this.step();
+};
+
+
+/**
+ * @return {boolean} True if every bin has the same width.
+ */
+HistogramData.prototype.hasEqualWidths = function() {
+  var step = this.step();
+  for (var i = 0; i < this.numberOfBins(); i++) {
+    if (Math.abs(this.binWidth(i) - step) > 1e-9 * step) {
+      return false;
+    }
+  }
+  return true;
+};
+
+
+/**
+ * @return {Array<number>} The frequency of each bin divided by its width.
+ */
+HistogramData.prototype.densities = function() {
+  var self = this;
+  return this.frequencies.map(function(frequency, index) {
+    return frequency / self.binWidth(index);
+  });
+};
+
+
+/**
+ * Convert the data to different bins.  The observations of each bin move to the new bin containing its value;
+ * the original data points are not known, so data is never spread across several new bins.  The sums, and so
+ * the mean and standard deviation, are kept.
+ * @param {Array<number>} binValues The new bin values.
+ * @param {Array<number>} edges (optional) The new bin boundaries, for bins of varying width.
+ * @return {HistogramData} A new histogram.
+ */
+HistogramData.prototype.rebin = function(binValues, edges) {
+  var frequencies = binValues.map(function() {
+    return 0;
+  });
+  for (var i = 0; i < this.numberOfBins(); i++) {
+    if (this.frequencies[i] !== 0) {
+      frequencies[HistogramData.binIndexForDataPoint(this.values[i], binValues, edges)] += this.frequencies[i];
+    }
+  }
+  return new HistogramData(binValues, frequencies, this.sum, this.sumOfSquares, edges);
+};
+
+
+/**
+ * Smooth the frequencies by averaging the density of each bin with its neighbours, weighted by a binomial kernel
+ * which is close to a normal curve, and by the width of each bin, so that a wide bin isn't taken to be crowded just
+ * because it is wide.  Near the ends only the bins which exist are averaged, so no observations are lost off the
+ * ends.  Frequencies are rounded to whole numbers.
+ * @param {number} radius How many bins on each side to average over.
+ */
+HistogramData.prototype.smooth = function(radius) {
+  var weights = [];
+  var weight = 1;
+  for (var k = 0; k <= 2 * radius; k++) {
+    weights.push(weight);
+    weight = weight * (2 * radius - k) / (k + 1);
+  }
+  var self = this;
+  var frequencies = this.frequencies;
+  var numberOfBins = this.numberOfBins();
+  this.frequencies = frequencies.map(function(frequency, index) {
+    var total = 0;
+    var totalWidth = 0;
+    for (var offset = -radius; offset <= radius; offset++) {
+      if (index + offset >= 0 && index + offset < numberOfBins) {
+        total += weights[offset + radius] * frequencies[index + offset];
+        totalWidth += weights[offset + radius] * self.binWidth(index + offset);
+      }
+    }
+    return Math.round(total / totalWidth * self.binWidth(index));
+  });
+  this.computeSums();
+};
+
+
+/**
+ * @return {boolean} True if the bins are a mirror image of themselves about the middle value, as equally wide bins
+ * always are, so that each bin has a mirror image bin of the same width.
+ */
+HistogramData.prototype.hasSymmetricBins = function() {
+  var edges = this.binEdges();
+  var last = edges.length - 1;
+  var middle = edges[0] + edges[last];
+  var tolerance = 1e-9 * Math.max(edges[last] - edges[0], 1e-9);
+  for (var i = 0; i <= last; i++) {
+    if (Math.abs(edges[i] + edges[last - i] - middle) > tolerance) {
+      return false;
+    }
+  }
+  return true;
+};
+
+
+/**
+ * Make the frequencies symmetric about the middle value, by averaging each with its mirror image.  The bins must
+ * be symmetric, see hasSymmetricBins.
+ */
+HistogramData.prototype.symmetrize = function() {
+  if (!this.hasSymmetricBins()) {
+    throw 'The bins must be a mirror image of themselves to make the population symmetric';
+  }
+  var frequencies = this.frequencies;
+  var last = this.numberOfBins() - 1;
+  this.frequencies = frequencies.map(function(frequency, index) {
+    return Math.round((frequency + frequencies[last - index]) / 2);
+  });
+  this.computeSums();
+};
+
+
+/**
+ * Scale all the frequencies in proportion so that they add up to a total.  They are rounded to whole numbers by
+ * giving the observations lost to rounding to the bins which lost most.
+ * @param {number} total The number of observations wanted.
+ */
+HistogramData.prototype.scaleTo = function(total) {
+  var current = this.numberOfObservations();
+  if (current <= 0) {
+    throw 'There are no observations to scale';
+  }
+  var scaled = this.frequencies.map(function(frequency) {
+    return frequency * total / current;
+  });
+  var frequencies = scaled.map(Math.floor);
+  var remaining = total - frequencies.reduce(function(a, b) {
+    return a + b;
+  }, 0);
+  scaled.map(function(frequency, index) {
+    return index;
+  }).sort(function(a, b) {
+    return (scaled[b] - frequencies[b]) - (scaled[a] - frequencies[a]) || a - b;
+  }).slice(0, remaining).forEach(function(index) {
+    frequencies[index]++;
+  });
+  this.frequencies = frequencies;
+  this.computeSums();
+};
+
+
+/**
+ * Move the frequencies along by a number of bins.  Bins left empty become zero, and observations moved past the
+ * end are dropped.
+ * @param {number} bins How many bins to move right; negative to move left.
+ */
+HistogramData.prototype.shift = function(bins) {
+  var frequencies = this.frequencies;
+  var numberOfBins = this.numberOfBins();
+  this.frequencies = frequencies.map(function(frequency, index) {
+    var from = index - bins;
+    return from >= 0 && from < numberOfBins ? frequencies[from] : 0;
+  });
+  this.computeSums();
+};
+
+
+/**
+ * Set any negative frequencies to zero.
+ */
+HistogramData.prototype.clampNegatives = function() {
+  this.frequencies = this.frequencies.map(function(frequency) {
+    return Math.max(frequency, 0);
+  });
+  this.computeSums();
+};
+
+
 /**
  * @returns {Stats} An object containing the results of computations.
  */
@@ -147,11 +409,19 @@ HistogramData.prototype.getStatistics = function() {
         this.standardDeviation(),
         this.range(), // range
         this.skew(mean, sd),
-        undefined, // MAD
+        this.meanAbsoluteDeviation(),
         sd * sd, // Variance
         this.kurtosis(mean, sd),
-        undefined // Variance(U)
+        this.varianceUnbiased()
     );
+    result.firstQuartile = this.firstQuartile();
+    result.thirdQuartile = this.thirdQuartile();
+    result.interquartileRange = this.interquartileRange();
+    result.mode = this.mode();
+    result.trimmedMean = this.trimmedMean();
+    result.geometricMean = this.geometricMean();
+    result.coefficientOfVariation = this.coefficientOfVariation();
+    result.medianAbsoluteDeviation = this.medianAbsoluteDeviation();
     return result;
 };
 
@@ -200,8 +470,13 @@ HistogramData.prototype.median = function() {
     for (var i = 0; i < numberOfBins; i++) {
         nc += this.frequencies[i];
         if (nc == IR) {
-            if ((i + 1) < numberOfBins) {
-              median = this.values[i] + (R-IR) * (this.values[i+1] - this.values[i]);
+            // Interpolate towards the next observation, which is in the next non-empty bin
+            var next = i + 1;
+            while (next < numberOfBins && this.frequencies[next] === 0) {
+              next++;
+            }
+            if (next < numberOfBins) {
+              median = this.values[i] + (R-IR) * (this.values[next] - this.values[i]);
               break;
             }
             else {
@@ -218,6 +493,177 @@ HistogramData.prototype.median = function() {
 };
 
 
+/**
+ * @param {number} k The position of an observation in sorted order, starting at 0.
+ * @returns {number} The value of that observation.
+ */
+HistogramData.prototype.orderStatistic = function(k) {
+    var count = 0;
+    for (var i = 0; i < this.numberOfBins(); i++) {
+        count += this.frequencies[i];
+        if (k < count) {
+            return this.values[i];
+        }
+    }
+    return this.maxValue();
+};
+
+
+/**
+ * Compute a quantile, interpolating linearly between order statistics like StatisticsFunctions.quantile.
+ * The bin values must be in increasing order.
+ * @param {number} p The proportion of the data below the quantile, between 0 and 1.
+ * @returns {number} The quantile.
+ */
+HistogramData.prototype.quantile = function(p) {
+    var position = (this.numberOfObservations() - 1) * p;
+    var lower = this.orderStatistic(Math.floor(position));
+    var upper = this.orderStatistic(Math.ceil(position));
+    return lower + (upper - lower) * (position - Math.floor(position));
+};
+
+
+/**
+ * @param {number} percent The percent of the data below the percentile, between 0 and 100.
+ * @returns {number} The percentile.
+ */
+HistogramData.prototype.percentile = function(percent) {
+    return this.quantile(percent / 100);
+};
+
+
+/**
+ * @returns {number} The first quartile.
+ */
+HistogramData.prototype.firstQuartile = function() {
+    return this.quantile(0.25);
+};
+
+
+/**
+ * @returns {number} The third quartile.
+ */
+HistogramData.prototype.thirdQuartile = function() {
+    return this.quantile(0.75);
+};
+
+
+/**
+ * @returns {number} The interquartile range.
+ */
+HistogramData.prototype.interquartileRange = function() {
+    return this.thirdQuartile() - this.firstQuartile();
+};
+
+
+/**
+ * @returns {number} The value of the bin with the highest frequency.  When several are equally high, the first.
+ */
+HistogramData.prototype.mode = function() {
+    var mode = 0;
+    for (var i = 1; i < this.numberOfBins(); i++) {
+        if (this.frequencies[i] > this.frequencies[mode]) {
+            mode = i;
+        }
+    }
+    return this.values[mode];
+};
+
+
+/**
+ * The mean after removing a proportion of the observations from each end.
+ * @param {number} proportion (optional) The proportion removed from each end, from 0 to less than 0.5.
+ * Defaults to 0.1.
+ * @returns {number} The trimmed mean.
+ */
+HistogramData.prototype.trimmedMean = function(proportion) {
+    if (proportion === undefined) {
+        proportion = 0.1;
+    }
+    var numberOfObservations = this.numberOfObservations();
+    var trimmed = Math.floor(numberOfObservations * proportion);
+    var first = trimmed;
+    var last = numberOfObservations - trimmed; // One past the last observation kept
+    var sum = 0;
+    var count = 0;
+    for (var i = 0; i < this.numberOfBins(); i++) {
+        // The observations in this bin are count to count + frequency - 1 in sorted order
+        var kept = Math.min(count + this.frequencies[i], last) - Math.max(count, first);
+        if (kept > 0) {
+            sum += kept * this.values[i];
+        }
+        count += this.frequencies[i];
+    }
+    return sum / (last - first);
+};
+
+
+/**
+ * @returns {number} The geometric mean, or NaN if any observation is not positive.
+ */
+HistogramData.prototype.geometricMean = function() {
+    var sumOfLogs = 0;
+    for (var i = 0; i < this.numberOfBins(); i++) {
+        if (this.frequencies[i] > 0) {
+            if (!(this.values[i] > 0)) {
+                return NaN;
+            }
+            sumOfLogs += this.frequencies[i] * Math.log(this.values[i]);
+        }
+    }
+    return Math.exp(sumOfLogs / this.numberOfObservations());
+};
+
+
+/**
+ * @returns {number} The standard deviation divided by the mean.
+ */
+HistogramData.prototype.coefficientOfVariation = function() {
+    return this.standardDeviation() / this.mean();
+};
+
+
+/**
+ * @returns {number} The variance, dividing by n - 1.
+ */
+HistogramData.prototype.varianceUnbiased = function() {
+    var sd = this.standardDeviation();
+    var numberOfObservations = this.numberOfObservations();
+    return sd * sd * numberOfObservations / (numberOfObservations - 1);
+};
+
+
+/**
+ * @returns {number} The mean absolute deviation from the mean.
+ */
+HistogramData.prototype.meanAbsoluteDeviation = function() {
+    var mean = this.mean();
+    var total = 0;
+    for (var i = 0; i < this.numberOfBins(); i++) {
+        total += this.frequencies[i] * Math.abs(this.values[i] - mean);
+    }
+    return total / this.numberOfObservations();
+};
+
+
+/**
+ * @returns {number} The median of the absolute deviations from the median.
+ */
+HistogramData.prototype.medianAbsoluteDeviation = function() {
+    var median = this.median();
+    var deviations = [];
+    for (var i = 0; i < this.numberOfBins(); i++) {
+        deviations.push({ value : Math.abs(this.values[i] - median), frequency : this.frequencies[i] });
+    }
+    deviations.sort(function(a, b) {return a.value - b.value;});
+    return new HistogramData(deviations.map(function(deviation) {
+        return deviation.value;
+    }), deviations.map(function(deviation) {
+        return deviation.frequency;
+    })).median();
+};
+
+
 /**
  * @returns {number} The standard deviation of the data set.
  */
@@ -225,7 +671,8 @@ HistogramData.prototype.standardDeviation = function() {
     var sum = this.sum;
     var sumOfSquares = this.sumOfSquares;
     var numberOfObservations = this.numberOfObservations();
-    return Math.sqrt((sumOfSquares - sum * sum / numberOfObservations ) / numberOfObservations);
+    // Rounding can make the variance of identical values slightly negative
+    return Math.sqrt(Math.max(sumOfSquares - sum * sum / numberOfObservations, 0) / numberOfObservations);
 };
 
 
@@ -304,3 +751,6 @@ HistogramData.prototype.kurtosis = function(mean, sd) {
 };
 
 
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HistogramData;
+}
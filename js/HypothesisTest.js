@@ -0,0 +1,211 @@
+"use strict";
+
+/**
+ * @constructor
+ * Simulates a z test for the population mean.  A sample is drawn from the parent population and its test
+ * statistic is compared with a null distribution built by sampling a copy of the population shifted so that its
+ * mean equals the null value.  The tail area of the simulated distribution gives an empirical p-value which is
+ * shown next to the theoretical one.
+ * @param {Element} $div The div to build the null distribution histogram in.
+ * @param {Sampling} sampling The sampling object which owns the parent population.
+ */
+var HypothesisTest = function($div, sampling) {
+  this.sampling = sampling;
+  this.histogram = new Histogram($div,
+      '',
+      HypothesisTest.makeEmptyNullDistribution(),
+      true,  /* yTicks */
+      10,    /* yIntervals */
+      false, /* shouldPlotStats */
+      false  /* editable */);
+  this.nullMean = 0;
+  this.alternative = 'notEqual';
+  this.sampleSize = 10;
+  this.numberOfSimulations = 1000;
+  this.tailColor = 'red';
+  this.bodyColor = '#404040'; // dark gray
+  this.statisticColor = 'blue';
+  this.reset();
+  return this;
+};
+
+
+/**
+ * @param {number} lowest (optional) The lowest statistic to cover.
+ * @param {number} highest (optional) The highest statistic to cover.
+ * @return {HistogramData} An empty histogram of z statistics, with bins from -4 to 4, widened if needed to cover
+ * lowest and highest.
+ */
+HypothesisTest.makeEmptyNullDistribution = function(lowest, highest) {
+  if (lowest < -4 || highest > 4) {
+    return HistogramData.makeEmpty(Distributions.binValuesForRange(Math.min(lowest, -4), Math.max(highest, 4), 33));
+  }
+  var values = [];
+  for (var i = 0; i < 33; i++) {
+    values.push(-4 + i * 0.25);
+  }
+  return HistogramData.makeEmpty(values);
+};
+
+
+/**
+ * Is a statistic at least as extreme as the observed one, in the direction of the alternative hypothesis?
+ * @param {number} statistic A test statistic.
+ * @param {number} observed The observed test statistic.
+ * @param {string} alternative 'notEqual', 'greater' or 'less'.
+ * @return {boolean}
+ */
+HypothesisTest.isInTail = function(statistic, observed, alternative) {
+  if (alternative === 'greater') {
+    return statistic >= observed;
+  }
+  else if (alternative === 'less') {
+    return statistic <= observed;
+  }
+  return Math.abs(statistic) >= Math.abs(observed);
+};
+
+
+/**
+ * @param {number} z The observed z statistic.
+ * @param {string} alternative 'notEqual', 'greater' or 'less'.
+ * @return {number} The p-value from the standard normal distribution.
+ */
+HypothesisTest.theoreticalPValue = function(z, alternative) {
+  if (alternative === 'greater') {
+    return StatisticsFunctions.zprob(z);
+  }
+  else if (alternative === 'less') {
+    return 1 - StatisticsFunctions.zprob(z);
+  }
+  return Math.min(2 * StatisticsFunctions.zprob(Math.abs(z)), 1);
+};
+
+
+/**
+ * Change the null value, the alternative, the sample size and the number of simulated samples.
+ * Clears the current test.
+ * @param {number} nullMean The population mean under the null hypothesis.
+ * @param {string} alternative 'notEqual', 'greater' or 'less'.
+ * @param {number} sampleSize The sample size.
+ * @param {number} numberOfSimulations The number of samples used to simulate the null distribution.
+ */
+HypothesisTest.prototype.setSettings = function(nullMean, alternative, sampleSize, numberOfSimulations) {
+  this.nullMean = nullMean;
+  this.alternative = alternative;
+  this.sampleSize = sampleSize;
+  this.numberOfSimulations = numberOfSimulations;
+  this.reset();
+};
+
+
+/**
+ * Clear the current test.
+ */
+HypothesisTest.prototype.reset = function() {
+  this.observedStatistic = undefined;
+  this.histogram.setMarkers([]);
+  this.histogram.setHistogramData(HypothesisTest.makeEmptyNullDistribution());
+  this.histogram.setBarColor(this.bodyColor);
+  this.histogram.setTitle('Simulated null distribution of z (n=' + this.sampleSize + ')');
+  this.updateResultsDisplay(undefined);
+};
+
+
+/**
+ * Draw a sample from the parent population, simulate the null distribution and compute p-values.
+ * @return {Object} The results, or undefined if the population is empty or has no spread.
+ */
+HypothesisTest.prototype.run = function() {
+  var population = this.sampling.histogram1.histogramData;
+  if (population.numberOfObservations() < 1) {
+    return undefined;
+  }
+  if (!(population.standardDeviation() > 0)) {
+    // The z statistic divides by the population SD
+    this.reset();
+    $('#htMessage').html('The population has no spread, so the z statistic can\'t be computed. ' +
+                         'Give the population more than one value first.');
+    return undefined;
+  }
+  var standardError = population.standardDeviation() / Math.sqrt(this.sampleSize);
+  var nullMean = this.nullMean;
+  var toStatistic = function(sampleMean) {
+    return (sampleMean - nullMean) / standardError;
+  };
+
+  var sample = this.sampling.sample(population, this.sampleSize);
+  var sampleMean = StatisticsFunctions.mean(sample);
+  var observed = toStatistic(sampleMean);
+
+  // The null population has the same shape as the parent population, but is centered on the null value
+  var shift = nullMean - population.mean();
+  var addShift = function(value) {
+    return value + shift;
+  };
+  var nullPopulation = new HistogramData(population.values.map(addShift), population.frequencies, undefined,
+                                         undefined, population.edges && population.edges.map(addShift));
+  var simulatedStatistics = this.sampling.sampleMany(nullPopulation, this.sampleSize, this.numberOfSimulations,
+                                                     StatisticsFunctions.mean).map(toStatistic);
+  var alternative = this.alternative;
+  var numberInTail = simulatedStatistics.filter(function(statistic) {
+    return HypothesisTest.isInTail(statistic, observed, alternative);
+  }).length;
+
+  // Widen the bins so that the observed statistic, its mirror image and every simulated one can be seen
+  var lowest = alternative === 'notEqual' ? -Math.abs(observed) : observed;
+  var highest = alternative === 'notEqual' ? Math.abs(observed) : observed;
+  simulatedStatistics.forEach(function(statistic) {
+    lowest = Math.min(lowest, statistic);
+    highest = Math.max(highest, statistic);
+  });
+  var nullDistribution = HistogramData.makeWithDataPoints(simulatedStatistics,
+      HypothesisTest.makeEmptyNullDistribution(lowest, highest).values);
+  this.histogram.setHistogramData(nullDistribution);
+  var self = this;
+  var halfStep = nullDistribution.step() / 2;
+  this.histogram.setBarColorsByValue(function(value) {
+    // Shade bins whose center lies in the tail; the bin containing the observed value straddles the cutoff
+    var inTail = HypothesisTest.isInTail(value, observed, alternative) ||
+                 Math.abs(value - observed) < halfStep ||
+                 (alternative === 'notEqual' && Math.abs(value + observed) < halfStep);
+    return inTail ? self.tailColor : self.bodyColor;
+  });
+  var markers = [{ value : observed, color : this.statisticColor }];
+  if (alternative === 'notEqual') {
+    markers.push({ value : -observed, color : this.statisticColor });
+  }
+  this.histogram.setMarkers(markers);
+  this.observedStatistic = observed;
+
+  var results = {
+    sampleMean : sampleMean,
+    statistic : observed,
+    numberInTail : numberInTail,
+    empiricalPValue : numberInTail / this.numberOfSimulations,
+    theoreticalPValue : HypothesisTest.theoreticalPValue(observed, alternative)
+  };
+  this.updateResultsDisplay(results);
+  return results;
+};
+
+
+/**
+ * Show the hypotheses and the results of the last test.
+ * @param {Object} results The results returned by run, or undefined to clear them.
+ */
+HypothesisTest.prototype.updateResultsDisplay = function(results) {
+  $('#htMessage').html('');
+  var symbols = { notEqual : '&ne;', greater : '&gt;', less : '&lt;' };
+  $('#htHypotheses').html('H<sub>0</sub>: &mu; = ' + this.nullMean + ', H<sub>a</sub>: &mu; ' +
+                          symbols[this.alternative] + ' ' + this.nullMean);
+  if (!results) {
+    $('#htSampleMean, #htStatistic, #htEmpiricalP, #htTheoreticalP').html('');
+    return;
+  }
+  $('#htSampleMean').html(StatisticsFunctions.formatValue(results.sampleMean));
+  $('#htStatistic').html(StatisticsFunctions.formatValue(results.statistic));
+  $('#htEmpiricalP').html(results.empiricalPValue.toFixed(4) + ' (' + results.numberInTail + ' of ' +
+                          this.numberOfSimulations + ')');
+  $('#htTheoreticalP').html(results.theoreticalPValue.toFixed(4));
+};
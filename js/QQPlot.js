@@ -0,0 +1,236 @@
+"use strict";
+
+if (typeof require !== 'undefined') {
+  var StatisticsFunctions = require('./StatisticsFunctions.js');
+}
+
+/**
+ * @constructor
+ * Draws a normal quantile-quantile plot of the sample values, or of the parent population or a sampling
+ * distribution.  Each point pairs an observed quantile with the quantile of the standard normal distribution at
+ * the same proportion, so data from a normal population lie close to a straight line.  The reference line passes
+ * through the quartiles.
+ * @param {Element} $div The div to draw the plot in.  Width and height are inherited from this div.
+ * @param {Sampling} sampling The sampling object which owns the sample values and the histograms.
+ */
+var QQPlot = function($div, sampling) {
+  this.$div = $div;
+  this.sampling = sampling;
+  this.topInset = 16;
+  this.bottomInset = 16;
+  this.leftInset = 45;
+  this.rightInset = 10;
+  this.source = 'sampleValues'; // One of the keys of QQPlot.sourceLabels
+  this.maximumNumberOfQuantiles = 100; // The number of points drawn for a histogram
+  this.pointColor = '#404040'; // dark gray
+  this.lineColor = 'red';
+  var $canvas = $('<canvas width="' + $div.width() + '" height="' + $div.height() + '" class="chart"></canvas>');
+  $div.append($canvas);
+  this.$canvas = $canvas;
+  this.$title = $('<div class="absolute"></div>');
+  $div.append(this.$title);
+  this.$title.css('left', this.leftInset);
+  this.update();
+  return this;
+};
+
+
+/**
+ * The data which can be plotted, with the names they are given in the title.
+ */
+QQPlot.sourceLabels = {
+  sampleValues : 'the sample values',
+  histogram1 : 'the parent population',
+  histogram3 : 'the first sampling distribution',
+  histogram4 : 'the second sampling distribution'
+};
+
+
+/**
+ * The proportions at which n ordered values are plotted, (i - 3/8) / (n + 1/4), which keeps the points of a normal
+ * sample close to the line.
+ * @param {number} n The number of values.
+ * @return {Array<number>} The proportions, between 0 and 1.
+ */
+QQPlot.plottingPositions = function(n) {
+  var positions = [];
+  for (var i = 1; i <= n; i++) {
+    positions.push((i - 0.375) / (n + 0.25));
+  }
+  return positions;
+};
+
+
+/**
+ * Make the reference line through the quartiles of the data and of the standard normal distribution.
+ * @param {number} firstQuartile The first quartile of the data.
+ * @param {number} thirdQuartile The third quartile of the data.
+ * @return {{intercept: number, slope: number}} The observed value as a function of the normal quantile.
+ */
+QQPlot.referenceLine = function(firstQuartile, thirdQuartile) {
+  var normalQuartile = StatisticsFunctions.normalQuantile(0.75);
+  return {
+    intercept : (firstQuartile + thirdQuartile) / 2,
+    slope : (thirdQuartile - firstQuartile) / (2 * normalQuartile)
+  };
+};
+
+
+/**
+ * @param {Array<number>} values The values.
+ * @return {{points: Array<{theoretical: number, observed: number}>, line: Object}} One point for each value, in
+ * order, and the reference line.
+ */
+QQPlot.pointsForValues = function(values) {
+  var sorted = values.slice().sort(function(a, b) {
+    return a - b;
+  });
+  var points = QQPlot.plottingPositions(sorted.length).map(function(position, index) {
+    return { theoretical : StatisticsFunctions.normalQuantile(position), observed : sorted[index] };
+  });
+  return {
+    points : points,
+    line : QQPlot.referenceLine(StatisticsFunctions.firstQuartile(values), StatisticsFunctions.thirdQuartile(values))
+  };
+};
+
+
+/**
+ * @param {HistogramData} histogramData The histogram.
+ * @param {number} maximumNumberOfQuantiles The largest number of points to plot.
+ * @return {{points: Array<{theoretical: number, observed: number}>, line: Object}} One point for each observation,
+ * or for evenly spaced observations if there are more than maximumNumberOfQuantiles, and the reference line.
+ */
+QQPlot.pointsForHistogramData = function(histogramData, maximumNumberOfQuantiles) {
+  var numberOfObservations = histogramData.numberOfObservations();
+  var numberOfPoints = Math.min(numberOfObservations, maximumNumberOfQuantiles);
+  var points = [];
+  for (var i = 0; i < numberOfPoints; i++) {
+    var proportion = numberOfPoints > 1 ? i / (numberOfPoints - 1) : 0.5;
+    // The quantile at this proportion is the observation of this rank, in order
+    var rank = (numberOfObservations - 1) * proportion + 1;
+    points.push({
+      theoretical : StatisticsFunctions.normalQuantile((rank - 0.375) / (numberOfObservations + 0.25)),
+      observed : histogramData.quantile(proportion)
+    });
+  }
+  return {
+    points : points,
+    line : QQPlot.referenceLine(histogramData.firstQuartile(), histogramData.thirdQuartile())
+  };
+};
+
+
+/**
+ * Choose the data to plot.
+ * @param {string} source One of the keys of QQPlot.sourceLabels.
+ */
+QQPlot.prototype.setSource = function(source) {
+  this.source = QQPlot.sourceLabels[source] ? source : 'sampleValues';
+  $('#qqSource').val(this.source);
+  this.update();
+};
+
+
+/**
+ * Recompute the points from the chosen data and redraw.
+ */
+QQPlot.prototype.update = function() {
+  var sampling = this.sampling;
+  if (this.source === 'sampleValues') {
+    this.plot = sampling.sampleValues.length > 1 ? QQPlot.pointsForValues(sampling.sampleValues) : undefined;
+  }
+  else {
+    var histogramData = sampling[this.source].histogramData;
+    this.plot = histogramData.numberOfObservations() > 1 ?
+        QQPlot.pointsForHistogramData(histogramData, this.maximumNumberOfQuantiles) : undefined;
+  }
+  this.$title.html('Normal Q-Q plot of ' + QQPlot.sourceLabels[this.source]);
+  this.redraw();
+};
+
+
+/**
+ * Draw the axes, the points and the reference line.
+ */
+QQPlot.prototype.redraw = function() {
+  var canvas = this.$canvas.get(0);
+  var context = canvas.getContext('2d');
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  if (!this.plot) {
+    return;
+  }
+  var points = this.plot.points;
+  var line = this.plot.line;
+
+  // Scale the axes to fit every point, with the normal quantiles symmetric about zero
+  var maximumZ = Math.max(Math.ceil(Math.abs(points[0].theoretical)), 1);
+  var minimumObserved = points[0].observed;
+  var maximumObserved = points[points.length - 1].observed;
+  if (maximumObserved === minimumObserved) {
+    minimumObserved -= 0.5;
+    maximumObserved += 0.5;
+  }
+  var left = this.leftInset;
+  var right = canvas.width - this.rightInset;
+  var top = this.topInset;
+  var bottom = canvas.height - this.bottomInset;
+  var toX = function(z) {
+    return left + (z + maximumZ) / (2 * maximumZ) * (right - left);
+  };
+  var toY = function(value) {
+    return bottom - (value - minimumObserved) / (maximumObserved - minimumObserved) * (bottom - top);
+  };
+
+  // Draw the axes, labelled with whole normal quantiles and with the smallest, middle and largest values
+  context.strokeStyle = 'black';
+  context.fillStyle = 'black';
+  context.font = '9px Times New Roman';
+  context.beginPath();
+  context.moveTo(left - 0.5, top);
+  context.lineTo(left - 0.5, bottom + 0.5);
+  context.lineTo(right, bottom + 0.5);
+  context.stroke();
+  context.textAlign = 'center';
+  for (var z = -maximumZ; z <= maximumZ; z++) {
+    var x = Math.floor(toX(z)) + 0.5;
+    context.beginPath();
+    context.moveTo(x, bottom);
+    context.lineTo(x, bottom + 4);
+    context.stroke();
+    context.fillText(z, x, bottom + 12);
+  }
+  context.textAlign = 'right';
+  [minimumObserved, (minimumObserved + maximumObserved) / 2, maximumObserved].forEach(function(value) {
+    var y = Math.floor(toY(value)) + 0.5;
+    context.beginPath();
+    context.moveTo(left, y);
+    context.lineTo(left - 4, y);
+    context.stroke();
+    context.fillText(StatisticsFunctions.formatValue(value), left - 6, y + 3);
+  });
+  context.textAlign = 'center'; // Restore text align setting
+
+  // Draw the reference line, clipped to the plot
+  context.save();
+  context.beginPath();
+  context.rect(left, top, right - left, bottom - top);
+  context.clip();
+  context.beginPath();
+  context.strokeStyle = this.lineColor;
+  context.moveTo(toX(-maximumZ), toY(line.intercept - line.slope * maximumZ));
+  context.lineTo(toX(maximumZ), toY(line.intercept + line.slope * maximumZ));
+  context.stroke();
+  context.restore();
+
+  // Draw the points
+  context.fillStyle = this.pointColor;
+  points.forEach(function(point) {
+    context.fillRect(toX(point.theoretical) - 1.5, toY(point.observed) - 1.5, 3, 3);
+  });
+};
+
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QQPlot;
+}
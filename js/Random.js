@@ -0,0 +1,49 @@
+"use strict";
+
+/**
+ * @constructor
+ * A seedable pseudo-random number generator (mulberry32).  The same seed always produces the same sequence,
+ * so a simulation can be reproduced exactly by restarting the generator from its seed.
+ * Any object with the same interface (next, setSeed and a seed property) can be used in its place,
+ * see SamplingEngine.prototype.setRandomGenerator.
+ * @param {number} seed (optional) A 32 bit unsigned integer.  A seed is chosen at random if omitted.
+ */
+var Random = function(seed) {
+  this.setSeed(seed === undefined ? Random.makeSeed() : seed);
+  return this;
+};
+
+
+/**
+ * @returns {number} A new seed chosen with Math.random().
+ */
+Random.makeSeed = function() {
+  return Math.floor(Math.random() * 4294967296);
+};
+
+
+/**
+ * Restart the sequence from a seed.
+ * @param {number} seed A 32 bit unsigned integer.
+ */
+Random.prototype.setSeed = function(seed) {
+  this.seed = seed >>> 0;
+  this.state = this.seed;
+};
+
+
+/**
+ * @returns {number} The next number in the sequence, uniformly distributed in [0, 1).
+ */
+Random.prototype.next = function() {
+  this.state = (this.state + 0x6D2B79F5) >>> 0;
+  var t = this.state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Random;
+}
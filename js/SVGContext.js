@@ -0,0 +1,192 @@
+"use strict";
+
+/**
+ * @constructor
+ * A stand-in for a canvas 2D context which records what is drawn on it as SVG, so that a chart can draw itself once
+ * for the screen and again for a standalone SVG file.  Only the drawing calls the charts use are supported: paths of
+ * lines and arcs, rectangles and text, with their colors, line width, font and text alignment.
+ * @param {number} width The width of the drawing, in canvas pixels.
+ * @param {number} height The height of the drawing, in canvas pixels.
+ */
+var SVGContext = function(width, height) {
+  this.width = width;
+  this.height = height;
+  this.elements = [];
+  this.stack = [];
+  this.path = '';
+  this.fillStyle = 'black';
+  this.strokeStyle = 'black';
+  this.lineWidth = 1;
+  this.font = '10px sans-serif';
+  this.textAlign = 'start';
+  return this;
+};
+
+
+/**
+ * The drawing state which save and restore keep.
+ */
+SVGContext.stateProperties = ['fillStyle', 'strokeStyle', 'lineWidth', 'font', 'textAlign'];
+
+
+/**
+ * The SVG text-anchor for each canvas text alignment.
+ */
+SVGContext.textAnchors = { start : 'start', left : 'start', center : 'middle', end : 'end', right : 'end' };
+
+
+/**
+ * @param {*} text Any value.
+ * @return {string} The value as text, with the characters which are special in XML escaped.
+ */
+SVGContext.escape = function(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+};
+
+
+/**
+ * @param {number} number A coordinate.
+ * @return {string} The coordinate rounded to hundredths, which is finer than any screen shows.
+ */
+SVGContext.formatNumber = function(number) {
+  return String(Math.round(number * 100) / 100);
+};
+
+
+/*
+ * The methods below behave as the canvas context methods of the same names.
+ */
+SVGContext.prototype.save = function() {
+  var self = this;
+  this.stack.push(SVGContext.stateProperties.map(function(property) {
+    return self[property];
+  }));
+};
+
+
+SVGContext.prototype.restore = function() {
+  var state = this.stack.pop();
+  if (state) {
+    var self = this;
+    SVGContext.stateProperties.forEach(function(property, index) {
+      self[property] = state[index];
+    });
+  }
+};
+
+
+SVGContext.prototype.beginPath = function() {
+  this.path = '';
+};
+
+
+SVGContext.prototype.moveTo = function(x, y) {
+  this.path += 'M' + SVGContext.formatNumber(x) + ' ' + SVGContext.formatNumber(y);
+};
+
+
+SVGContext.prototype.lineTo = function(x, y) {
+  this.path += (this.path === '' ? 'M' : 'L') + SVGContext.formatNumber(x) + ' ' + SVGContext.formatNumber(y);
+};
+
+
+SVGContext.prototype.closePath = function() {
+  this.path += 'Z';
+};
+
+
+SVGContext.prototype.rect = function(x, y, width, height) {
+  this.moveTo(x, y);
+  this.path += 'h' + SVGContext.formatNumber(width) + 'v' + SVGContext.formatNumber(height) + 'h' +
+      SVGContext.formatNumber(-width) + 'Z';
+};
+
+
+/**
+ * Add an arc of a circle to the path, joined to the path so far by a straight line as on a canvas.  A whole circle
+ * is drawn as two half circles, as a single SVG arc can't start and end at the same point.
+ */
+SVGContext.prototype.arc = function(x, y, radius, startAngle, endAngle, anticlockwise) {
+  var sweep = anticlockwise ? startAngle - endAngle : endAngle - startAngle;
+  sweep = sweep >= 2 * Math.PI ? 2 * Math.PI : (sweep % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+  var direction = anticlockwise ? -1 : 1;
+  var pointAt = function(angle) {
+    return SVGContext.formatNumber(x + radius * Math.cos(angle)) + ' ' +
+        SVGContext.formatNumber(y + radius * Math.sin(angle));
+  };
+  var arcTo = function(angle, large) {
+    return 'A' + SVGContext.formatNumber(radius) + ' ' + SVGContext.formatNumber(radius) + ' 0 ' + (large ? 1 : 0) +
+        ' ' + (anticlockwise ? 0 : 1) + ' ' + pointAt(angle);
+  };
+  this.path += (this.path === '' ? 'M' : 'L') + pointAt(startAngle);
+  if (sweep === 2 * Math.PI) {
+    this.path += arcTo(startAngle + direction * Math.PI, false) + arcTo(startAngle, false);
+  }
+  else {
+    this.path += arcTo(startAngle + direction * sweep, sweep > Math.PI);
+  }
+};
+
+
+SVGContext.prototype.stroke = function() {
+  if (this.path !== '') {
+    this.elements.push('<path d="' + this.path + '" fill="none" stroke="' + SVGContext.escape(this.strokeStyle) +
+                       '" stroke-width="' + this.lineWidth + '"/>');
+  }
+};
+
+
+SVGContext.prototype.fill = function() {
+  if (this.path !== '') {
+    this.elements.push('<path d="' + this.path + '" fill="' + SVGContext.escape(this.fillStyle) + '"/>');
+  }
+};
+
+
+SVGContext.prototype.fillRect = function(x, y, width, height) {
+  this.elements.push('<rect x="' + SVGContext.formatNumber(x) + '" y="' + SVGContext.formatNumber(y) + '" width="' +
+                     SVGContext.formatNumber(width) + '" height="' + SVGContext.formatNumber(height) + '" fill="' +
+                     SVGContext.escape(this.fillStyle) + '"/>');
+};
+
+
+SVGContext.prototype.strokeRect = function(x, y, width, height) {
+  var path = this.path;
+  this.beginPath();
+  this.rect(x, y, width, height);
+  this.stroke();
+  this.path = path;
+};
+
+
+/**
+ * Nothing is drawn yet when the charts clear their canvas, so clearing is ignored.
+ */
+SVGContext.prototype.clearRect = function() {
+};
+
+
+SVGContext.prototype.fillText = function(text, x, y) {
+  this.elements.push('<text x="' + SVGContext.formatNumber(x) + '" y="' + SVGContext.formatNumber(y) +
+                     '" text-anchor="' + (SVGContext.textAnchors[this.textAlign] || 'start') + '" fill="' +
+                     SVGContext.escape(this.fillStyle) + '" style="font: ' + SVGContext.escape(this.font) + '">' +
+                     SVGContext.escape(text) + '</text>');
+};
+
+
+/**
+ * @param {number} scale How many times larger than on screen the image should be.
+ * @return {string} A standalone SVG document of everything drawn so far.
+ */
+SVGContext.prototype.toSVG = function(scale) {
+  scale = scale || 1;
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<svg xmlns="http://www.w3.org/2000/svg" width="' + SVGContext.formatNumber(this.width * scale) +
+      '" height="' + SVGContext.formatNumber(this.height * scale) + '" viewBox="0 0 ' + this.width + ' ' +
+      this.height + '">\n' + this.elements.join('\n') + '\n</svg>\n';
+};
+
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SVGContext;
+}
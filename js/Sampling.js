@@ -2,172 +2,121 @@
 
 /**
  * @constructor
+ * Connects the page to the simulation.  Populations are built by Distributions and samples are drawn by a
+ * SamplingEngine; this object reads the menu, owns the histograms and keeps them up to date.
  */
 var Sampling = function() {
+    this.engine = new SamplingEngine(new Random());
+    this.distributionParameters = Distributions.defaultParameters();
+    this.importedPopulation = undefined; // The population last loaded from CSV or pasted data
+    this.sampleValues = [];
+    this.showStats = true;
+    this.showtips = true;
+    this.populationTheory = undefined; // The true distribution of the chosen population, if it has one
+    this.showPopulationCurve = false;
+    this.showSamplingCurves = false;
+    this.announcements = {}; // Messages waiting to be read out, by histogram
+    this.announcementTimer = undefined;
+    this.editHistory = new EditHistory(); // Changes to the parent population, for undo and redo
+    this.populationState = undefined; // The population as it is now, to record before the next change
+    this.restoringPopulation = false; // True while undo or redo is changing the population
+    this.animateSamples = false; // Drop new data into the sample and sampling distribution graphs
+    this.animationSpeed = 1;
+    this.animationPaused = false;
+    this.batchAnimation = true;
+    this.simulation = undefined; // The large simulation running in the background, if any
 };
 
 
-Sampling.numberOfBins = 33;
-Sampling.currentInterval=0.2;
-Sampling.sampleValues=[];
-Sampling.showtips = true;
 /**
- * @list of distribution parameters
+ * How long to wait for the histograms to settle, in milliseconds, before reading out their statistics.
  */
+Sampling.announcementDelay = 1000;
 
-Sampling.distParaMean= 0;
-Sampling.distParaVariance= 1;
-Sampling.distParaP = 0.5;
-Sampling.distParaLambda = 1;
 
 /**
- * @returns {Array} An array of the bin values used for displaying all stats other than variance.
+ * The charts which show the data of a histogram in another way, by their names in the view menu.
  */
-Sampling.integerValues = function() {
-  return Sampling.valuesWithInterval(1);
+Sampling.alternativeViews = {
+    boxPlot : BoxPlot,
+    dotPlot : DotPlot,
+    ecdf : ECDFPlot
 };
 
 
 /**
- * @returns {Array} An array of the bin values used displaying variance.
+ * The inputs in the menu which hold each distribution parameter, the number and edges of the bins, and the
+ * sampling model.
  */
-Sampling.valuesWithInterval = function(interval) {
-    var values = [];
-    for (var i = 0; i < Sampling.numberOfBins; i++) {
-        values.push(i * interval);
-    }
-    return values;
-};
-
-
-Sampling.normalFrequencies = function(para) {
-	if(para===1){
-	//	return [4,8,13,20,32,48,69,96,130,169,212,257,301,341,372,392,399,392,372,341,301,257,212,169,130,96,69,48,32,20,13,8,4];
-		return [2,3,3,6,8,14,19,32,45,60,78,97,116,133,147,156,160,156,147,133,116,97,78,60,45,32,19,14,8,6,3,3,2];
-	}
-	if(para===2){
-		return [2,3,3,6,8,14,19,32,45,60,78,97,116,133,147,156,160,156,147,133,116,97,78,60,45,32,19,14,8,6,3,3,2];
-	}
-	if(para===3){
-		return [2,3,3,6,8,14,19,32,45,60,78,97,116,133,147,156,160,156,147,133,116,97,78,60,45,32,19,14,8,6,3,3,2];
-	}
-	
-};
-
-Sampling.binomialFrequencies= function(para) {
-	if(para===1){
-		return [10,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,10];
-	}
-	if(para===2){
-		return [4,0,0,0,31,0,0,0,109,0,0,0,219,0,0,0,273,0,0,0,219,0,0,0,109,0,0,0,31,0,0,0,4];
-	}
-	if(para===3){
-		return [334,0,0,0,672,0,0,0,588,0,0,0,294,0,0,0,92,0,0,0,18,0,0,0,2,0,0,0,0,0,0,0,0];
-	}
-	return [];
-};
-
-Sampling.poissonFrequencies= function(para) {
-	if(para===1){
-		return [2000,2000,1000,334,84,16,2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0];
-	}
-	if(para===2){
-		return [14,68,168,280,350,350,292,208,130,72,36,16,6,2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0];
-	}
-	if(para===3){
-		return [0,0,4,16,38,76,126,180,226,250,250,228,190,146,104,70,44,26,14,8,4,2,0,0,0,0,0,0,0,0,0,0,0];
-	}
-	return [];
-};
-
-Sampling.skewedFrequencies = function (values) {
-    var numberOfBins = Sampling.numberOfBins;
-    var s = numberOfBins / 6;
-    var mn = (numberOfBins - 1) / 2;
-    var temp =  Math.sqrt(1.0 / (2.0 * Math.PI * s * s));
-    var skewMax = Math.pow( values[numberOfBins-1], 2);
-    var skewedData = [];
-
-    for (var i = 0; i < numberOfBins; i++){
-        var z = -1 * Math.pow((values[i] - mn), 2) / (2*s*s);
-        z = Math.exp(z) * temp;
-        skewedData.push(Math.round(Math.pow(values[numberOfBins-i-1],2)/skewMax * 5000));
-    }
-  	skewedData[0]=skewedData[6];
-  	skewedData[1]=skewedData[5];
-  	skewedData[2]=skewedData[4];
-    return skewedData;
+Sampling.parameterInputs = {
+    mean : 'distParaMean',
+    sd : 'distParaSD',
+    n : 'distParaN',
+    p : 'distParaP',
+    lambda : 'distParaLambda',
+    min : 'distParaMin',
+    max : 'distParaMax',
+    skew : 'distParaSkew',
+    shape : 'distParaShape',
+    numberOfBins : 'distParaBins',
+    binEdges : 'distParaBinEdges',
+    samplingModel : 'distParaModel'
 };
 
-
-Sampling.uniformFrequencies = function(constant) {
-    var result = [];
-    for (var i = 0; i < Sampling.numberOfBins; i++) {
-        result.push(constant);
-    }
-    return result;
-};
+/**
+ * The statistics which can be displayed as sampling distributions, in menu order.
+ */
+Sampling.statistics = [
+    { name : 'mean', label : 'Mean' },
+    { name : 'median', label : 'Median' },
+    { name : 'standardDeviation', label : 'SD' },
+    { name : 'variance', label : 'Variance' },
+    { name : 'varianceUnbiased', label : 'Variance (unbiased)' },
+    { name : 'meanAbsoluteDeviation', label : 'MAD' },
+    { name : 'range', label : 'Range' },
+    { name : 'firstQuartile', label : 'Q1' },
+    { name : 'thirdQuartile', label : 'Q3' },
+    { name : 'percentile10', label : '10th percentile' },
+    { name : 'percentile90', label : '90th percentile' },
+    { name : 'interquartileRange', label : 'IQR' },
+    { name : 'mode', label : 'Mode' },
+    { name : 'trimmedMean', label : 'Trimmed mean (10%)' },
+    { name : 'geometricMean', label : 'Geometric mean' },
+    { name : 'coefficientOfVariation', label : 'CV' },
+    { name : 'medianAbsoluteDeviation', label : 'Median abs. deviation' }
+];
 
 
-Sampling.normalDistribution = function(para) {
-//	alert($.isNumeric(para));
-//alert('this is norm dist');
-    if (para === 1){
-    	    this.currentInterval = 0.2;
-    	    var myBinValues=[-3.2,-3,-2.8,-2.6,-2.4,-2.2,-2,-1.8,-1.6,-1.4,-1.2,-1,-0.8,-0.6,-0.4,-0.2,0,0.2,0.4,0.6,0.8,1,1.2,1.4,1.6,1.8,2,2.2,2.4,2.6,2.8,3,3.2];		
-	    return new HistogramData(myBinValues, Sampling.normalFrequencies(para));
-    };
-    if (para === 2){
-	    this.currentInterval=1;
-	    return new HistogramData(Sampling.integerValues(), Sampling.normalFrequencies(para));
-    }
-    if (para === 3){
-	    this.currentInterval=1;
-	    var myBinValues= [-32,-31,-30,-29,-28,-27,-26,-25,-24,-23,-22,-21,-20,-19,-18,-17,-16,-15,-14,-13,-12,-11,-10,-9,-8,-7,-6,-5,-4,-3,-2,-1,0];
-	    return new HistogramData(myBinValues, Sampling.normalFrequencies(para));
+/**
+ * Fill a select element with the statistics which can be displayed.
+ * @param $select The select element.
+ * @param {boolean} includeNone Should a 'None' option be offered.
+ */
+Sampling.fillStatisticMenu = function($select, includeNone) {
+    if (includeNone) {
+        $select.append($('<option value="none">None</option>'));
     }
-};
-
-Sampling.binomialDistribution = function(para) {
-	if(para === 1){
-		this.currentInterval= 1/32;
-		return new HistogramData(Sampling.valuesWithInterval(this.currentInterval), Sampling.binomialFrequencies(para));
-	}
-
-	if(para === 2){
-		this.currentInterval= 8/32;
-		return new HistogramData(Sampling.valuesWithInterval(this.currentInterval), Sampling.binomialFrequencies(para));
-	}
-
-	if(para === 3){
-		this.currentInterval= 8/32;
-		return new HistogramData(Sampling.valuesWithInterval(this.currentInterval), Sampling.binomialFrequencies(para));
-	}
-
-};
-
-Sampling.poissonDistribution = function(para) {
-    this.currentInterval = 1;
-    return new HistogramData(Sampling.integerValues(), Sampling.poissonFrequencies(para));
-};
-
-Sampling.skewedDistribution = function() {
-    this.currentInterval = 1;
-    return new HistogramData(Sampling.integerValues(), Sampling.skewedFrequencies(values));
+    Sampling.statistics.forEach(function(statistic) {
+        $select.append($('<option></option>').val(statistic.name).text(statistic.label));
+    });
 };
 
 
-Sampling.uniformDistribution = function(para) {
-    if (para === 1){ //Uniform(0,1)
-        this.currentInterval= 1/32;
-        return new HistogramData(Sampling.valuesWithInterval(this.currentInterval), Sampling.uniformFrequencies(1));
+/**
+ * @param {string} statName The name of a statistic.
+ * @returns {string} The label to show for the statistic.
+ */
+Sampling.labelForStat = function(statName) {
+    for (var i = 0; i < Sampling.statistics.length; i++) {
+        if (Sampling.statistics[i].name === statName) {
+            return Sampling.statistics[i].label;
+        }
     }
-    if (para === 2){ //Uniform(-1,1)
-        this.currentInterval= 1/32*2;
-        var valuesOfInterval= Sampling.valuesWithInterval(this.currentInterval);
-        return new HistogramData(valuesOfInterval, Sampling.uniformFrequencies(1));
+    var percent = StatisticsFunctions.percentFromName(statName);
+    if (percent !== undefined) {
+        return percent + 'th percentile';
     }
-    return new HistogramData(Sampling.integerValues(), Sampling.uniformFrequencies(15));
+    return statName;
 };
 
 
@@ -176,16 +125,12 @@ Sampling.prototype.setupHistograms = function() {
     // Create a histogram in the div ID histogram1
     var histogram1 = new Histogram($('div #histogram1'),
         'Parent population (can be changed with the mouse)',
-        Sampling.normalDistribution(1),
+        Distributions.make('Normal', this.distributionParameters),
         false, /* yTicks */
         0,     /* yIntervals */
         true,  /* shouldPlotStats */
         true   /* editable */);
     this.histogram1 = histogram1;
-     $('#distPara1').html('mean=0;SD=1');
-     $('#distPara2').html('mean=16;SD=5');
-     $('#distPara3').html('mean=-16;SD=5');
-     $('input:radio[name=distPara]').filter('[value=1]').prop('checked',true);
     // Set up control
 
     var changeStats = function(histogram) {
@@ -212,6 +157,9 @@ Sampling.prototype.setupHistograms = function() {
             $('#sd' + histogramID).html(statistics.formatValue(statistics.sd));
             $('#skew' + histogramID).html(statistics.formatValue(statistics.skew));
             $('#kurtosis' + histogramID).html(statistics.formatValue(statistics.kurtosis));
+            self.announce(histogramID, histogram.$title.text() + ': ' + statistics.numberOfObservations.toFixed(0) +
+                          ' values, mean ' + statistics.formatValue(statistics.mean) + ', median ' +
+                          statistics.formatValue(statistics.median) + ', SD ' + statistics.formatValue(statistics.sd));
         }
         else {
             // Hide statistics display because there is no data
@@ -224,7 +172,7 @@ Sampling.prototype.setupHistograms = function() {
     // Set up animated sample data histogram
     var histogram2 = new AnimatedHistogram($('div #histogram2'),
         'Sample Data',
-        new HistogramData(histogram1.histogramData.values, Sampling.uniformFrequencies(0)),
+        HistogramData.makeEmptyLike(histogram1.histogramData),
         true /* yTicks */,
         10,
         false,  /* shouldPlotStats */
@@ -233,11 +181,105 @@ Sampling.prototype.setupHistograms = function() {
 
     histogram2.addObserver(changeStats, 'changeStats');
     changeStats(histogram2);
+
+    // Set up sampling distribution histograms
+    var histogram3 = new AnimatedHistogram($('div #histogram3'),
+        '',
+        HistogramData.makeEmptyLike(histogram1.histogramData),
+        true /* yTicks */,
+        10,
+        true,  /* shouldPlotStats */
+        false  /* editable */);
+    this.histogram3 = histogram3;
+    histogram3.addObserver(changeStats, 'changeStats');
+
+    var histogram4 = new AnimatedHistogram($('div #histogram4'),
+        '',
+        HistogramData.makeEmptyLike(histogram1.histogramData),
+        true /* yTicks */,
+        10,
+        true,  /* shouldPlotStats */
+        false  /* editable */);
+    this.histogram4 = histogram4;
+    histogram4.addObserver(changeStats, 'changeStats');
+
+    // Set up the goodness-of-fit test of the sample data.  A test of old data is out of date, so clear it.
+    var goodnessOfFit = new GoodnessOfFit($('div #residualChart'), this);
+    this.goodnessOfFit = goodnessOfFit;
+    [histogram1, histogram2].forEach(function(histogram) {
+        histogram.addObserver(function() {
+            goodnessOfFit.reset();
+        }, 'goodnessOfFit');
+    });
+
+    // Set up the normal Q-Q plot, which follows the sample values and the histograms as they change
+    var qqPlot = new QQPlot($('div #qqPlot'), this);
+    this.qqPlot = qqPlot;
+    [histogram1, histogram2, histogram3, histogram4].forEach(function(histogram) {
+        histogram.addObserver(function() {
+            qqPlot.update();
+        }, 'qqPlot');
+    });
+
+    // Set up the other view of a histogram's data
+    this.setAlternativeView('boxPlot', 'histogram2');
+
+    // Set up the confidence interval simulation.  Intervals from an old population are meaningless, so clear them.
+    var confidenceIntervals = new ConfidenceIntervals($('div #ciChart'), this);
+    this.confidenceIntervals = confidenceIntervals;
+    histogram1.addObserver(function() {
+        confidenceIntervals.reset();
+    }, 'confidenceIntervals');
+
+    // Set up the hypothesis test simulation
+    var hypothesisTest = new HypothesisTest($('div #htChart'), this);
+    this.hypothesisTest = hypothesisTest;
+    histogram1.addObserver(function() {
+        hypothesisTest.reset();
+    }, 'hypothesisTest');
+
+    // Set up the bootstrap comparison
+    var bootstrap = new Bootstrap($('div #bootstrapChart'), $('div #bootstrapTrueChart'), this);
+    this.bootstrap = bootstrap;
+    histogram1.addObserver(function() {
+        bootstrap.reset();
+    }, 'bootstrap');
+
+    // Rescale the theoretical curves as the population changes
+    histogram1.addObserver(function() {
+        self.updateOverlays();
+    }, 'overlays');
+
+    // Keep the population's undo history: remember it as it changes, and record it before it is dragged
+    histogram1.addObserver(function() {
+        self.populationState = self.capturePopulation();
+    }, 'editHistory');
+
+    // Mirroring needs bins which are a mirror image of themselves
+    histogram1.addObserver(function() {
+        $('#shapeSymmetrize').prop('disabled', !histogram1.histogramData.hasSymmetricBins());
+    }, 'shapeTools');
+    histogram1.editStartCallback = function() {
+        self.recordPopulationEdit();
+    };
 };
 
 
 Sampling.prototype.setupControls = function() {
     var self = this;
+    // Set up statistic and sample size controls for the sampling distribution histograms
+    [['#histogram3Stat', '#histogram3SampleSize', this.histogram3],
+     ['#histogram4Stat', '#histogram4SampleSize', this.histogram4]].forEach(function(controls) {
+        var $stat = $(controls[0]);
+        var $sampleSize = $(controls[1]);
+        var histogram = controls[2];
+        Sampling.fillStatisticMenu($stat, true);
+        $stat.val($stat.attr('data-default'));
+        $stat.add($sampleSize).change(function() {
+            self.resetStatHistogram(histogram, $stat.val(), self.sampleSizeFromInput($sampleSize));
+        });
+    });
+
     self.resetSamples();
     // Set up 'clear lower 3' button
     $('#resetSamples').click(function() {
@@ -246,63 +288,95 @@ Sampling.prototype.setupControls = function() {
     
     // Set up show stat and hide stat
     $("#showStat").click(function() {
-      $("span.sampleStat").css("color","#000000");
+      self.setShowStats(true);
     });
     $("#hideStat").click(function() {
-      $("span.sampleStat").css("color","#dddddd");      
+      self.setShowStats(false);
+    });
+
+    // Set up the Q-Q plot
+    $('#qqSource').change(function() {
+      self.qqPlot.setSource($(this).val());
+    });
+
+    // Set up the other view of a histogram's data
+    $('#alternativeView, #alternativeViewSource').change(function() {
+      self.setAlternativeView($('#alternativeView').val(), $('#alternativeViewSource').val());
+    });
+
+    // Set up the goodness-of-fit test
+    $('#goodnessOfFitRun').click(function() {
+      self.goodnessOfFit.run();
+    });
+
+    // Set up the theoretical curves
+    $('#showPopulationCurve').click(function() {
+      self.setShowPopulationCurve($(this).is(':checked'));
+    });
+    $('#showSamplingCurves').click(function() {
+      self.setShowSamplingCurves($(this).is(':checked'));
     });
 
 
     // Set up control to change distribution
     var histogram1 = this.histogram1;
     var $selectDistribution = $('select[name=distribution]');
-    var $selectDistPara = $('input[name=distPara]');
-    $selectDistPara.change(function(){
-	   $selectDistribution.trigger('change');
+    $('.distPara').change(function() {
+        $selectDistribution.trigger('change');
     });
     $selectDistribution.change(function() {
 	$("#normdistgraph").css("display","none");
         var val = $(this).val();
+        $('.distParas').hide();
+        $('.distParas[data-distribution=' + val + ']').show();
+        var error = self.readDistributionParameters(val);
+        $('#distParaError').html(error);
+        if (error) {
+            return;
+        }
         if (val === "Normal") {
 	    $("#normdistgraph").css("display","inline");
-//shd set histogram data from user input para
-            var para= $('input[name=distPara]:checked').val();
-	    $('#distPara1').html('mean=0;SD=1');
-	    $('#distPara2').html('mean=16;SD=5');
-	    $('#distPara3').html('mean=-16;SD=5');
-	    //alert(para);
-	    histogram1.setHistogramData(Sampling.normalDistribution(parseInt(para)));
-        }
-        else if (val === "Binomial") {
-            var para= $('input[name=distPara]:checked').val();
-	    $('#distPara1').html('n=1;p=0.5');
-	    $('#distPara2').html('n=8;p=0.5');
-	    $('#distPara3').html('n=8;p=0.2');
-            histogram1.setHistogramData(Sampling.binomialDistribution(parseInt(para)));
-        }
-        else if (val === "Poisson") {
-            var para= $('input[name=distPara]:checked').val();
-	    $('#distPara1').html('Lambda=1');
-	    $('#distPara2').html('Lambda=5');
-	    $('#distPara3').html('Lambda=10');
-            histogram1.setHistogramData(Sampling.poissonDistribution(parseInt(para)));
-        }
-        else if (val === "Uniform") {
-            var para= 1;
-            histogram1.setHistogramData(Sampling.uniformDistribution(parseInt(para)));
-        }
-        else if (val === "Skewed") {
-            histogram1.setHistogramData(Sampling.skewedDistribution());
-        }
-        else if (val === "Custom") {
-            histogram1.setHistogramData(new HistogramData(Sampling.valuesWithInterval(this.currentInterval), Sampling.uniformFrequencies(0)));
         }
+        self.engine.samplingModel = Distributions.samplingModel(val, self.distributionParameters);
+        var population = Distributions.make(val, self.distributionParameters);
+        self.populationTheory = TheoreticalDistributions.forPopulation(val, self.distributionParameters, population);
+        self.recordPopulationEdit();
+        histogram1.setHistogramData(population);
 //        if (val !== self.currentDistribution) {
           self.resetSamples();
 //        }
         self.currentDistribution = val;
     });
 
+    $selectDistribution.trigger('change');
+
+    // Set up control to download data
+    $('#exportDownload').click(function() {
+        self.exportData($('#exportContent').val(), $('#exportFormat').val());
+    });
+
+    // Set up control to download a histogram as an image
+    $('#imageDownload').click(function() {
+        self.exportImage($('#imageHistogram').val(), $('#imageFormat').val(), parseFloat($('#imageScale').val()));
+    });
+
+    // Set up controls to import a population from a CSV file or pasted data
+    $('#importLoad').click(function() {
+        self.importPopulation($('#importText').val(), $('#importFormat').val());
+    });
+    $('#importFile').change(function() {
+        var file = this.files[0];
+        if (!file) {
+            return;
+        }
+        var reader = new FileReader();
+        reader.onload = function() {
+            $('#importText').val(reader.result);
+            self.importPopulation(reader.result, $('#importFormat').val());
+        };
+        reader.readAsText(file);
+    });
+
     $('#sample1').click(function() {
         self.updateChartsWithSamples(1);
     });
@@ -313,138 +387,800 @@ Sampling.prototype.setupControls = function() {
         self.updateChartsWithSamples(10);
     });
 
+    // Set up the animation of new samples
+    $('#animateSamples').click(function() {
+        self.setAnimateSamples($(this).is(':checked'));
+    });
+    $('#animationSpeed').change(function() {
+        self.setAnimationSpeed(parseFloat($(this).val()));
+    });
+    $('#animationPause').click(function() {
+        self.setAnimationPaused(!self.animationPaused);
+    });
+    $('#animationStep').click(function() {
+        self.animatedHistograms().forEach(function(histogram) {
+            histogram.step();
+        });
+    });
+    $('#animationSkip').click(function() {
+        self.skipAnimation();
+    });
+    $('#batchAnimation').click(function() {
+        self.setBatchAnimation($(this).is(':checked'));
+    });
+
+    // Set up large simulations of the sampling distributions
+    $('#simulationRun').click(function() {
+        self.runSimulation(parseInt($('#simulationSamples').val(), 10));
+    });
+    $('#simulationCancel').click(function() {
+        self.cancelSimulation();
+        $('#simulationStatus').text('Cancelled');
+    });
+
+    // Set up mode selection
+    var $selectMode = $('select[name=mode]');
+    $selectMode.change(function() {
+        self.showMode($selectMode.val());
+    });
+    self.showMode($selectMode.val());
+
+    // Set up confidence interval controls
+    var updateIntervalSettings = function() {
+        self.confidenceIntervals.setSettings(self.sampleSizeFromInput($('#ciSampleSize')),
+                                             parseFloat($('#ciConfidenceLevel').val()),
+                                             $('#ciMethod').val());
+    };
+    $('#ciSampleSize, #ciConfidenceLevel, #ciMethod').change(updateIntervalSettings);
+    updateIntervalSettings();
+    $('#ci1').click(function() {
+        self.confidenceIntervals.addIntervals(1);
+    });
+    $('#ci10').click(function() {
+        self.confidenceIntervals.addIntervals(10);
+    });
+    $('#ci100').click(function() {
+        self.confidenceIntervals.addIntervals(100);
+    });
+    $('#resetIntervals').click(function() {
+        self.confidenceIntervals.reset();
+    });
+
+    // Set up hypothesis test controls
+    var updateTestSettings = function() {
+        var nullMean = parseFloat($('#htNullMean').val());
+        if (!isFinite(nullMean)) {
+            nullMean = 0;
+            $('#htNullMean').val(nullMean);
+        }
+        self.hypothesisTest.setSettings(nullMean,
+                                        $('#htAlternative').val(),
+                                        self.sampleSizeFromInput($('#htSampleSize')),
+                                        parseInt($('#htSimulations').val(), 10));
+    };
+    $('#htNullMean, #htAlternative, #htSampleSize, #htSimulations').change(updateTestSettings);
+    updateTestSettings();
+    $('#htRun').click(function() {
+        self.hypothesisTest.run();
+    });
+
+    // Set up bootstrap controls
+    Sampling.fillStatisticMenu($('#bootstrapStat'), false);
+    var updateBootstrapSettings = function() {
+        self.bootstrap.setSettings($('#bootstrapStat').val(),
+                                   parseInt($('#bootstrapResamples').val(), 10),
+                                   parseFloat($('#bootstrapConfidenceLevel').val()));
+    };
+    $('#bootstrapStat, #bootstrapResamples, #bootstrapConfidenceLevel').change(updateBootstrapSettings);
+    updateBootstrapSettings();
+    $('#bootstrapRun').click(function() {
+        self.bootstrap.run();
+    });
+
+    // Set up seed controls.  Setting a seed restarts the sequence of samples.
+    $('#setSeed').click(function() {
+        var seed = parseInt($('#seed').val(), 10);
+        if (seed >= 0 && seed < 4294967296) {
+            self.engine.random.setSeed(seed);
+        }
+        self.resetSamples();
+    });
+    $('#newSeed').click(function() {
+        self.engine.random.setSeed(Random.makeSeed());
+        self.resetSamples();
+    });
+
     $('#showtips').click(function(){
-        self.showtips=$('#showtips').is(':checked');
-	if(self.showtips){
-		$('body').addClass('masterclass');
-	}else{
-		$('body').removeClass('masterclass');
-	}
+        self.setShowTips($('#showtips').is(':checked'));
     });
 
+    // Set up the tools which reshape the population
+    var binsToShift = function() {
+        return Math.max(parseInt($('#shapeShiftBins').val(), 10) || 1, 1);
+    };
+    $('#shapeSmooth').click(function() {
+        self.shapePopulation(function(data) {
+            data.smooth(1);
+        });
+    });
+    $('#shapeSymmetrize').click(function() {
+        self.shapePopulation(function(data) {
+            data.symmetrize();
+        });
+    });
+    $('#shapeShiftLeft').click(function() {
+        self.shapePopulation(function(data) {
+            data.shift(-binsToShift());
+        });
+    });
+    $('#shapeShiftRight').click(function() {
+        self.shapePopulation(function(data) {
+            data.shift(binsToShift());
+        });
+    });
+    $('#shapeScale').click(function() {
+        var total = parseInt($('#shapeTotal').val(), 10);
+        if (total > 0) {
+            self.shapePopulation(function(data) {
+                data.scaleTo(total);
+            });
+        }
+    });
+    $('#shapeClampNegatives').click(function() {
+        self.shapePopulation(function(data) {
+            data.clampNegatives();
+        });
+    });
+
+    // Set up undo and redo of changes to the population.  Text boxes keep their own undo.
+    $('#undoEdit').click(function() {
+        self.undoPopulationEdit();
+    });
+    $('#redoEdit').click(function() {
+        self.redoPopulationEdit();
+    });
+    $(document).keydown(function(event) {
+        if (!(event.ctrlKey || event.metaKey) || $(event.target).is('input, textarea, select')) {
+            return;
+        }
+        var key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            self.undoPopulationEdit();
+            event.preventDefault();
+        }
+        else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            self.redoPopulationEdit();
+            event.preventDefault();
+        }
+    });
+
+    // Restore the shared or autosaved session, then keep saving it.  Restoring isn't an edit to undo.
+    var sessionState = new SessionState(this);
+    this.sessionState = sessionState;
+    sessionState.restoreSaved();
+    this.editHistory.clear();
+    this.updateEditHistoryButtons();
+    sessionState.startAutosave();
+    $('#shareLink').click(function() {
+        sessionState.shareLink();
+    });
+    $('#clearSession').click(function() {
+        sessionState.clear();
+    });
+};
+
+
+/**
+ * Show or hide the statistics of the sample values.
+ * @param {boolean} shouldShow
+ */
+Sampling.prototype.setShowStats = function(shouldShow) {
+    this.showStats = shouldShow;
+    $("span.sampleStat").css("color", shouldShow ? "#000000" : "#dddddd");
+};
+
+
+/**
+ * Show or hide the true distribution of the parent population over the population and sample histograms.
+ * @param {boolean} shouldShow
+ */
+Sampling.prototype.setShowPopulationCurve = function(shouldShow) {
+    this.showPopulationCurve = shouldShow;
+    $('#showPopulationCurve').prop('checked', shouldShow);
+    this.updateOverlays();
+};
+
+
+/**
+ * Show or hide the predicted sampling distributions over the sampling distribution histograms.
+ * @param {boolean} shouldShow
+ */
+Sampling.prototype.setShowSamplingCurves = function(shouldShow) {
+    this.showSamplingCurves = shouldShow;
+    $('#showSamplingCurves').prop('checked', shouldShow);
+    this.updateOverlays();
+};
+
+
+/**
+ * @return {Array<AnimatedHistogram>} The histograms which new samples are animated into.
+ */
+Sampling.prototype.animatedHistograms = function() {
+    return [this.histogram2, this.histogram3, this.histogram4];
+};
+
+
+/**
+ * Animate new samples into the graphs, or add them at once.  Turning animation off finishes any animation.
+ * @param {boolean} shouldAnimate
+ */
+Sampling.prototype.setAnimateSamples = function(shouldAnimate) {
+    this.animateSamples = shouldAnimate;
+    $('#animateSamples').prop('checked', shouldAnimate);
+    if (!shouldAnimate) {
+        this.skipAnimation();
+    }
+};
+
+
+/**
+ * @param {number} speed How many times faster than normal to animate.
+ */
+Sampling.prototype.setAnimationSpeed = function(speed) {
+    this.animationSpeed = speed;
+    $('#animationSpeed').val(String(speed));
+    this.animatedHistograms().forEach(function(histogram) {
+        histogram.setSpeed(speed);
+    });
 };
 
 
+/**
+ * Pause or resume the animation.
+ * @param {boolean} shouldPause
+ */
+Sampling.prototype.setAnimationPaused = function(shouldPause) {
+    this.animationPaused = shouldPause;
+    $('#animationPause').text(shouldPause ? 'Resume' : 'Pause');
+    $('#animationStep').prop('disabled', !shouldPause);
+    this.animatedHistograms().forEach(function(histogram) {
+        if (shouldPause) {
+            histogram.pause();
+        }
+        else {
+            histogram.resume();
+        }
+    });
+};
+
+
+/**
+ * Add all the samples still waiting to be animated at once.
+ */
+Sampling.prototype.skipAnimation = function() {
+    this.animatedHistograms().forEach(function(histogram) {
+        histogram.skipToEnd();
+    });
+};
+
+
+/**
+ * Drop large numbers of samples in batches, or one at a time.
+ * @param {boolean} shouldBatch
+ */
+Sampling.prototype.setBatchAnimation = function(shouldBatch) {
+    this.batchAnimation = shouldBatch;
+    $('#batchAnimation').prop('checked', shouldBatch);
+    this.animatedHistograms().forEach(function(histogram) {
+        histogram.batchLargeQueues = shouldBatch;
+    });
+};
+
+
+/**
+ * Draw or remove the theoretical curves on every histogram, as chosen with the toggles.
+ */
+Sampling.prototype.updateOverlays = function() {
+    var populationOverlay = this.showPopulationCurve ? this.populationTheory : undefined;
+    this.histogram1.setOverlay(populationOverlay);
+    this.histogram2.setOverlay(populationOverlay);
+    this.histogram3.setOverlay(this.overlayForStat($('#histogram3Stat').val(),
+                                                   this.sampleSizeFromInput($('#histogram3SampleSize'))));
+    this.histogram4.setOverlay(this.overlayForStat($('#histogram4Stat').val(),
+                                                   this.sampleSizeFromInput($('#histogram4SampleSize'))));
+};
+
+
+/**
+ * @param {string} statName The statistic displayed, or 'none'.
+ * @param {number} sampleSize The sample size.
+ * @return {Object} The predicted sampling distribution to draw, or undefined if it is hidden or there is none.
+ */
+Sampling.prototype.overlayForStat = function(statName, sampleSize) {
+    if (!this.showSamplingCurves || !statName || statName === 'none') {
+        return undefined;
+    }
+    return TheoreticalDistributions.forStatistic(statName, this.histogram1.histogramData, sampleSize);
+};
+
+
+/**
+ * Show the data of one of the histograms as a box plot, dot plot or empirical CDF, following it as it changes.
+ * @param {string} view One of the keys of Sampling.alternativeViews.
+ * @param {string} source The histogram to show: 'histogram1', 'histogram2', 'histogram3' or 'histogram4'.
+ */
+Sampling.prototype.setAlternativeView = function(view, source) {
+    var self = this;
+    var histograms = [this.histogram1, this.histogram2, this.histogram3, this.histogram4];
+    if (!Sampling.alternativeViews[view]) {
+        view = 'boxPlot';
+    }
+    if (histograms.indexOf(this[source]) < 0) {
+        source = 'histogram2';
+    }
+    this.alternativeView = view;
+    this.alternativeViewSource = source;
+    $('#alternativeView').val(view);
+    $('#alternativeViewSource').val(source);
+
+    if (this.alternativeChart) {
+        this.alternativeChart.remove();
+    }
+    var histogram = this[source];
+    var title = $('#alternativeView option:selected').text() + ' of the ' +
+                $('#alternativeViewSource option:selected').text().toLowerCase();
+    var chart = new Sampling.alternativeViews[view]($('div #alternativeChart'), title, histogram.histogramData);
+    this.alternativeChart = chart;
+    histograms.forEach(function(other) {
+        other.removeObserver('alternativeView');
+    });
+    histogram.addObserver(function() {
+        chart.setHistogramData(histogram.histogramData);
+    }, 'alternativeView');
+};
+
+
+/**
+ * Turn the tooltips on or off.
+ * @param {boolean} shouldShow
+ */
+Sampling.prototype.setShowTips = function(shouldShow) {
+    this.showtips = shouldShow;
+    $('#showtips').prop('checked', shouldShow);
+    if (shouldShow) {
+        $('body').addClass('masterclass');
+    }
+    else {
+        $('body').removeClass('masterclass');
+    }
+};
+
+
+
+/**
+ * Show the panels and menus belonging to a mode, and hide the others.
+ * @param {string} mode The mode, matching the data-mode attribute of its panels and menus.
+ */
+Sampling.prototype.showMode = function(mode) {
+    $('.modePanel, .modeMenu').hide();
+    $('.modePanel[data-mode=' + mode + '], .modeMenu[data-mode=' + mode + ']').show();
+    this.mode = mode;
+};
+
+
+/**
+ * Read the parameters of a distribution from the menu.  Valid parameters replace distributionParameters.
+ * @param {string} distribution The name of the distribution.
+ * @return {string} An error message, or the empty string if the parameters are valid.
+ */
+Sampling.prototype.readDistributionParameters = function(distribution) {
+    var parameters = {};
+    $.each(Sampling.parameterInputs, function(key, name) {
+        var value = $('.distPara[name=' + name + ']').val();
+        if (key === 'skew' || key === 'samplingModel') {
+            parameters[key] = value;
+        }
+        else if (key === 'binEdges') {
+            parameters[key] = Sampling.parseBinEdges(value);
+        }
+        else {
+            parameters[key] = parseFloat(value);
+        }
+    });
+    parameters.importedPopulation = this.importedPopulation;
+    var error = Distributions.validateParameters(distribution, parameters);
+    if (!error) {
+        this.distributionParameters = parameters;
+    }
+    return error;
+};
+
+
+/**
+ * @param {string} text Bin edges typed in the menu, separated by commas or spaces.
+ * @return {Array<number>} The edges, or undefined if none were typed.  Words become NaN and fail validation.
+ */
+Sampling.parseBinEdges = function(text) {
+    var words = $.trim(text).split(/[\s,;]+/);
+    if (words[0] === '') {
+        return undefined;
+    }
+    return words.map(function(word) {
+        return Number(word);
+    });
+};
+
+
+/**
+ * Build a population from CSV or pasted data and make it the parent population.
+ * @param {string} text The data: one number per row, or value, frequency pairs.
+ * @param {string} format 'auto', 'raw' or 'binned', as accepted by DataImport.makeHistogramData.
+ * @return {boolean} True if the data was loaded; otherwise the error is shown in the menu.
+ */
+Sampling.prototype.importPopulation = function(text, format) {
+    var population;
+    try {
+        population = DataImport.makeHistogramData(text, format, this.distributionParameters.numberOfBins);
+    }
+    catch (error) {
+        $('#importError').html(error);
+        return false;
+    }
+    $('#importError').html('');
+    this.importedPopulation = population;
+    $('select[name=distribution]').val('Imported').trigger('change');
+    return true;
+};
+
+
+/**
+ * @return {{distribution: string, parameters: Object, importedPopulation: Object, population: Object}} The chosen
+ * distribution, the menu inputs for its parameters, the imported data and the parent population, as plain objects
+ * which later changes don't alter.
+ */
+Sampling.prototype.capturePopulation = function() {
+    var parameters = {};
+    $('.distPara').each(function() {
+        parameters[$(this).attr('name')] = $(this).val();
+    });
+    return {
+        distribution : $('select[name=distribution]').val(),
+        parameters : parameters,
+        importedPopulation : this.importedPopulation ?
+            SessionState.histogramToObject(this.importedPopulation) : undefined,
+        population : SessionState.histogramToObject(this.histogram1.histogramData)
+    };
+};
+
+
+/**
+ * Put back a population.  The distribution is only made again if its settings differ, so undoing a drag keeps the
+ * samples drawn so far.
+ * @param {Object} state A population returned by capturePopulation.
+ */
+Sampling.prototype.restorePopulation = function(state) {
+    var settings = function(state) {
+        return JSON.stringify([state.distribution, state.parameters, state.importedPopulation]);
+    };
+    this.restoringPopulation = true;
+    try {
+        if (settings(state) !== settings(this.capturePopulation())) {
+            $.each(state.parameters, function(name, value) {
+                $('.distPara[name=' + name + ']').val(value);
+            });
+            this.importedPopulation = state.importedPopulation ?
+                SessionState.objectToHistogram(state.importedPopulation) : undefined;
+            $('select[name=distribution]').val(state.distribution).trigger('change');
+        }
+        this.histogram1.setHistogramData(SessionState.objectToHistogram(state.population));
+    }
+    finally {
+        this.restoringPopulation = false;
+    }
+};
+
+
+/**
+ * Change the parent population with one of the shaping tools, so that the change can be undone.
+ * @param {function(HistogramData)} shape A function which changes the population's frequencies.
+ */
+Sampling.prototype.shapePopulation = function(shape) {
+    var population = this.histogram1.histogramData;
+    if (population.numberOfObservations() < 1) {
+        return;
+    }
+    this.recordPopulationEdit();
+    shape(population);
+    this.histogram1.setHistogramData(population);
+};
+
+
+/**
+ * Record the population as it was before a change, so that the change can be undone.
+ */
+Sampling.prototype.recordPopulationEdit = function() {
+    if (this.populationState === undefined || this.restoringPopulation) {
+        return;
+    }
+    this.editHistory.record(this.populationState);
+    this.updateEditHistoryButtons();
+};
+
+
+/**
+ * Undo the last change to the population.
+ */
+Sampling.prototype.undoPopulationEdit = function() {
+    var state = this.editHistory.undo(this.populationState);
+    if (state) {
+        this.restorePopulation(state);
+    }
+    this.updateEditHistoryButtons();
+};
+
+
+/**
+ * Redo the last change to the population which was undone.
+ */
+Sampling.prototype.redoPopulationEdit = function() {
+    var state = this.editHistory.redo(this.populationState);
+    if (state) {
+        this.restorePopulation(state);
+    }
+    this.updateEditHistoryButtons();
+};
+
+
+/**
+ * Enable the undo and redo buttons when there is something to undo or redo.
+ */
+Sampling.prototype.updateEditHistoryButtons = function() {
+    $('#undoEdit').prop('disabled', !this.editHistory.canUndo());
+    $('#redoEdit').prop('disabled', !this.editHistory.canRedo());
+};
+
+
+/**
+ * @return {Array<{name: string, histogramData: HistogramData}>} The population, the sample data and the sampling
+ * distributions which are being displayed, named by their titles.
+ */
+Sampling.prototype.histogramsForExport = function() {
+    var histograms = [
+        { name : 'Population', histogramData : this.histogram1.histogramData },
+        { name : 'Sample Data', histogramData : this.histogram2.histogramData }
+    ];
+    [['#histogram3Stat', this.histogram3], ['#histogram4Stat', this.histogram4]].forEach(function(pair) {
+        if ($(pair[0]).val() !== 'none') {
+            histograms.push({ name : pair[1].$title.text(), histogramData : pair[1].histogramData });
+        }
+    });
+    return histograms;
+};
+
+
+/**
+ * Download the sample values, the statistics or the histograms.
+ * @param {string} content 'sampleValues', 'statistics' or 'histograms'.
+ * @param {string} format 'csv' or 'json'.
+ */
+Sampling.prototype.exportData = function(content, format) {
+    var text = DataExport.makeText(content, format, this.sampleValues, this.histogramsForExport());
+    var mimeType = format === 'json' ? 'application/json' : 'text/csv';
+    DataExport.download(content + '.' + format, text, mimeType);
+};
+
+
+/**
+ * Read out a message to screen reader users, through the live region.  Messages are held until the histograms have
+ * stopped changing, so only the latest message for each histogram is read.
+ * @param {string} key Identifies what the message is about; a newer message with the same key replaces it.
+ * @param {string} message The message.
+ */
+Sampling.prototype.announce = function(key, message) {
+    var self = this;
+    this.announcements[key] = message;
+    clearTimeout(this.announcementTimer);
+    this.announcementTimer = setTimeout(function() {
+        var messages = Object.keys(self.announcements).sort().map(function(key) {
+            return self.announcements[key];
+        });
+        self.announcements = {};
+        $('#announcer').text(messages.join('. '));
+    }, Sampling.announcementDelay);
+};
+
+
+/**
+ * Download one of the histograms as a figure, drawn as it is on screen.
+ * @param {string} name 'histogram1' to 'histogram4'.
+ * @param {string} format 'png' or 'svg'.
+ * @param {number} scale How many times larger than on screen the image should be, from 1 to 8.
+ */
+Sampling.prototype.exportImage = function(name, format, scale) {
+    var histogram = this[name];
+    scale = isNaN(scale) ? 2 : Math.min(Math.max(scale, 1), 8);
+    var filename = histogram.$title.text().replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '') || name;
+    if (format === 'svg') {
+        DataExport.download(filename + '.svg', histogram.toSVG(scale), 'image/svg+xml');
+    }
+    else {
+        histogram.toPNG(scale, function(blob) {
+            DataExport.download(filename + '.png', blob, 'image/png');
+        });
+    }
+};
+
+
+/**
+ * Add the statistics of a large number of samples to the sampling distribution graphs, in the background.  The
+ * samples themselves aren't added to the sample data, which would be too many to show.
+ * @param {number} numberOfSamples The number of samples for each graph, from 1 to Sampling.maximumSimulationSamples.
+ */
+Sampling.prototype.runSimulation = function(numberOfSamples) {
+    var self = this;
+    var population = this.histogram1.histogramData;
+    if (isNaN(numberOfSamples) || population.numberOfObservations() < 1) {
+        return;
+    }
+    numberOfSamples = Math.min(Math.max(numberOfSamples, 1), Sampling.maximumSimulationSamples);
+    var histograms = [[this.histogram3, '#histogram3Stat', '#histogram3SampleSize'],
+                      [this.histogram4, '#histogram4Stat', '#histogram4SampleSize']].filter(function(controls) {
+        return $(controls[1]).val() !== 'none';
+    });
+    if (histograms.length === 0) {
+        return;
+    }
+    this.cancelSimulation();
+    this.skipAnimation();
+    var request = {
+        population : { values : population.values, frequencies : population.frequencies, edges : population.edges },
+        samplingModel : this.engine.samplingModel,
+        seed : this.engine.random.seed,
+        randomState : this.engine.random.state,
+        numberOfSamples : numberOfSamples,
+        histograms : histograms.map(function(controls) {
+            var histogramData = controls[0].histogramData;
+            return {
+                statName : $(controls[1]).val(),
+                sampleSize : self.sampleSizeFromInput($(controls[2])),
+                values : histogramData.values,
+                edges : histogramData.edges
+            };
+        })
+    };
+    var startTime = Date.now();
+    this.showSimulationRunning(true);
+    $('#simulationStatus').text('');
+    this.simulation = SamplingWorker.start(request, function(proportion) {
+        $('#simulationProgress').val(proportion);
+    }, function(result) {
+        self.simulation = undefined;
+        self.showSimulationRunning(false);
+        self.skipAnimation();
+        histograms.forEach(function(controls, index) {
+            var histogram = controls[0];
+            var statistics = result.histograms[index];
+            var existing = histogram.histogramData;
+            var simulated = new HistogramData(existing.values, statistics.frequencies, statistics.sum,
+                                              statistics.sumOfSquares, existing.edges);
+            histogram.setHistogramData(HistogramData.makeByCombiningData(existing, simulated));
+        });
+        self.engine.random.state = result.randomState;
+        $('#simulationStatus').text(numberOfSamples.toLocaleString() + ' samples in ' +
+                                    ((Date.now() - startTime) / 1000).toFixed(1) + ' s');
+    }, function(message) {
+        self.simulation = undefined;
+        self.showSimulationRunning(false);
+        $('#simulationStatus').text('The simulation failed: ' + message);
+    });
+};
+
+
+/**
+ * The most samples one simulation can draw for each graph.
+ */
+Sampling.maximumSimulationSamples = 10000000;
+
+
+/**
+ * Stop the simulation running in the background, if there is one, without adding any of its samples.
+ */
+Sampling.prototype.cancelSimulation = function() {
+    if (!this.simulation) {
+        return;
+    }
+    this.simulation.cancel();
+    this.simulation = undefined;
+    this.showSimulationRunning(false);
+};
+
+
+/**
+ * @param {boolean} running True to show that a simulation is running, false to show it has stopped.
+ */
+Sampling.prototype.showSimulationRunning = function(running) {
+    $('#simulationRun').prop('disabled', running);
+    $('#simulationCancel').prop('disabled', !running);
+    $('#simulationProgress').val(0).toggle(running);
+};
+
 
 /**
  * Reset samples.  Called whenever the user changes sample size or statistic display.
+ * The random number generator is restarted from its seed, so the same clicks reproduce the same samples.
  */
 Sampling.prototype.resetSamples = function() {
+  var random = this.engine.random;
+  random.setSeed(random.seed);
+  $('#seed').val(random.seed);
   var sampletextbox= $("#sampleValuesTextarea");
   sampletextbox.text("");
   this.sampleValues=[];
-  this.histogram2.setHistogramData(HistogramData.makeEmpty(this.histogram1.histogramData.values));
+  this.histogram2.setHistogramData(HistogramData.makeEmptyLike(this.histogram1.histogramData));
   $("#sampleMean").html("");
   $("#sampleMedian").html("");
   $("#sampleVariance").html("");
   $("#sampleSD").html("");
   $("#sampleRange").html("");
-
+  if (this.bootstrap) {
+    this.bootstrap.reset();
+  }
+  this.resetStatHistogram(this.histogram3, $('#histogram3Stat').val(), this.sampleSizeFromInput($('#histogram3SampleSize')));
+  this.resetStatHistogram(this.histogram4, $('#histogram4Stat').val(), this.sampleSizeFromInput($('#histogram4SampleSize')));
 };
 
 
 /**
- * Return the histogram bin interval to use for the specified statistic.
- * @param {string} statName The name of the stat being displayed.
- * @param {number} sampleSize The number of samples.
- * @return {number} The interval between bins in the histogram.
+ * Read a sample size from an input, clamping it to the supported range of 2 to 100.
+ * @param $input The input element.
+ * @return {number} The sample size.
  */
-Sampling.prototype.valueIntervalForStat = function(statName, sampleSize)
-{
-  var distribution = $('select[name=distribution]').val();
+Sampling.prototype.sampleSizeFromInput = function($input) {
+  var sampleSize = parseInt($input.val(), 10);
+  if (isNaN(sampleSize)) {
+    sampleSize = 5;
+  }
+  sampleSize = Math.min(Math.max(sampleSize, 2), 100);
+  $input.val(sampleSize);
+  return sampleSize;
+};
 
-  if (statName === 'variance' || statName === 'varianceUnbiased') {
-    // Use different scales to show distributions of variances
-    if (distribution === 'Custom') {
-      return 8;
-    }
-    else if (distribution === 'Normal') {
-      switch (sampleSize) {
-        case 2:
-          return 6;
-        case 4:
-          return 4;
-        case 8:
-          return 3;
-        case 16:
-          return 3;
-        case 32:
-          return 2;
-        default:
-          return 1;
-      }
-    }
-    else if (distribution === 'Skewed') {
-      switch (sampleSize) {
-        case 2:
-          return 8;
-        case 4:
-          return 8;
-        case 8:
-          return 6;
-        case 16:
-          return 6;
-        case 32:
-          return 5;
-        default:
-          return 1;
-      }
-    }
+
+/**
+ * Empty a sampling distribution histogram and set it up to display a statistic.
+ * @param {Histogram} histogram The histogram.
+ * @param {string} statName The statistic to display, or 'none'.
+ * @param {number} sampleSize The sample size.
+ */
+Sampling.prototype.resetStatHistogram = function(histogram, statName, sampleSize) {
+  if (!histogram) {
+    return;
   }
-  return Sampling.currentInterval;
+  // A simulation still running would add statistics for the old settings
+  this.cancelSimulation();
+  if (!statName || statName === 'none') {
+    histogram.setHistogramData(HistogramData.makeEmptyLike(this.histogram1.histogramData));
+    histogram.setOverlay(undefined);
+    histogram.setTitle('');
+    return;
+  }
+  histogram.setBarColor(this.colorForStat(statName));
+  histogram.setHistogramData(SamplingEngine.makeEmptyForStat(this.histogram1.histogramData, statName, sampleSize,
+                                                             this.distributionParameters.numberOfBins));
+  histogram.setOverlay(this.overlayForStat(statName, sampleSize));
+  histogram.setTitle(Sampling.labelForStat(statName) + ' of samples of size ' + sampleSize);
 };
 
 
 /**
- * Return the histogram bin values to use for the specified statistic
+ * Return the histogram bin values to use for the specified statistic, given the current parent population.
  * @param {string} statName The name of the stat being displayed.
  * @param {number} sampleSize The sample size.
  * @return {Array<number>} The bin values to use to display the specified stat.
  */
 Sampling.prototype.binValuesForStat = function(statName, sampleSize) {
- var distribution = $('select[name=distribution]').val();
-
-  if (statName === 'variance' || statName === 'varianceUnbiased') {
-    // Use different scales to show distributions of variances
-    if (distribution === 'Custom') {
-      return Sampling.valuesWithInterval(8);
-    }
-    else if (distribution === 'Normal') {
-      switch (sampleSize) {
-        case 2:
-          return Sampling.valuesWithInterval(6);
-        case 4:
-          return Sampling.valuesWithInterval(4);
-        case 8:
-          return Sampling.valuesWithInterval(3);
-        case 16:
-         return Sampling.valuesWithInterval(3);
-        case 32:
-         return Sampling.valuesWithInterval(2);
-        default:
-          return Sampling.valuesWithInterval(1);
-      }
-    }
-    else if (distribution === 'Skewed') {
-      switch (sampleSize) {
-        case 2:
-          return Sampling.valuesWithInterval(8);
-        case 4:
-          return Sampling.valuesWithInterval(8);
-        case 8:
-          return Sampling.valuesWithInterval(6);
-        case 16:
-          return Sampling.valuesWithInterval(6);
-        case 32:
-          return Sampling.valuesWithInterval(5);
-        default:
-          return Sampling.valuesWithInterval(1);
-      }
-    }
-  }
-
-
-	return this.histogram1.histogramData.values;
+  return SamplingEngine.binValuesForStat(this.histogram1.histogramData, statName, sampleSize,
+                                         this.distributionParameters.numberOfBins);
 };
 
 
@@ -474,6 +1210,30 @@ Sampling.prototype.colorForStat = function(statName) {
   else if (statName === 'range') {
     return 'lime';
   }
+  else if (statName === 'firstQuartile' || statName === 'thirdQuartile') {
+    return 'purple';
+  }
+  else if (StatisticsFunctions.percentFromName(statName) !== undefined) {
+    return 'teal';
+  }
+  else if (statName === 'interquartileRange') {
+    return 'orange';
+  }
+  else if (statName === 'mode') {
+    return 'olive';
+  }
+  else if (statName === 'trimmedMean') {
+    return 'navy';
+  }
+  else if (statName === 'geometricMean') {
+    return 'green';
+  }
+  else if (statName === 'coefficientOfVariation') {
+    return 'maroon';
+  }
+  else if (statName === 'medianAbsoluteDeviation') {
+    return 'darkcyan';
+  }
   else {
     return '#404040'; // dark gray
   }
@@ -481,23 +1241,42 @@ Sampling.prototype.colorForStat = function(statName) {
 
 
 /**
- * Update both charts, if necessary.  Display the distribution after taking a number of random samples.
+ * Update all charts, if necessary.  Display the distribution after taking a number of random samples.
  * @param numberOfSamples The number of samples.
  */
 Sampling.prototype.updateChartsWithSamples = function(numberOfSamples) {
-   // this.histogram2.setHistogramData(HistogramData.makeEmpty(this.histogram1.histogramData.values));
-    var sampleSize1 = 1; //hardcoded for 1 samples each time
-    var stat1 = "mean";
-    this.updateChart(this.histogram2, parseInt(sampleSize1), numberOfSamples, stat1);
+    if (this.histogram1.histogramData.numberOfObservations() < 1) {
+        // Nothing to sample until a population has been drawn
+        return;
+    }
+    var newValues = this.sample(this.histogram1.histogramData, numberOfSamples);
+    this.sampleValues = this.sampleValues.concat(newValues);
+    this.addDataPoints(this.histogram2, newValues);
+    var sampleSize3 = this.sampleSizeFromInput($('#histogram3SampleSize'));
+    this.updateChart(this.histogram3, sampleSize3, numberOfSamples, $('#histogram3Stat').val());
+    var sampleSize4 = this.sampleSizeFromInput($('#histogram4SampleSize'));
+    this.updateChart(this.histogram4, sampleSize4, numberOfSamples, $('#histogram4Stat').val());
+    this.showSampleValues();
+};
+
+
+/**
+ * Display the sample values and their statistics.
+ */
+Sampling.prototype.showSampleValues = function() {
+    if (this.sampleValues.length === 0) {
+        return;
+    }
     var sampletextbox= $("#sampleValuesTextarea");
-    sampletextbox.text(this.sampleValues);
+    // Continuous samples are shown to two decimals, but the statistics use the values in full
+    sampletextbox.text(this.sampleValues.map(function(value) {
+        return parseFloat(value.toFixed(2));
+    }).join(','));
     $("#sampleMean").html(StatisticsFunctions.mean(this.sampleValues).toFixed(2));
     $("#sampleMedian").html(StatisticsFunctions.median(this.sampleValues).toFixed(2));
     $("#sampleVariance").html(StatisticsFunctions.varianceUnbiased(this.sampleValues).toFixed(2));
     $("#sampleSD").html(StatisticsFunctions.standardDeviation(this.sampleValues).toFixed(2));
     $("#sampleRange").html(StatisticsFunctions.range(this.sampleValues).toFixed(2));
-
-      // this.histogram2.setBarColor(this.colorForStat(stat1));
 };
 
 
@@ -512,20 +1291,32 @@ Sampling.prototype.updateChart = function(histogram, sampleSize, numberOfSamples
 
     var parentPopulation = this.histogram1.histogramData;
     if (statToDisplay == 'none') {
-        histogram.setHistogramData(HistogramData.makeEmpty(parentPopulation.values));
+        histogram.setHistogramData(HistogramData.makeEmptyLike(parentPopulation));
         histogram.setTitle('');
     }
     else {
         var reduceFunction = StatisticsFunctions.functionByName(statToDisplay);
         var samples = this.sampleMany(parentPopulation, sampleSize, numberOfSamples, reduceFunction);
-        var newSamples = HistogramData.makeWithDataPoints(samples, this.histogram1.histogramData.values);
-        var existingSamples = histogram.histogramData;
-        var allSamples = HistogramData.makeByCombiningData(existingSamples, newSamples);
-        if (allSamples.numberOfObservations() !== newSamples.numberOfObservations() + existingSamples.numberOfObservations()) {
-          console.log('ruh roh');
-        }
-        histogram.setHistogramData(allSamples);
+        this.addDataPoints(histogram, samples);
+    }
+};
+
+
+/**
+ * Add data points to the data already displayed in a histogram, using its current bins.  When animating, they are
+ * dropped in after any which are still falling.
+ * @param {Histogram} histogram The histogram to update.
+ * @param {Array<number>} dataPoints The new data points.
+ */
+Sampling.prototype.addDataPoints = function(histogram, dataPoints) {
+    if (this.animateSamples) {
+        histogram.animateInData(dataPoints);
+        return;
     }
+    histogram.skipToEnd();
+    var existingSamples = histogram.histogramData;
+    var newSamples = HistogramData.makeWithDataPoints(dataPoints, existingSamples.values, existingSamples.edges);
+    histogram.setHistogramData(HistogramData.makeByCombiningData(existingSamples, newSamples));
 };
 
 
@@ -536,33 +1327,7 @@ Sampling.prototype.updateChart = function(histogram, sampleSize, numberOfSamples
  * @returns {Array<number>} An array of data points which are the result of sampling this distribution.
  */
 Sampling.prototype.sample = function (distribution, sampleSize) {
-    var frequencies = distribution.frequencies;
-    var values = distribution.values;
-    var numberOfBins = distribution.numberOfBins();
-    var sampleData = [];
-    var totals = []; // The total number of observations less than or equal to a certain value
-    var numberOfObservations = 0;
-    var step2 = (values[1] - values[0]) / 2;
-    for (var i = 0; i < numberOfBins; i++) {
-        numberOfObservations += frequencies[i];
-        totals[i] = numberOfObservations;
-    }
-
-    for (var i = 0; i < sampleSize; i++) {
-        // Choose a random number within the total number of observations
-        var randomIndex = Math.round(Math.random() * numberOfObservations);
-        // Find the bin corresponding to that random number
-        for (var j = 0; j < numberOfBins; j++){
-            if (randomIndex <= totals[j]) {
-                var value = values[j];
-                //value += (Math.random() - 0.5) * step2;
-                sampleData.push(value);
-                break;
-            }
-        }
-    }
-
-    return sampleData;
+    return this.engine.sample(distribution, sampleSize);
 };
 
 
@@ -575,83 +1340,5 @@ Sampling.prototype.sample = function (distribution, sampleSize) {
  * @returns {Array} An array of the results of applying reduceFunction to each sample.
  */
 Sampling.prototype.sampleMany = function(distribution, sampleSize, numberOfSamples, reduceFunction) {
-    var frequencies = distribution.frequencies;
-    var values = distribution.values;
-    var numberOfBins = distribution.numberOfBins();
-    var sampleData = [];
-    var totals = []; // The total number of observations less than or equal to a certain value
-    var numberOfObservations = 0;
-    var step2 = (values[1] - values[0]) / 2;
-    for (var i = 0; i < numberOfBins; i++) {
-        numberOfObservations += frequencies[i];
-        totals[i] = numberOfObservations;
-    }
-
-    var distribution = $('select[name=distribution]').val();
-    var resultsData = [];
-    for (var sampleIndex = 0; sampleIndex < numberOfSamples; sampleIndex++) {
-        for (var i = 0; i < sampleSize; i++) {
-            // Choose a random number within the total number of observations
-            var randomIndex = Math.round(Math.random() * numberOfObservations);
-            // Find the bin corresponding to that random number
-            for (var j = 0; j < numberOfBins; j++) {
-                if (randomIndex <= totals[j]) {
-                    var value = values[j];
-		    if(distribution === 'Normal'){
-                        value += (Math.random() - 0.5) * step2;
-		    }
-                    sampleData[i] = parseFloat(value.toFixed(2));
-		    this.sampleValues.push(parseFloat(value.toFixed(2)));
-                    break;
-                }
-            } // for (var j =
-        } // for (var i
-        var result = reduceFunction(sampleData);
-        resultsData.push(result);
-    } // for (var sampleIndex
-
-    return resultsData;
-};
-
-
-/**
- * Sample more data, one sample at a time, animated.
- */
-Sampling.prototype.sampleAnimated = function() {
-  var self = this;
-  var selectedStat3 = $('#histogram3Stat :selected').val();
-  var sampleSize3 = parseInt($('#histogram3SampleSize :selected').val());
-
-  var selectedStat4 = $('#histogram4Stat :selected').val();
-  var sampleSize4 = parseInt($('#histogram4SampleSize :selected').val());
-
-  function animateSecondDistribution() {
-     if (selectedStat4 !== 'none') {
-       self.histogram2.setHistogramData(HistogramData.makeEmpty(self.histogram1.histogramData.values));
-       var sampleData = self.sample(self.histogram1.histogramData, sampleSize4);
-       self.histogram2.animateInData(sampleData, function() {
-         // animation complete
-         var reduceFunction = StatisticsFunctions.functionByName(selectedStat4);
-         var dataPoint = reduceFunction(sampleData);
-         self.histogram4.animateInData([dataPoint]);
-       });
-     }
-  }
-
-  if (selectedStat3 !== 'none') {
-    self.histogram2.setHistogramData(HistogramData.makeEmpty(self.histogram1.histogramData.values));
-    var sampleData = self.sample(self.histogram1.histogramData, sampleSize3);
-    self.histogram2.animateInData(sampleData, function() {
-      // animation complete
-      var reduceFunction = StatisticsFunctions.functionByName(selectedStat3);
-      var dataPoint = reduceFunction(sampleData);
-      self.histogram3.animateInData([dataPoint], function() {
-        // Animate in second distribution, after a slight delay
-        setTimeout(animateSecondDistribution(), 150);  // 250ms = 1/4s
-      });
-    });
-  }
-  else {
-    animateSecondDistribution();
-  }
+    return this.engine.sampleMany(distribution, sampleSize, numberOfSamples, reduceFunction);
 };
@@ -0,0 +1,285 @@
+"use strict";
+
+if (typeof require !== 'undefined') {
+  var Random = require('./Random.js');
+  var Distributions = require('./Distributions.js');
+  var HistogramData = require('./HistogramData.js');
+}
+
+/**
+ * @constructor
+ * Draws random samples from a parent population.  The engine has no knowledge of the page: the population,
+ * the sample size and the random number generator are all given to it, so simulations can be scripted and
+ * tested in Node.
+ * @param random (optional) The random number generator, such as a Random.  A Random with a random seed is
+ * used if omitted.
+ */
+var SamplingEngine = function(random) {
+  this.random = random || new Random();
+  this.samplingModel = 'discrete'; // One of SamplingEngine.samplingModels
+  return this;
+};
+
+
+/**
+ * The ways of drawing a value once its bin has been chosen.
+ * 'discrete' gives the bin value itself, for populations which only take those values.
+ * 'uniform' spreads values evenly across the bin.
+ * 'linear' follows a density which changes linearly across the bin, sloping towards the denser neighbour, so
+ * that the steep sides of a continuous population are followed more closely than by uniform sampling.
+ */
+SamplingEngine.samplingModels = ['discrete', 'uniform', 'linear'];
+
+
+/**
+ * Find the slope of the linear density used to sample within each bin.  The slope comes from the densities of
+ * the neighbouring bins, limited so that the density never goes negative; the mass of each bin is unchanged.
+ * @param {HistogramData} distribution The distribution.
+ * @return {Array<number>} For each bin, the slope of its density across the bin relative to its average
+ * density, from -2 (all of the mass at the left edge) to 2 (all of it at the right).
+ */
+SamplingEngine.linearSlopes = function(distribution) {
+  var numberOfBins = distribution.numberOfBins();
+  var values = distribution.values;
+  var densities = distribution.densities();
+  var slopes = [];
+  for (var i = 0; i < numberOfBins; i++) {
+    var previous = Math.max(i - 1, 0);
+    var next = Math.min(i + 1, numberOfBins - 1);
+    if (densities[i] <= 0 || previous === next) {
+      slopes.push(0);
+      continue;
+    }
+    var densitySlope = (densities[next] - densities[previous]) / (values[next] - values[previous]);
+    var relativeSlope = densitySlope * distribution.binWidth(i) / densities[i];
+    slopes.push(Math.min(Math.max(relativeSlope, -2), 2));
+  }
+  return slopes;
+};
+
+
+/**
+ * Draw a position across a bin whose density is 1 + slope * (t - 0.5), by inverting its cumulative distribution.
+ * @param {number} slope The relative slope, from -2 to 2, as found by linearSlopes.
+ * @param {number} u A random number uniformly distributed in [0, 1).
+ * @return {number} The position across the bin, from 0 at its left edge to 1 at its right.
+ */
+SamplingEngine.positionWithSlope = function(slope, u) {
+  // Solve slope/2 t^2 + (1 - slope/2) t = u, in a form which is accurate when the slope is near zero
+  var b = 1 - slope / 2;
+  var denominator = b + Math.sqrt(b * b + 2 * slope * u);
+  return denominator > 0 ? 2 * u / denominator : 0;
+};
+
+
+/**
+ * Replace the random number generator.
+ * @param generator An object with a next() method returning numbers uniformly distributed in [0, 1),
+ * a setSeed(seed) method and a seed property, such as a Random.
+ */
+SamplingEngine.prototype.setRandomGenerator = function(generator) {
+  this.random = generator;
+};
+
+
+/**
+ * Prepare to draw from a distribution: add up the frequencies once, so that each draw can find its bin by binary
+ * search.  Negative frequencies are treated as zero.
+ * @param {HistogramData} distribution The distribution.
+ * @return {{values: Array<number>, totals: Array<number>, numberOfObservations: number, edges: Array<number>,
+ * slopes: Array<number>, model: string}} The sampler, for draw.  It doesn't follow later changes to the distribution.
+ */
+SamplingEngine.prototype.makeSampler = function(distribution) {
+  var frequencies = distribution.frequencies;
+  var numberOfBins = distribution.numberOfBins();
+  var totals = []; // The total number of observations less than or equal to a certain value
+  var numberOfObservations = 0;
+  for (var i = 0; i < numberOfBins; i++) {
+    numberOfObservations += Math.max(frequencies[i], 0);
+    totals[i] = numberOfObservations;
+  }
+  var model = this.samplingModel;
+  return {
+    values : distribution.values,
+    totals : totals,
+    numberOfObservations : numberOfObservations,
+    edges : model === 'discrete' ? undefined : distribution.binEdges(),
+    slopes : model === 'linear' ? SamplingEngine.linearSlopes(distribution) : undefined,
+    model : model
+  };
+};
+
+
+/**
+ * Draw one value, within its bin by the sampling model.
+ * @param {Object} sampler A sampler made by makeSampler, from a distribution with at least one observation.
+ * @return {number} The value.
+ */
+SamplingEngine.prototype.draw = function(sampler) {
+  // Choose one of the observations at random
+  var randomIndex = Math.floor(this.random.next() * sampler.numberOfObservations);
+  // Binary search for the first bin whose running total is beyond it
+  var totals = sampler.totals;
+  var low = 0;
+  var high = totals.length - 1;
+  while (low < high) {
+    var middle = (low + high) >> 1;
+    if (randomIndex < totals[middle]) {
+      high = middle;
+    }
+    else {
+      low = middle + 1;
+    }
+  }
+  if (sampler.model === 'discrete') {
+    return sampler.values[low];
+  }
+  var position = this.random.next();
+  if (sampler.model === 'linear') {
+    position = SamplingEngine.positionWithSlope(sampler.slopes[low], position);
+  }
+  var edges = sampler.edges;
+  return edges[low] + position * (edges[low + 1] - edges[low]);
+};
+
+
+/**
+ * Generate a random sample from a distribution, drawing values within each bin by the sampling model.
+ * @param {HistogramData} distribution The distribution.
+ * @param {number} sampleSize The number of data points in the sample.
+ * @returns {Array<number>} An array of data points which are the result of sampling this distribution.  It is
+ * empty if the distribution has no observations.
+ */
+SamplingEngine.prototype.sample = function(distribution, sampleSize) {
+  var sampler = this.makeSampler(distribution);
+  var sampleData = [];
+  if (sampler.numberOfObservations > 0) {
+    for (var i = 0; i < sampleSize; i++) {
+      sampleData.push(this.draw(sampler));
+    }
+  }
+  return sampleData;
+};
+
+
+/**
+ * Generate a distribution by sampling a parent population repeatedly.
+ * @param {HistogramData} distribution The distribution.
+ * @param {number} sampleSize The number of data points in the sample.
+ * @param {number} numberOfSamples The number of times to sample the parent population
+ * @param {function(Array) : number} reduceFunction A function which takes an array of values and produces a single result.
+ * @returns {Array} An array of the results of applying reduceFunction to each sample.
+ */
+SamplingEngine.prototype.sampleMany = function(distribution, sampleSize, numberOfSamples, reduceFunction) {
+  var resultsData = [];
+  this.accumulateStatistics(this.makeSampler(distribution), sampleSize, numberOfSamples, reduceFunction, {
+    add : function(statistic) {
+      resultsData.push(statistic);
+    }
+  });
+  return resultsData;
+};
+
+
+/**
+ * Sample repeatedly and pass the statistic of each sample on, without keeping the samples.  One array is reused for
+ * every sample, so the reduce function must not keep it.
+ * @param {Object} sampler A sampler made by makeSampler.
+ * @param {number} sampleSize The number of data points in each sample.
+ * @param {number} numberOfSamples The number of samples.
+ * @param {function(Array) : number} reduceFunction A function which takes an array of values and produces a single result.
+ * @param {{add: function(number)}} statistics Where each result goes, such as a StreamingStatistics.
+ */
+SamplingEngine.prototype.accumulateStatistics = function(sampler, sampleSize, numberOfSamples, reduceFunction,
+                                                         statistics) {
+  var sampleData = sampler.numberOfObservations > 0 ? new Array(sampleSize) : [];
+  var length = sampleData.length;
+  for (var sampleIndex = 0; sampleIndex < numberOfSamples; sampleIndex++) {
+    for (var i = 0; i < length; i++) {
+      sampleData[i] = this.draw(sampler);
+    }
+    statistics.add(reduceFunction(sampleData));
+  }
+};
+
+
+/**
+ * Draw a sample of the same size from the values, with replacement.
+ * @param {Array<number>} values The original sample.
+ * @return {Array<number>} The resample.
+ */
+SamplingEngine.prototype.resample = function(values) {
+  var result = [];
+  var sampleSize = values.length;
+  for (var i = 0; i < sampleSize; i++) {
+    result.push(values[Math.floor(this.random.next() * sampleSize)]);
+  }
+  return result;
+};
+
+
+/**
+ * Return the histogram bin values to use for the sampling distribution of a statistic.  Statistics measured on the
+ * same scale as the data share the parent population's bins; spread statistics get bins from zero to a value
+ * chosen from the population's spread, so that nearly all of their sampling distribution fits on the chart.
+ * @param {HistogramData} population The parent population.
+ * @param {string} statName The name of the stat being displayed.
+ * @param {number} sampleSize The sample size.
+ * @param {number} numberOfBins (optional) The number of bins for statistics with their own bins.  The population's
+ * number of bins if omitted.
+ * @return {Array<number>} The bin values to use to display the specified stat.
+ */
+SamplingEngine.binValuesForStat = function(population, statName, sampleSize, numberOfBins) {
+  numberOfBins = numberOfBins || population.numberOfBins();
+  var sd = population.standardDeviation() || 0;
+  var degreesOfFreedom = Math.max(sampleSize - 1, 1);
+
+  if (statName === 'variance' || statName === 'varianceUnbiased') {
+    return Distributions.binValuesFromZero(sd * sd * (1 + 4 * Math.sqrt(2 / degreesOfFreedom)), numberOfBins);
+  }
+  else if (statName === 'standardDeviation' || statName === 'meanAbsoluteDeviation') {
+    return Distributions.binValuesFromZero(sd * (1 + 3 / Math.sqrt(2 * degreesOfFreedom)), numberOfBins);
+  }
+  else if (statName === 'range') {
+    return Distributions.binValuesFromZero(population.range(), numberOfBins);
+  }
+  else if (statName === 'interquartileRange' || statName === 'medianAbsoluteDeviation') {
+    // The IQR of a normal population is about 1.35 SD, and the median absolute deviation half that
+    var spread = Math.min(population.range(), 1.35 * sd * (1 + 4 / Math.sqrt(degreesOfFreedom)));
+    return Distributions.binValuesFromZero(statName === 'interquartileRange' ? spread : spread / 2, numberOfBins);
+  }
+  else if (statName === 'coefficientOfVariation') {
+    // The coefficient of variation has no units, so it can't share the population's bins
+    var cv = population.coefficientOfVariation();
+    if (!isFinite(cv)) {
+      return Distributions.binValuesForRange(-10, 10, numberOfBins);
+    }
+    var cvSpread = 4 * Math.abs(cv) * Math.sqrt(1 / (2 * degreesOfFreedom) + cv * cv / sampleSize);
+    return Distributions.binValuesForRange(cv - cvSpread, cv + cvSpread, numberOfBins);
+  }
+  return population.values;
+};
+
+
+/**
+ * Make an empty histogram for the sampling distribution of a statistic.  Statistics which share the parent
+ * population's bins also share its bin edges.
+ * @param {HistogramData} population The parent population.
+ * @param {string} statName The name of the stat being displayed.
+ * @param {number} sampleSize The sample size.
+ * @param {number} numberOfBins (optional) The number of bins for statistics with their own bins, as for
+ * binValuesForStat.
+ * @return {HistogramData} The empty histogram.
+ */
+SamplingEngine.makeEmptyForStat = function(population, statName, sampleSize, numberOfBins) {
+  var binValues = SamplingEngine.binValuesForStat(population, statName, sampleSize, numberOfBins);
+  if (binValues === population.values) {
+    return HistogramData.makeEmptyLike(population);
+  }
+  return HistogramData.makeEmpty(binValues);
+};
+
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SamplingEngine;
+}
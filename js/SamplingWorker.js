@@ -0,0 +1,235 @@
+"use strict";
+
+/**
+ * @overview Runs large simulations of sampling distributions, such as a million samples of size 30, without
+ * freezing the page.  The statistic of each sample goes straight into a StreamingStatistics, so neither the samples
+ * nor the statistics are kept unless asked for.  The same file is loaded by the page, to start and cancel
+ * simulations, and as a Web Worker, to run them; where workers aren't available the simulation runs on the page in
+ * small chunks instead.
+ *
+ * A simulation is described by a request:
+ *   population: {values, frequencies, edges} The parent population.
+ *   samplingModel: The sampling model, one of SamplingEngine.samplingModels.
+ *   seed, randomState: The seed and state of the random number generator to continue from.
+ *   numberOfSamples: The number of samples to draw for each histogram.
+ *   histograms: Array of {statName, sampleSize, values, edges}, the statistic and bins of each histogram.
+ *   keepValues: (optional) Send back every statistic as well as the histogram of them.
+ * and answered with a result:
+ *   randomState: The state of the random number generator afterwards.
+ *   histograms: For each histogram, the statistics made by StreamingStatistics.toObject.
+ */
+
+if (typeof require !== 'undefined') {
+  var HistogramData = require('./HistogramData.js');
+  var Random = require('./Random.js');
+  var SamplingEngine = require('./SamplingEngine.js');
+  var StatisticsFunctions = require('./StatisticsFunctions.js');
+  var StreamingStatistics = require('./StreamingStatistics.js');
+}
+else if (typeof importScripts !== 'undefined') {
+  importScripts('Stats.js', 'StatisticsFunctions.js', 'HistogramData.js', 'Distributions.js', 'Random.js',
+                'SamplingEngine.js', 'StreamingStatistics.js');
+}
+
+/**
+ * @namespace
+ */
+var SamplingWorker = SamplingWorker || {};
+
+
+/**
+ * The address of this script, relative to the page, for starting it as a worker.
+ */
+SamplingWorker.scriptURL = 'js/SamplingWorker.js';
+
+
+/**
+ * The number of samples drawn for each histogram between progress reports and chances to cancel.
+ */
+SamplingWorker.chunkSize = 10000;
+
+
+/**
+ * Set up a simulation.
+ * @param {Object} request The simulation, as described above.
+ * @return {Object} The job, for runChunk and result.
+ */
+SamplingWorker.makeJob = function(request) {
+  var population = request.population;
+  var random = new Random(request.seed);
+  if (request.randomState !== undefined) {
+    random.state = request.randomState;
+  }
+  var engine = new SamplingEngine(random);
+  engine.samplingModel = request.samplingModel || 'discrete';
+  return {
+    engine : engine,
+    sampler : engine.makeSampler(new HistogramData(population.values, population.frequencies, undefined, undefined,
+                                                   population.edges)),
+    numberOfSamples : request.numberOfSamples,
+    samplesDone : 0,
+    cancelled : false,
+    histograms : request.histograms.map(function(histogram) {
+      return {
+        sampleSize : histogram.sampleSize,
+        reduceFunction : StatisticsFunctions.functionByName(histogram.statName),
+        statistics : new StreamingStatistics(histogram.values, histogram.edges, request.keepValues)
+      };
+    })
+  };
+};
+
+
+/**
+ * Draw the next chunk of samples for every histogram.
+ * @param {Object} job A job made by makeJob.
+ * @return {boolean} True when all the samples have been drawn.
+ */
+SamplingWorker.runChunk = function(job) {
+  var numberOfSamples = Math.min(SamplingWorker.chunkSize, job.numberOfSamples - job.samplesDone);
+  job.histograms.forEach(function(histogram) {
+    job.engine.accumulateStatistics(job.sampler, histogram.sampleSize, numberOfSamples, histogram.reduceFunction,
+                                    histogram.statistics);
+  });
+  job.samplesDone += numberOfSamples;
+  return job.samplesDone >= job.numberOfSamples;
+};
+
+
+/**
+ * @param {Object} job A finished job.
+ * @return {Object} The result, as described above.
+ */
+SamplingWorker.result = function(job) {
+  return {
+    randomState : job.engine.random.state,
+    histograms : job.histograms.map(function(histogram) {
+      return histogram.statistics.toObject();
+    })
+  };
+};
+
+
+/**
+ * Run a simulation a chunk at a time, letting other work happen in between.
+ * @param {Object} request The simulation, as described above.
+ * @param {function(number)} onProgress Called after each chunk with the proportion done.
+ * @param {function(Object)} onDone Called with the result, unless the job is cancelled.
+ * @param {function(string)} onError Called with the error if a chunk fails, which stops the job.
+ * @return {Object} The job.  Setting its cancelled property stops it after the current chunk.
+ */
+SamplingWorker.run = function(request, onProgress, onDone, onError) {
+  var job = SamplingWorker.makeJob(request);
+  var nextChunk = function() {
+    if (job.cancelled) {
+      return;
+    }
+    var finished;
+    try {
+      finished = SamplingWorker.runChunk(job);
+    }
+    catch (error) {
+      onError(String(error));
+      return;
+    }
+    onProgress(job.samplesDone / job.numberOfSamples);
+    if (finished) {
+      onDone(SamplingWorker.result(job));
+    }
+    else {
+      setTimeout(nextChunk, 0);
+    }
+  };
+  setTimeout(nextChunk, 0);
+  return job;
+};
+
+
+/**
+ * Start a simulation from the page, in a Web Worker if possible.
+ * @param {Object} request The simulation, as described above.
+ * @param {function(number)} onProgress Called from time to time with the proportion done.
+ * @param {function(Object)} onDone Called with the result, unless the simulation is cancelled.
+ * @param {function(string)} onError Called with the error if the simulation fails, which stops it.
+ * @return {{cancel: function()}} The running simulation.
+ */
+SamplingWorker.start = function(request, onProgress, onDone, onError) {
+  var job;
+  var worker;
+  var started = false;
+  var runHere = function() {
+    job = SamplingWorker.run(request, onProgress, onDone, onError);
+  };
+  try {
+    worker = new Worker(SamplingWorker.scriptURL);
+  }
+  catch (error) {
+    // Workers can't be started from pages opened as files, for example
+    worker = undefined;
+  }
+  if (worker) {
+    worker.onmessage = function(event) {
+      started = true;
+      if (event.data.type === 'progress') {
+        onProgress(event.data.proportion);
+      }
+      else if (event.data.type === 'error') {
+        worker.terminate();
+        worker = undefined;
+        onError(event.data.message);
+      }
+      else if (event.data.type === 'done') {
+        worker.terminate();
+        worker = undefined;
+        onDone(event.data.result);
+      }
+    };
+    worker.onerror = function(event) {
+      event.preventDefault();
+      worker.terminate();
+      worker = undefined;
+      if (started) {
+        onError(event.message || 'The simulation stopped unexpectedly.');
+      }
+      else {
+        // The worker script couldn't be loaded, so do the work here
+        runHere();
+      }
+    };
+    worker.postMessage(request);
+  }
+  else {
+    runHere();
+  }
+  return {
+    cancel : function() {
+      if (worker) {
+        worker.terminate();
+      }
+      if (job) {
+        job.cancelled = true;
+      }
+    }
+  };
+};
+
+
+// When loaded as a Web Worker, run each simulation which is posted to it.  The started message tells the page
+// that the scripts have loaded, so any error after it is a failure of the simulation itself.
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  self.onmessage = function(event) {
+    self.postMessage({ type : 'started' });
+    SamplingWorker.run(event.data, function(proportion) {
+      self.postMessage({ type : 'progress', proportion : proportion });
+    }, function(result) {
+      self.postMessage({ type : 'done', result : result });
+    }, function(message) {
+      self.postMessage({ type : 'error', message : message });
+    });
+  };
+}
+
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SamplingWorker;
+}
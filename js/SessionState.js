@@ -0,0 +1,330 @@
+"use strict";
+
+/**
+ * @constructor
+ * Saves and restores the state of the simulator: the distribution and its parameters, the parent population
+ * (including any changes made with the mouse), the sample values, the sampling distributions and the display
+ * toggles.  The state is autosaved to localStorage, and can be encoded in the URL hash so that a prepared
+ * population can be shared as a link.
+ * @param {Sampling} sampling The sampling object whose state is saved.
+ */
+var SessionState = function(sampling) {
+  this.sampling = sampling;
+  this.saveDelay = 500; // Milliseconds to wait after a change, so that dragging a bar doesn't save on every move
+  this.saveTimer = undefined;
+  this.saveFailed = false; // True while the last autosave couldn't be written
+  return this;
+};
+
+
+/**
+ * The version of the saved state.  States with a different version are ignored.
+ */
+SessionState.version = 1;
+
+
+/**
+ * The localStorage key used for autosaving.
+ */
+SessionState.storageKey = 'stat_sim.session';
+
+
+/**
+ * The prefix of a URL hash which holds a state.
+ */
+SessionState.hashPrefix = '#state=';
+
+
+/**
+ * The number of significant digits kept for each sample value.  The values are shown to two decimals, so this
+ * keeps the saved state compact without changing anything shown.
+ */
+SessionState.sampleDigits = 8;
+
+
+/**
+ * The longest share link, in characters of encoded state, which is expected to survive being sent in an email or
+ * a message.  Longer links leave out the sample values.
+ */
+SessionState.maximumLinkLength = 8000;
+
+
+/**
+ * Encode a state as URL-safe base64 text.
+ * @param {Object} state The state returned by capture.
+ * @return {string} The encoded state.
+ */
+SessionState.encode = function(state) {
+  return btoa(JSON.stringify(state)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+
+/**
+ * @param {string} text Text made by encode.
+ * @return {Object} The state, or undefined if the text isn't a valid state.
+ */
+SessionState.decode = function(text) {
+  try {
+    var state = JSON.parse(atob(text.replace(/-/g, '+').replace(/_/g, '/')));
+    return state && state.version === SessionState.version ? state : undefined;
+  }
+  catch (error) {
+    return undefined;
+  }
+};
+
+
+/**
+ * @param {HistogramData} histogramData A histogram.
+ * @return {Object} The histogram as a plain object.
+ */
+SessionState.histogramToObject = function(histogramData) {
+  return {
+    values : histogramData.values.slice(),
+    frequencies : histogramData.frequencies.slice(),
+    sum : histogramData.sum,
+    sumOfSquares : histogramData.sumOfSquares,
+    edges : histogramData.edges ? histogramData.edges.slice() : undefined
+  };
+};
+
+
+/**
+ * @param {Object} object A histogram made by histogramToObject.
+ * @return {HistogramData} The histogram.
+ */
+SessionState.objectToHistogram = function(object) {
+  return new HistogramData(object.values, object.frequencies, object.sum, object.sumOfSquares, object.edges);
+};
+
+
+/**
+ * @return {Object} The current state of the simulator, as a plain object.
+ */
+SessionState.prototype.capture = function() {
+  var sampling = this.sampling;
+  var population = sampling.capturePopulation();
+  return {
+    version : SessionState.version,
+    mode : $('select[name=mode]').val(),
+    distribution : population.distribution,
+    parameters : population.parameters,
+    importedPopulation : population.importedPopulation,
+    population : population.population,
+    sampleValues : sampling.sampleValues.map(function(value) {
+      return parseFloat(value.toPrecision(SessionState.sampleDigits));
+    }),
+    histogram3 : {
+      stat : $('#histogram3Stat').val(),
+      sampleSize : $('#histogram3SampleSize').val(),
+      histogramData : SessionState.histogramToObject(sampling.histogram3.histogramData)
+    },
+    histogram4 : {
+      stat : $('#histogram4Stat').val(),
+      sampleSize : $('#histogram4SampleSize').val(),
+      histogramData : SessionState.histogramToObject(sampling.histogram4.histogramData)
+    },
+    showStats : sampling.showStats,
+    showtips : sampling.showtips,
+    showPopulationCurve : sampling.showPopulationCurve,
+    showSamplingCurves : sampling.showSamplingCurves,
+    animateSamples : sampling.animateSamples,
+    animationSpeed : sampling.animationSpeed,
+    batchAnimation : sampling.batchAnimation,
+    qqSource : sampling.qqPlot.source,
+    alternativeView : sampling.alternativeView,
+    alternativeViewSource : sampling.alternativeViewSource,
+    seed : sampling.engine.random.seed,
+    randomState : sampling.engine.random.state
+  };
+};
+
+
+/**
+ * Rebuild the simulator from a state.
+ * @param {Object} state A state returned by capture.
+ */
+SessionState.prototype.restore = function(state) {
+  var sampling = this.sampling;
+  $.each(state.parameters, function(name, value) {
+    $('.distPara[name=' + name + ']').val(value);
+  });
+  if (state.importedPopulation) {
+    sampling.importedPopulation = SessionState.objectToHistogram(state.importedPopulation);
+  }
+  $('#histogram3Stat').val(state.histogram3.stat);
+  $('#histogram3SampleSize').val(state.histogram3.sampleSize);
+  $('#histogram4Stat').val(state.histogram4.stat);
+  $('#histogram4SampleSize').val(state.histogram4.sampleSize);
+  sampling.engine.random.setSeed(state.seed);
+  $('select[name=distribution]').val(state.distribution).trigger('change');
+
+  // The population may have been changed with the mouse after it was generated
+  sampling.histogram1.setHistogramData(SessionState.objectToHistogram(state.population));
+  sampling.resetSamples();
+  sampling.sampleValues = state.sampleValues.slice();
+  var population = sampling.histogram1.histogramData;
+  sampling.histogram2.setHistogramData(HistogramData.makeWithDataPoints(sampling.sampleValues, population.values,
+                                                                        population.edges));
+  if (state.sampleHistogram) {
+    // A share link which left out the sample values still has their graph
+    sampling.histogram2.setHistogramData(SessionState.objectToHistogram(state.sampleHistogram));
+  }
+  sampling.showSampleValues();
+  sampling.histogram3.setHistogramData(SessionState.objectToHistogram(state.histogram3.histogramData));
+  sampling.histogram4.setHistogramData(SessionState.objectToHistogram(state.histogram4.histogramData));
+  if (state.randomState !== undefined) {
+    // Continue the sequence where it left off, rather than repeating the samples already drawn
+    sampling.engine.random.state = state.randomState;
+  }
+
+  sampling.setShowStats(state.showStats);
+  sampling.setShowTips(state.showtips);
+  sampling.setShowPopulationCurve(state.showPopulationCurve === true);
+  sampling.setShowSamplingCurves(state.showSamplingCurves === true);
+  sampling.setAnimateSamples(state.animateSamples === true);
+  sampling.setAnimationSpeed(state.animationSpeed || 1);
+  sampling.setBatchAnimation(state.batchAnimation !== false);
+  sampling.qqPlot.setSource(state.qqSource);
+  sampling.setAlternativeView(state.alternativeView, state.alternativeViewSource);
+  $('select[name=mode]').val(state.mode);
+  sampling.showMode(state.mode);
+};
+
+
+/**
+ * Restore the state from the URL hash if there is one, otherwise from the autosaved state.
+ * @return {boolean} True if a state was restored.
+ */
+SessionState.prototype.restoreSaved = function() {
+  var state;
+  var hash = window.location.hash;
+  if (hash.indexOf(SessionState.hashPrefix) === 0) {
+    state = SessionState.decode(hash.substring(SessionState.hashPrefix.length));
+  }
+  if (!state) {
+    state = SessionState.decode(this.readStorage() || '');
+  }
+  if (!state) {
+    return false;
+  }
+  try {
+    this.restore(state);
+  }
+  catch (error) {
+    // A damaged state shouldn't stop the page from working
+    $('#sessionMessage').html('Your saved work could not be restored, so the page has started afresh.');
+    return false;
+  }
+  return true;
+};
+
+
+/**
+ * @return {string} The autosaved state, or undefined if there is none or localStorage is unavailable.
+ */
+SessionState.prototype.readStorage = function() {
+  try {
+    return window.localStorage.getItem(SessionState.storageKey) || undefined;
+  }
+  catch (error) {
+    return undefined;
+  }
+};
+
+
+/**
+ * Save the current state to localStorage now.
+ */
+SessionState.prototype.save = function() {
+  this.saveTimer = undefined;
+  try {
+    window.localStorage.setItem(SessionState.storageKey, SessionState.encode(this.capture()));
+  }
+  catch (error) {
+    // localStorage may be full or disabled; autosave is a convenience, so carry on without it
+    this.saveFailed = true;
+    $('#sessionMessage').html('Your work could not be saved in this browser.');
+    return;
+  }
+  if (this.saveFailed) {
+    this.saveFailed = false;
+    $('#sessionMessage').html('');
+  }
+};
+
+
+/**
+ * Save the current state shortly, unless another change arrives first.
+ */
+SessionState.prototype.scheduleSave = function() {
+  var self = this;
+  clearTimeout(this.saveTimer);
+  this.saveTimer = setTimeout(function() {
+    self.save();
+  }, this.saveDelay);
+};
+
+
+/**
+ * Autosave whenever a histogram changes or a display toggle is used.
+ */
+SessionState.prototype.startAutosave = function() {
+  var self = this;
+  var sampling = this.sampling;
+  var scheduleSave = function() {
+    self.scheduleSave();
+  };
+  [sampling.histogram1, sampling.histogram2, sampling.histogram3, sampling.histogram4].forEach(function(histogram) {
+    histogram.addObserver(scheduleSave, 'sessionState');
+  });
+  $('select[name=mode], #showtips, #qqSource, #alternativeView, #alternativeViewSource, #animationSpeed')
+      .change(scheduleSave);
+  $('#showStat, #hideStat, #showPopulationCurve, #showSamplingCurves, #animateSamples, #batchAnimation')
+      .click(scheduleSave);
+};
+
+
+/**
+ * Put the current state in the URL hash, so the address can be shared, and copy the address if possible.  When
+ * there are too many sample values for a link, their graph is shared instead of the values themselves.
+ * @return {string} The address.
+ */
+SessionState.prototype.shareLink = function() {
+  var state = this.capture();
+  var encoded = SessionState.encode(state);
+  var message = '';
+  if (encoded.length > SessionState.maximumLinkLength && state.sampleValues.length > 0) {
+    message = 'The link leaves out the ' + state.sampleValues.length + ' sample values, which are too many to ' +
+              'share, but keeps their graph.';
+    state.sampleHistogram = SessionState.histogramToObject(this.sampling.histogram2.histogramData);
+    state.sampleValues = [];
+    encoded = SessionState.encode(state);
+  }
+  if (encoded.length > SessionState.maximumLinkLength) {
+    message += ' The link is ' + encoded.length + ' characters long, so it may be cut short when sent.';
+  }
+  $('#sessionMessage').html($.trim(message));
+  window.location.hash = SessionState.hashPrefix + encoded;
+  var url = window.location.href;
+  if (navigator.clipboard) {
+    navigator.clipboard.writeText(url).catch(function() {});
+  }
+  return url;
+};
+
+
+/**
+ * Forget the saved state and reload the page with the default settings.
+ */
+SessionState.prototype.clear = function() {
+  clearTimeout(this.saveTimer);
+  try {
+    window.localStorage.removeItem(SessionState.storageKey);
+  }
+  catch (error) {
+    // Nothing was saved
+  }
+  window.location.hash = '';
+  window.location.reload();
+};
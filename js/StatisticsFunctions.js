@@ -11,8 +11,8 @@
 var StatisticsFunctions = StatisticsFunctions || {};
 
 /**
- * @param name A string which identifies the function.
- * @return {function(Array) : number} The function, or null;
+ * @param name A string which identifies the function.  Any percentile can be named, for example "percentile90".
+ * @return {function(Array) : number} The function, or undefined.
  */
 StatisticsFunctions.functionByName = function(name) {
     var map = {
@@ -22,11 +22,38 @@ StatisticsFunctions.functionByName = function(name) {
         "variance" : StatisticsFunctions.variance,
         "varianceUnbiased" : StatisticsFunctions.varianceUnbiased,
         "meanAbsoluteDeviation" : StatisticsFunctions.meanAbsoluteDeviation,
-        "range" : StatisticsFunctions.range
+        "range" : StatisticsFunctions.range,
+        "firstQuartile" : StatisticsFunctions.firstQuartile,
+        "thirdQuartile" : StatisticsFunctions.thirdQuartile,
+        "interquartileRange" : StatisticsFunctions.interquartileRange,
+        "mode" : StatisticsFunctions.mode,
+        "trimmedMean" : StatisticsFunctions.trimmedMean,
+        "geometricMean" : StatisticsFunctions.geometricMean,
+        "coefficientOfVariation" : StatisticsFunctions.coefficientOfVariation,
+        "medianAbsoluteDeviation" : StatisticsFunctions.medianAbsoluteDeviation
     };
+    var percent = StatisticsFunctions.percentFromName(name);
+    if (percent !== undefined) {
+        return function(values) {
+            return StatisticsFunctions.percentile(values, percent);
+        };
+    }
     return map[name];
 };
 
+
+/**
+ * @param {string} name The name of a statistic.
+ * @return {number} The percent of a percentile named like "percentile90", or undefined for other names.
+ */
+StatisticsFunctions.percentFromName = function(name) {
+    var match = /^percentile(\d+(\.\d+)?)$/.exec(name);
+    if (match && parseFloat(match[1]) <= 100) {
+        return parseFloat(match[1]);
+    }
+    return undefined;
+};
+
 /**
  * Compute the mean of an array of values.
  * @param {array<number>} values An array of values.
@@ -110,7 +137,8 @@ StatisticsFunctions.variance = function(values) {
 		sumOfSquares += value * value;
 	};
   var sumSquared = sum * sum;
-	return (sumOfSquares - (sumSquared / numberOfValues)) / numberOfValues;
+  // Rounding can make the variance of identical values slightly negative
+	return Math.max(sumOfSquares - (sumSquared / numberOfValues), 0) / numberOfValues;
 };
 
 
@@ -140,6 +168,135 @@ StatisticsFunctions.meanAbsoluteDeviation = function(values) {
 };
 
 
+/**
+ * Compute a quantile of an array of values, interpolating linearly between order statistics.
+ * @param {Array<number>} values An array of data points.
+ * @param {number} p The proportion of the data below the quantile, between 0 and 1.
+ * @return {number} The quantile.
+ */
+StatisticsFunctions.quantile = function(values, p) {
+  var sorted = values.slice();
+  sorted.sort(function(a, b) {return a - b;});
+  var position = (sorted.length - 1) * p;
+  var lower = Math.floor(position);
+  var upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+
+/**
+ * @param {Array<number>} values An array of data points.
+ * @param {number} percent The percent of the data below the percentile, between 0 and 100.
+ * @return {number} The percentile.
+ */
+StatisticsFunctions.percentile = function(values, percent) {
+  return StatisticsFunctions.quantile(values, percent / 100);
+};
+
+
+/**
+ * @param {Array<number>} values An array of data points.
+ * @return {number} The first quartile.
+ */
+StatisticsFunctions.firstQuartile = function(values) {
+  return StatisticsFunctions.quantile(values, 0.25);
+};
+
+
+/**
+ * @param {Array<number>} values An array of data points.
+ * @return {number} The third quartile.
+ */
+StatisticsFunctions.thirdQuartile = function(values) {
+  return StatisticsFunctions.quantile(values, 0.75);
+};
+
+
+/**
+ * @param {Array<number>} values An array of data points.
+ * @return {number} The interquartile range.
+ */
+StatisticsFunctions.interquartileRange = function(values) {
+  return StatisticsFunctions.thirdQuartile(values) - StatisticsFunctions.firstQuartile(values);
+};
+
+
+/**
+ * @param {Array<number>} values An array of data points.
+ * @return {number} The most frequent value.  When several values are equally frequent, the smallest.
+ */
+StatisticsFunctions.mode = function(values) {
+  var sorted = values.slice();
+  sorted.sort(function(a, b) {return a - b;});
+  var mode = sorted[0];
+  var modeCount = 0;
+  var count = 0;
+  for (var i = 0; i < sorted.length; i++) {
+    count = (i > 0 && sorted[i] === sorted[i - 1]) ? count + 1 : 1;
+    if (count > modeCount) {
+      mode = sorted[i];
+      modeCount = count;
+    }
+  }
+  return mode;
+};
+
+
+/**
+ * The mean after removing a proportion of the data from each end.
+ * @param {Array<number>} values An array of data points.
+ * @param {number} proportion (optional) The proportion removed from each end, from 0 to less than 0.5.
+ * Defaults to 0.1.
+ * @return {number} The trimmed mean.
+ */
+StatisticsFunctions.trimmedMean = function(values, proportion) {
+  if (proportion === undefined) {
+    proportion = 0.1;
+  }
+  var sorted = values.slice();
+  sorted.sort(function(a, b) {return a - b;});
+  var trimmed = Math.floor(sorted.length * proportion);
+  return StatisticsFunctions.mean(sorted.slice(trimmed, sorted.length - trimmed));
+};
+
+
+/**
+ * @param {Array<number>} values An array of data points.
+ * @return {number} The geometric mean, or NaN if any value is not positive.
+ */
+StatisticsFunctions.geometricMean = function(values) {
+  var sumOfLogs = 0;
+  for (var i = 0; i < values.length; i++) {
+    if (!(values[i] > 0)) {
+      return NaN;
+    }
+    sumOfLogs += Math.log(values[i]);
+  }
+  return Math.exp(sumOfLogs / values.length);
+};
+
+
+/**
+ * @param {Array<number>} values An array of data points.
+ * @return {number} The standard deviation divided by the mean.
+ */
+StatisticsFunctions.coefficientOfVariation = function(values) {
+  return StatisticsFunctions.standardDeviation(values) / StatisticsFunctions.mean(values);
+};
+
+
+/**
+ * @param {Array<number>} values An array of data points.
+ * @return {number} The median of the absolute deviations from the median.
+ */
+StatisticsFunctions.medianAbsoluteDeviation = function(values) {
+  var median = StatisticsFunctions.median(values);
+  return StatisticsFunctions.median(values.map(function(value) {
+    return Math.abs(value - median);
+  }));
+};
+
+
 /**
  *
  * @param value A number value
@@ -158,14 +315,14 @@ StatisticsFunctions.formatValue = function(value) {
  * Normal probability distribution, given a double number of z,
  * return it's normal probability.
  * @param {number} z z score
- * @returns {number}	The area.
+ * @returns {number}	The area under the standard normal curve to the right of z.
  */
 StatisticsFunctions.zprob = function(z) {
   if (z < -7) {
-    return 0.0;
+    return 1.0;
   }
   if (z > 7) {
-    return 1.0;
+    return 0.0;
   }
 
   var zNegative = (z < 0.0);
@@ -210,3 +367,287 @@ StatisticsFunctions.zprob = function(z) {
  		return p;
 
  */
+
+
+/**
+ * Natural logarithm of the gamma function (Lanczos approximation).
+ * @param {number} x A positive number.
+ * @returns {number} ln(Gamma(x)).
+ */
+StatisticsFunctions.logGamma = function(x) {
+  var coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+                      -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  var y = x;
+  var tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  var series = 1.000000000190015;
+  for (var i = 0; i < coefficients.length; i++) {
+    y += 1;
+    series += coefficients[i] / y;
+  }
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+};
+
+
+/**
+ * @param {number} x A value.
+ * @param {number} mean The mean of the normal distribution.
+ * @param {number} sd The standard deviation of the normal distribution.
+ * @returns {number} The normal probability density at x.
+ */
+StatisticsFunctions.normalDensity = function(x, mean, sd) {
+  var z = (x - mean) / sd;
+  return Math.exp(-z * z / 2) / (sd * Math.sqrt(2 * Math.PI));
+};
+
+
+/**
+ * @param {number} x A value.
+ * @param {number} shape The shape of the gamma distribution.
+ * @param {number} scale The scale of the gamma distribution.
+ * @returns {number} The gamma probability density at x.
+ */
+StatisticsFunctions.gammaDensity = function(x, shape, scale) {
+  if (x < 0 || (x === 0 && shape > 1)) {
+    return 0;
+  }
+  if (x === 0) {
+    return shape === 1 ? 1 / scale : Infinity;
+  }
+  return Math.exp((shape - 1) * Math.log(x / scale) - x / scale - StatisticsFunctions.logGamma(shape)) / scale;
+};
+
+
+/**
+ * @param {number} x A chi-square statistic.
+ * @param {number} degreesOfFreedom The degrees of freedom.
+ * @returns {number} The area under the chi-square distribution to the right of x.
+ */
+StatisticsFunctions.chiSquareProbability = function(x, degreesOfFreedom) {
+  return 1 - StatisticsFunctions.regularizedGammaP(degreesOfFreedom / 2, x / 2);
+};
+
+
+/**
+ * @param {number} k The number of successes.
+ * @param {number} n The number of trials.
+ * @param {number} p The probability of success on each trial.
+ * @returns {number} The binomial probability of exactly k successes.
+ */
+StatisticsFunctions.binomialProbability = function(k, n, p) {
+  if (k < 0 || k > n || k !== Math.floor(k)) {
+    return 0;
+  }
+  if (p === 0 || p === 1) {
+    return (k === n * p) ? 1 : 0;
+  }
+  var logCoefficient = StatisticsFunctions.logGamma(n + 1) - StatisticsFunctions.logGamma(k + 1) -
+                       StatisticsFunctions.logGamma(n - k + 1);
+  return Math.exp(logCoefficient + k * Math.log(p) + (n - k) * Math.log(1 - p));
+};
+
+
+/**
+ * @param {number} k The number of events.
+ * @param {number} lambda The mean number of events.
+ * @returns {number} The Poisson probability of exactly k events.
+ */
+StatisticsFunctions.poissonProbability = function(k, lambda) {
+  if (k < 0 || k !== Math.floor(k)) {
+    return 0;
+  }
+  return Math.exp(k * Math.log(lambda) - lambda - StatisticsFunctions.logGamma(k + 1));
+};
+
+
+/**
+ * Regularized lower incomplete gamma function, P(a, x).
+ * Uses the series expansion for x < a + 1 and the continued fraction otherwise.
+ * @param {number} a The shape, a positive number.
+ * @param {number} x A non-negative number.
+ * @returns {number} P(a, x), which is also the CDF of a Gamma(a, 1) distribution at x.
+ */
+StatisticsFunctions.regularizedGammaP = function(a, x) {
+  if (x <= 0) {
+    return 0;
+  }
+  var logPrefix = a * Math.log(x) - x - StatisticsFunctions.logGamma(a);
+  var epsilon = 1e-14;
+  if (x < a + 1) {
+    var term = 1 / a;
+    var sum = term;
+    for (var n = 1; n < 1000; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * epsilon) {
+        break;
+      }
+    }
+    return sum * Math.exp(logPrefix);
+  }
+  // Lentz's method for the continued fraction of Q(a, x)
+  var tiny = 1e-300;
+  var b = x + 1 - a;
+  var c = 1 / tiny;
+  var d = 1 / b;
+  var h = d;
+  for (var i = 1; i < 1000; i++) {
+    var an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) {
+      d = tiny;
+    }
+    c = b + an / c;
+    if (Math.abs(c) < tiny) {
+      c = tiny;
+    }
+    d = 1 / d;
+    var delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < epsilon) {
+      break;
+    }
+  }
+  return 1 - Math.exp(logPrefix) * h;
+};
+
+
+/**
+ * Inverse of the standard normal cumulative distribution function (Acklam's algorithm, refined with one
+ * Newton step using zprob).
+ * @param {number} p A probability strictly between 0 and 1.
+ * @returns {number} The z score with area p to its left.
+ */
+StatisticsFunctions.normalQuantile = function(p) {
+  if (p <= 0) {
+    return -Infinity;
+  }
+  if (p >= 1) {
+    return Infinity;
+  }
+  var a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+           1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  var b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+           6.680131188771972e+01, -1.328068155288572e+01];
+  var c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+           -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  var d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  var pLow = 0.02425;
+  var q, r, z;
+  if (p < pLow) {
+    q = Math.sqrt(-2 * Math.log(p));
+    z = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  else if (p <= 1 - pLow) {
+    q = p - 0.5;
+    r = q * q;
+    z = (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+  else {
+    q = Math.sqrt(-2 * Math.log(1 - p));
+    z = -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+         ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (Math.abs(z) < 7) {
+    var error = (1 - StatisticsFunctions.zprob(z)) - p;
+    z -= error * Math.sqrt(2 * Math.PI) * Math.exp(z * z / 2);
+  }
+  return z;
+};
+
+
+/**
+ * Regularized incomplete beta function, I_x(a, b), evaluated with a continued fraction.
+ * @param {number} x A number between 0 and 1.
+ * @param {number} a A positive number.
+ * @param {number} b A positive number.
+ * @returns {number} I_x(a, b).
+ */
+StatisticsFunctions.regularizedBeta = function(x, a, b) {
+  if (x <= 0) {
+    return 0;
+  }
+  if (x >= 1) {
+    return 1;
+  }
+  var logPrefix = StatisticsFunctions.logGamma(a + b) - StatisticsFunctions.logGamma(a) -
+                  StatisticsFunctions.logGamma(b) + a * Math.log(x) + b * Math.log(1 - x);
+  // The continued fraction converges quickly for x < (a + 1) / (a + b + 2); use the symmetry relation otherwise
+  if (x > (a + 1) / (a + b + 2)) {
+    return 1 - StatisticsFunctions.regularizedBeta(1 - x, b, a);
+  }
+  var tiny = 1e-300;
+  var epsilon = 1e-14;
+  var c = 1;
+  var d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) {
+    d = tiny;
+  }
+  d = 1 / d;
+  var h = d;
+  for (var m = 1; m < 1000; m++) {
+    var m2 = 2 * m;
+    var aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    d = Math.abs(d) < tiny ? tiny : d;
+    c = 1 + aa / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    d = 1 / d;
+    h *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    d = Math.abs(d) < tiny ? tiny : d;
+    c = 1 + aa / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    d = 1 / d;
+    var delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < epsilon) {
+      break;
+    }
+  }
+  return Math.exp(logPrefix) * h / a;
+};
+
+
+/**
+ * Student's t distribution, the counterpart of zprob.
+ * @param {number} t The t statistic.
+ * @param {number} degreesOfFreedom The degrees of freedom.
+ * @returns {number} The area under the t density to the right of t.
+ */
+StatisticsFunctions.tprob = function(t, degreesOfFreedom) {
+  var tail = 0.5 * StatisticsFunctions.regularizedBeta(degreesOfFreedom / (degreesOfFreedom + t * t),
+                                                       degreesOfFreedom / 2, 0.5);
+  return t >= 0 ? tail : 1 - tail;
+};
+
+
+/**
+ * Inverse of the Student's t cumulative distribution function, found by bisection.
+ * @param {number} p A probability strictly between 0 and 1.
+ * @param {number} degreesOfFreedom The degrees of freedom.
+ * @returns {number} The t value with area p to its left.
+ */
+StatisticsFunctions.tQuantile = function(p, degreesOfFreedom) {
+  var low = -1e6;
+  var high = 1e6;
+  for (var i = 0; i < 200 && high - low > 1e-12 * Math.max(1, Math.abs(low)); i++) {
+    var middle = (low + high) / 2;
+    if (1 - StatisticsFunctions.tprob(middle, degreesOfFreedom) < p) {
+      low = middle;
+    }
+    else {
+      high = middle;
+    }
+  }
+  return (low + high) / 2;
+};
+
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StatisticsFunctions;
+}
@@ -29,3 +29,8 @@ Stats.prototype.formatValue = function(value) {
         return value.toFixed(2);
     }
 };
+
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Stats;
+}
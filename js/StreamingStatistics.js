@@ -0,0 +1,122 @@
+"use strict";
+
+if (typeof require !== 'undefined') {
+  var HistogramData = require('./HistogramData.js');
+}
+
+/**
+ * @constructor
+ * Accumulates values one at a time, keeping their count, mean, variance, minimum and maximum and a histogram of
+ * them, but not the values themselves unless asked to.  The mean and variance are updated by Welford's method, which
+ * stays accurate over millions of values.
+ * @param {Array<number>} binValues The bin values of the histogram.
+ * @param {Array<number>} edges (optional) The bin boundaries, for bins of varying width.
+ * @param {boolean} keepValues (optional) Keep every value as well.
+ */
+var StreamingStatistics = function(binValues, edges, keepValues) {
+  this.binValues = binValues;
+  this.edges = edges;
+  this.frequencies = binValues.map(function() {
+    return 0;
+  });
+  this.values = keepValues ? [] : undefined;
+  this.count = 0;
+  this.mean = 0;
+  this.sumOfSquaredDeviations = 0;
+  this.minimum = Infinity;
+  this.maximum = -Infinity;
+  return this;
+};
+
+
+/**
+ * Add a value.  Values which aren't finite, such as the geometric mean of negative values, are left out, as they
+ * can't be shown on a histogram.
+ * @param {number} value The value.
+ */
+StreamingStatistics.prototype.add = function(value) {
+  if (!isFinite(value)) {
+    return;
+  }
+  this.count++;
+  var deviation = value - this.mean;
+  this.mean += deviation / this.count;
+  this.sumOfSquaredDeviations += deviation * (value - this.mean);
+  this.minimum = Math.min(this.minimum, value);
+  this.maximum = Math.max(this.maximum, value);
+  this.frequencies[HistogramData.binIndexForDataPoint(value, this.binValues, this.edges)]++;
+  if (this.values) {
+    this.values.push(value);
+  }
+};
+
+
+/**
+ * @return {number} The variance of the values, dividing by their count.
+ */
+StreamingStatistics.prototype.variance = function() {
+  return this.count > 0 ? this.sumOfSquaredDeviations / this.count : 0;
+};
+
+
+/**
+ * @return {number} The unbiased estimate of the variance, dividing by one less than the count.
+ */
+StreamingStatistics.prototype.varianceUnbiased = function() {
+  return this.count > 1 ? this.sumOfSquaredDeviations / (this.count - 1) : 0;
+};
+
+
+/**
+ * @return {number} The standard deviation of the values, dividing by their count.
+ */
+StreamingStatistics.prototype.standardDeviation = function() {
+  return Math.sqrt(this.variance());
+};
+
+
+/**
+ * @return {number} The sum of the values.
+ */
+StreamingStatistics.prototype.sum = function() {
+  return this.mean * this.count;
+};
+
+
+/**
+ * @return {number} The sum of the squares of the values.
+ */
+StreamingStatistics.prototype.sumOfSquares = function() {
+  return this.sumOfSquaredDeviations + this.count * this.mean * this.mean;
+};
+
+
+/**
+ * @return {HistogramData} A histogram of the values, whose sums are those of the values themselves.
+ */
+StreamingStatistics.prototype.toHistogramData = function() {
+  return new HistogramData(this.binValues, this.frequencies.slice(), this.sum(), this.sumOfSquares(), this.edges);
+};
+
+
+/**
+ * @return {Object} The statistics as a plain object, which can be sent from a Web Worker.
+ */
+StreamingStatistics.prototype.toObject = function() {
+  return {
+    frequencies : this.frequencies.slice(),
+    count : this.count,
+    mean : this.mean,
+    standardDeviation : this.standardDeviation(),
+    minimum : this.minimum,
+    maximum : this.maximum,
+    sum : this.sum(),
+    sumOfSquares : this.sumOfSquares(),
+    values : this.values
+  };
+};
+
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StreamingStatistics;
+}
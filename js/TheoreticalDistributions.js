@@ -0,0 +1,256 @@
+"use strict";
+
+if (typeof require !== 'undefined') {
+  var StatisticsFunctions = require('./StatisticsFunctions.js');
+  var HistogramData = require('./HistogramData.js');
+}
+
+/**
+ * @overview Declares the theoretical distributions drawn over the histograms: the true distribution of a named
+ * parent population, and the predicted sampling distributions of some statistics.  A continuous distribution is an
+ * object { name, density } where density(x) is the probability density at x.  A discrete distribution is an
+ * object { name, probability, min, max } where probability(k) is the probability of each whole number k from
+ * min to max.
+ */
+
+/**
+ * @namespace
+ */
+var TheoreticalDistributions = TheoreticalDistributions || {};
+
+
+/**
+ * @param {number} value A parameter.
+ * @return {string} The parameter for a distribution name, with at most three decimals.
+ */
+TheoreticalDistributions.formatParameter = function(value) {
+  return String(parseFloat(value.toFixed(3)));
+};
+
+
+/**
+ * @param {number} mean The mean.
+ * @param {number} sd The standard deviation.
+ * @return {Object} The normal distribution.
+ */
+TheoreticalDistributions.normal = function(mean, sd) {
+  return {
+    name : 'Normal(' + TheoreticalDistributions.formatParameter(mean) + ', ' +
+           TheoreticalDistributions.formatParameter(sd) + ')',
+    density : function(x) {
+      return StatisticsFunctions.normalDensity(x, mean, sd);
+    }
+  };
+};
+
+
+/**
+ * @param {number} n The number of trials.
+ * @param {number} p The probability of success.
+ * @return {Object} The binomial distribution.
+ */
+TheoreticalDistributions.binomial = function(n, p) {
+  return {
+    name : 'Binomial(' + n + ', ' + TheoreticalDistributions.formatParameter(p) + ')',
+    min : 0,
+    max : n,
+    probability : function(k) {
+      return StatisticsFunctions.binomialProbability(k, n, p);
+    }
+  };
+};
+
+
+/**
+ * @param {number} lambda The mean.
+ * @return {Object} The Poisson distribution, cut off where the remaining probability is negligible.
+ */
+TheoreticalDistributions.poisson = function(lambda) {
+  return {
+    name : 'Poisson(' + TheoreticalDistributions.formatParameter(lambda) + ')',
+    min : 0,
+    max : Math.ceil(lambda + 10 * Math.sqrt(lambda) + 10),
+    probability : function(k) {
+      return StatisticsFunctions.poissonProbability(k, lambda);
+    }
+  };
+};
+
+
+/**
+ * @param {number} min The lower bound.
+ * @param {number} max The upper bound.
+ * @return {Object} The continuous uniform distribution.
+ */
+TheoreticalDistributions.uniform = function(min, max) {
+  return {
+    name : 'Uniform(' + TheoreticalDistributions.formatParameter(min) + ', ' +
+           TheoreticalDistributions.formatParameter(max) + ')',
+    density : function(x) {
+      return (x >= min && x <= max) ? 1 / (max - min) : 0;
+    }
+  };
+};
+
+
+/**
+ * The gamma shaped population made by Distributions.skewed, stretched across the same bins.
+ * @param {number} shape The gamma shape parameter.
+ * @param {string} direction 'Right' or 'Left'.
+ * @param {Array<number>} edges The bin boundaries of the population.
+ * @return {Object} The skewed distribution.
+ */
+TheoreticalDistributions.skewed = function(shape, direction, edges) {
+  var bottom = edges[0];
+  var top = edges[edges.length - 1];
+  var scale = top / (shape + 6 * Math.sqrt(shape));
+  var name = 'Gamma(' + TheoreticalDistributions.formatParameter(shape) + ', ' +
+             TheoreticalDistributions.formatParameter(scale) + ')';
+  if (direction === 'Left') {
+    return {
+      name : 'Mirrored ' + name,
+      density : function(x) {
+        return StatisticsFunctions.gammaDensity(bottom + top - x, shape, scale);
+      }
+    };
+  }
+  return {
+    name : name,
+    density : function(x) {
+      return StatisticsFunctions.gammaDensity(x, shape, scale);
+    }
+  };
+};
+
+
+/**
+ * The distribution of scale times a chi-square variable.
+ * @param {number} degreesOfFreedom The degrees of freedom of the chi-square distribution.
+ * @param {number} scale The multiplier.
+ * @param {string} name The name to show.
+ * @return {Object} The scaled chi-square distribution.
+ */
+TheoreticalDistributions.scaledChiSquare = function(degreesOfFreedom, scale, name) {
+  return {
+    name : name,
+    density : function(x) {
+      return StatisticsFunctions.gammaDensity(x, degreesOfFreedom / 2, 2 * scale);
+    }
+  };
+};
+
+
+/**
+ * The distribution of the square root of scale times a chi-square variable.
+ * @param {number} degreesOfFreedom The degrees of freedom of the chi-square distribution.
+ * @param {number} scale The multiplier under the square root.
+ * @param {string} name The name to show.
+ * @return {Object} The scaled chi distribution.
+ */
+TheoreticalDistributions.scaledChi = function(degreesOfFreedom, scale, name) {
+  return {
+    name : name,
+    density : function(x) {
+      if (x < 0) {
+        return 0;
+      }
+      return StatisticsFunctions.gammaDensity(x * x, degreesOfFreedom / 2, 2 * scale) * 2 * x;
+    }
+  };
+};
+
+
+/**
+ * Find the true distribution of a parent population built by Distributions.make.
+ * @param {string} name The name of the distribution, as accepted by Distributions.validateParameters.
+ * @param {Object} parameters The parameters the population was built with.
+ * @param {HistogramData} population The population.
+ * @return {Object} The theoretical distribution, or undefined for custom and imported populations, which have none.
+ */
+TheoreticalDistributions.forPopulation = function(name, parameters, population) {
+  if (name === 'Normal') {
+    return TheoreticalDistributions.normal(parameters.mean, parameters.sd);
+  }
+  else if (name === 'Binomial') {
+    return TheoreticalDistributions.binomial(parameters.n, parameters.p);
+  }
+  else if (name === 'Poisson') {
+    return TheoreticalDistributions.poisson(parameters.lambda);
+  }
+  else if (name === 'Uniform') {
+    return TheoreticalDistributions.uniform(parameters.min, parameters.max);
+  }
+  else if (name === 'Skewed') {
+    return TheoreticalDistributions.skewed(parameters.shape, parameters.skew, population.binEdges());
+  }
+  return undefined;
+};
+
+
+/**
+ * Predict the sampling distribution of a statistic from the mean and standard deviation of the parent population.
+ * The mean is normal by the central limit theorem; the variance and standard deviation follow from the chi-square
+ * distribution, which is exact for a normal population and approximate otherwise.
+ * @param {string} statName The name of the statistic.
+ * @param {HistogramData} population The parent population.
+ * @param {number} sampleSize The sample size.
+ * @return {Object} The theoretical distribution, or undefined if there is no prediction for the statistic.
+ */
+TheoreticalDistributions.forStatistic = function(statName, population, sampleSize) {
+  if (population.numberOfObservations() < 1 || !(sampleSize >= 1)) {
+    return undefined;
+  }
+  var mean = population.mean();
+  var sd = population.standardDeviation();
+  if (!(sd > 0)) {
+    return undefined;
+  }
+  if (statName === 'mean') {
+    return TheoreticalDistributions.normal(mean, sd / Math.sqrt(sampleSize));
+  }
+  var variance = sd * sd;
+  var degreesOfFreedom = sampleSize - 1;
+  var chiSquareName = 'χ²(' + degreesOfFreedom + ')';
+  if (degreesOfFreedom < 1) {
+    return undefined;
+  }
+  else if (statName === 'variance') {
+    return TheoreticalDistributions.scaledChiSquare(degreesOfFreedom, variance / sampleSize,
+        TheoreticalDistributions.formatParameter(variance / sampleSize) + ' × ' + chiSquareName);
+  }
+  else if (statName === 'varianceUnbiased') {
+    return TheoreticalDistributions.scaledChiSquare(degreesOfFreedom, variance / degreesOfFreedom,
+        TheoreticalDistributions.formatParameter(variance / degreesOfFreedom) + ' × ' + chiSquareName);
+  }
+  else if (statName === 'standardDeviation') {
+    return TheoreticalDistributions.scaledChi(degreesOfFreedom, variance / sampleSize,
+        '√(' + TheoreticalDistributions.formatParameter(variance / sampleSize) + ' × ' + chiSquareName + ')');
+  }
+  return undefined;
+};
+
+
+/**
+ * Find the probability of each bin of a histogram under a discrete distribution.
+ * @param {Object} distribution A discrete distribution.
+ * @param {HistogramData} histogramData The histogram whose bins are used.
+ * @return {Array<number>} The probability of each bin.  Whole numbers outside the bins are left out.
+ */
+TheoreticalDistributions.binProbabilities = function(distribution, histogramData) {
+  var probabilities = histogramData.values.map(function() {
+    return 0;
+  });
+  var edges = histogramData.binEdges();
+  var top = edges[edges.length - 1];
+  // Only the whole numbers within the bins are needed, however wide the distribution
+  for (var k = Math.max(distribution.min, Math.ceil(edges[0])); k <= distribution.max && k < top; k++) {
+    probabilities[HistogramData.binIndexForDataPoint(k, histogramData.values, histogramData.edges)] +=
+        distribution.probability(k);
+  }
+  return probabilities;
+};
+
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TheoreticalDistributions;
+}
@@ -0,0 +1,39 @@
+"use strict";
+
+/**
+ * @overview Tests for the five-number summary and outliers of the box plot.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var BoxPlot = require('../js/BoxPlot.js');
+var HistogramData = require('../js/HistogramData.js');
+var StatisticsFunctions = require('../js/StatisticsFunctions.js');
+
+var binValues = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20];
+
+
+test('the box spans the quartiles of the data, with the median inside', function() {
+  var values = [2, 4, 4, 4, 5, 5, 7, 9];
+  var summary = BoxPlot.summary(HistogramData.makeWithDataPoints(values, binValues));
+  assert.strictEqual(summary.firstQuartile, StatisticsFunctions.firstQuartile(values));
+  assert.strictEqual(summary.median, StatisticsFunctions.median(values));
+  assert.strictEqual(summary.thirdQuartile, StatisticsFunctions.thirdQuartile(values));
+});
+
+
+test('whiskers reach the furthest values within 1.5 IQR, and values beyond are outliers', function() {
+  // Q1 = 4, Q3 = 5.5, so the fences are at 1.75 and 7.75
+  var summary = BoxPlot.summary(HistogramData.makeWithDataPoints([0, 2, 4, 4, 4, 5, 5, 7, 20, 20], binValues));
+  assert.strictEqual(summary.lowerWhisker, 2);
+  assert.strictEqual(summary.upperWhisker, 7);
+  assert.deepStrictEqual(summary.outliers, [{ value : 0, frequency : 1 }, { value : 20, frequency : 2 }]);
+});
+
+
+test('data without spread has no outliers', function() {
+  var summary = BoxPlot.summary(HistogramData.makeWithDataPoints([3, 3, 3], binValues));
+  assert.deepStrictEqual([summary.lowerWhisker, summary.firstQuartile, summary.median, summary.thirdQuartile,
+                          summary.upperWhisker], [3, 3, 3, 3, 3]);
+  assert.deepStrictEqual(summary.outliers, []);
+});
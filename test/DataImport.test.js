@@ -0,0 +1,72 @@
+"use strict";
+
+/**
+ * @overview Tests for building a parent population from CSV or pasted data.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var DataImport = require('../js/DataImport.js');
+
+
+test('raw data is binned so that every value is counted', function() {
+  var population = DataImport.makeHistogramData('value\n1.5\n2.25\n-0.5\n3.75\n2.25\n', 'auto');
+  assert.strictEqual(population.numberOfObservations(), 5);
+  var edges = population.binEdges();
+  assert.ok(edges[0] <= -0.5 && edges[edges.length - 1] >= 3.75);
+  assert.strictEqual(population.numberOfBins(), 33);
+});
+
+
+test('whole number data keeps every integer on a bin', function() {
+  var population = DataImport.makeHistogramData('3\n5\n5\n8', 'raw', 12);
+  assert.strictEqual(population.numberOfBins(), 12);
+  [3, 5, 8].forEach(function(value) {
+    assert.notStrictEqual(population.values.indexOf(value), -1);
+  });
+  assert.strictEqual(population.frequencies[population.values.indexOf(5)], 2);
+});
+
+
+test('large raw data can be imported', function() {
+  var lines = [];
+  for (var i = 0; i < 300000; i++) {
+    lines.push(String(i % 1000 / 10));
+  }
+  var population = DataImport.makeHistogramData(lines.join('\n'), 'raw');
+  assert.strictEqual(population.numberOfObservations(), 300000);
+});
+
+
+test('value, frequency pairs are loaded as they are, filling gaps with zero', function() {
+  var population = DataImport.makeHistogramData('0, 4\n1, 6\n3, 2\n', 'auto', 10);
+  assert.strictEqual(population.numberOfBins(), 10);
+  assert.deepStrictEqual(population.values.slice(0, 4), [0, 1, 2, 3]);
+  assert.deepStrictEqual(population.frequencies.slice(0, 4), [4, 6, 0, 2]);
+  assert.strictEqual(population.numberOfObservations(), 12);
+});
+
+
+test('pairs with a repeated value are raw data unless they are said to be pairs', function() {
+  assert.strictEqual(DataImport.looksBinned([[1, 2], [1, 3]]), false);
+  assert.throws(function() {
+    DataImport.makeHistogramData('1, 2\n1, 3', 'binned');
+  }, /appears more than once/);
+});
+
+
+test('pairs must be equally spaced and fit in the bins', function() {
+  assert.throws(function() {
+    DataImport.makeHistogramData('0, 1\n1, 1\n2.5, 1', 'binned');
+  }, /equally spaced/);
+  assert.throws(function() {
+    DataImport.makeHistogramData('0, 1\n1, 1\n2, 1\n3, 1\n4, 1\n5, 1', 'binned', 5);
+  }, /fit in 5/);
+});
+
+
+test('text without numbers is refused', function() {
+  assert.throws(function() {
+    DataImport.makeHistogramData('a, b\nc', 'auto');
+  }, /No numbers/);
+});
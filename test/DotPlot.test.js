@@ -0,0 +1,31 @@
+"use strict";
+
+/**
+ * @overview Tests for stacking the dots of the dot plot.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var DotPlot = require('../js/DotPlot.js');
+var HistogramData = require('../js/HistogramData.js');
+
+
+test('small samples get one dot for each value', function() {
+  var stacks = DotPlot.stacks(new HistogramData([0, 1, 2, 3], [1, 0, 3, 2]), 20);
+  assert.strictEqual(stacks.observationsPerDot, 1);
+  assert.deepStrictEqual(stacks.dots, [1, 0, 3, 2]);
+});
+
+
+test('when the tallest stack does not fit, each dot stands for several values', function() {
+  var stacks = DotPlot.stacks(new HistogramData([0, 1, 2, 3], [1, 0, 45, 20]), 20);
+  assert.strictEqual(stacks.observationsPerDot, 3);
+  assert.deepStrictEqual(stacks.dots, [1, 0, 15, 7]);
+});
+
+
+test('an empty histogram has no dots', function() {
+  var stacks = DotPlot.stacks(HistogramData.makeEmpty([0, 1, 2]), 20);
+  assert.strictEqual(stacks.observationsPerDot, 1);
+  assert.deepStrictEqual(stacks.dots, [0, 0, 0]);
+});
@@ -0,0 +1,25 @@
+"use strict";
+
+/**
+ * @overview Tests for the steps of the empirical CDF.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var ECDFPlot = require('../js/ECDFPlot.js');
+var HistogramData = require('../js/HistogramData.js');
+
+
+test('the curve rises at each value holding data, by its share of the data', function() {
+  var steps = ECDFPlot.steps(new HistogramData([0, 1, 2, 3, 4], [1, 0, 2, 0, 1]));
+  assert.deepStrictEqual(steps, [
+    { value : 0, proportion : 0.25 },
+    { value : 2, proportion : 0.75 },
+    { value : 4, proportion : 1 }
+  ]);
+});
+
+
+test('an empty histogram has no steps', function() {
+  assert.deepStrictEqual(ECDFPlot.steps(HistogramData.makeEmpty([0, 1, 2])), []);
+});
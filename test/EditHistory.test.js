@@ -0,0 +1,65 @@
+"use strict";
+
+/**
+ * @overview Tests for the undo and redo stacks.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var EditHistory = require('../js/EditHistory.js');
+
+
+test('a new history has nothing to undo or redo', function() {
+  var history = new EditHistory();
+  assert.strictEqual(history.canUndo(), false);
+  assert.strictEqual(history.canRedo(), false);
+  assert.strictEqual(history.undo('now'), undefined);
+  assert.strictEqual(history.redo('now'), undefined);
+  assert.strictEqual(history.canRedo(), false);
+});
+
+
+test('undo returns the recorded states in reverse, and redo goes forward again', function() {
+  var history = new EditHistory();
+  history.record('a');
+  history.record('b');
+  assert.strictEqual(history.undo('c'), 'b');
+  assert.strictEqual(history.undo('b'), 'a');
+  assert.strictEqual(history.canUndo(), false);
+  assert.strictEqual(history.redo('a'), 'b');
+  assert.strictEqual(history.redo('b'), 'c');
+  assert.strictEqual(history.canRedo(), false);
+  assert.strictEqual(history.undo('c'), 'b');
+});
+
+
+test('a new change after an undo discards the redo states', function() {
+  var history = new EditHistory();
+  history.record('a');
+  history.undo('b');
+  assert.strictEqual(history.canRedo(), true);
+  history.record('a');
+  assert.strictEqual(history.canRedo(), false);
+});
+
+
+test('only the latest states up to the limit are kept', function() {
+  var history = new EditHistory(2);
+  ['a', 'b', 'c'].forEach(function(state) {
+    history.record(state);
+  });
+  assert.strictEqual(history.undo('d'), 'c');
+  assert.strictEqual(history.undo('c'), 'b');
+  assert.strictEqual(history.canUndo(), false);
+});
+
+
+test('clear forgets everything', function() {
+  var history = new EditHistory();
+  history.record('a');
+  history.record('b');
+  history.undo('c');
+  history.clear();
+  assert.strictEqual(history.canUndo(), false);
+  assert.strictEqual(history.canRedo(), false);
+});
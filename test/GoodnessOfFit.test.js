@@ -0,0 +1,94 @@
+"use strict";
+
+/**
+ * @overview Tests for the chi-square goodness-of-fit test of a sample against its parent population.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var Distributions = require('../js/Distributions.js');
+var GoodnessOfFit = require('../js/GoodnessOfFit.js');
+var HistogramData = require('../js/HistogramData.js');
+var Random = require('../js/Random.js');
+var SamplingEngine = require('../js/SamplingEngine.js');
+var StatisticsFunctions = require('../js/StatisticsFunctions.js');
+var assertClose = require('./assertions.js').assertClose;
+
+
+test('chiSquareProbability gives the familiar critical values', function() {
+  assertClose(StatisticsFunctions.chiSquareProbability(3.841459, 1), 0.05, 1e-6);
+  assertClose(StatisticsFunctions.chiSquareProbability(18.307038, 10), 0.05, 1e-6);
+  assert.strictEqual(StatisticsFunctions.chiSquareProbability(0, 4), 1);
+});
+
+
+test('mergeBins groups neighbouring bins until each is expected to hold enough values', function() {
+  var groups = GoodnessOfFit.mergeBins([1, 0, 6, 3, 2, 1, 0], [1, 2, 6, 4, 2, 1, 0.5], 5);
+  assert.deepStrictEqual(groups, [
+    { firstBin : 0, lastBin : 2, observed : 7, expected : 9 },
+    { firstBin : 3, lastBin : 6, observed : 6, expected : 7.5 }
+  ]);
+  assert.deepStrictEqual(GoodnessOfFit.mergeBins([1, 2], [1, 2], 5),
+                         [{ firstBin : 0, lastBin : 1, observed : 3, expected : 3 }]);
+});
+
+
+test('the statistic is the sum of the squared Pearson residuals of the groups', function() {
+  var values = [0, 1, 2, 3];
+  var population = new HistogramData(values, [100, 200, 300, 400]);
+  var sample = new HistogramData(values, [15, 15, 30, 40]);
+  var results = GoodnessOfFit.test(sample, population);
+  assert.strictEqual(results.degreesOfFreedom, 3);
+  assert.deepStrictEqual(results.groups.map(function(group) {
+    return group.expected;
+  }), [10, 20, 30, 40]);
+  assertClose(results.groups[0].residual, 5 / Math.sqrt(10), 1e-12);
+  assertClose(results.statistic, 2.5 + 1.25, 1e-12);
+  assertClose(results.pValue, StatisticsFunctions.chiSquareProbability(3.75, 3), 1e-12);
+});
+
+
+test('a sample with too few values for two groups has no p-value', function() {
+  var values = [0, 1, 2];
+  var results = GoodnessOfFit.test(new HistogramData(values, [1, 0, 2]), new HistogramData(values, [1, 1, 1]));
+  assert.strictEqual(results.degreesOfFreedom, 0);
+  assert.strictEqual(results.pValue, undefined);
+});
+
+
+test('empty histograms and different bins are refused', function() {
+  var population = new HistogramData([0, 1, 2], [1, 1, 1]);
+  assert.throws(function() {
+    GoodnessOfFit.test(HistogramData.makeEmptyLike(population), population);
+  });
+  assert.throws(function() {
+    GoodnessOfFit.test(new HistogramData([0, 1], [1, 1]), population);
+  });
+});
+
+
+test('samples from the population are rejected at about the nominal rate', function() {
+  var population = Distributions.make('Normal', Distributions.defaultParameters());
+  var engine = new SamplingEngine(new Random(7));
+  var numberOfTests = 400;
+  var rejected = 0;
+  for (var i = 0; i < numberOfTests; i++) {
+    var sample = HistogramData.makeWithDataPoints(engine.sample(population, 200), population.values);
+    if (GoodnessOfFit.test(sample, population).pValue < 0.05) {
+      rejected++;
+    }
+  }
+  // The binomial standard deviation of the number rejected is about 4.4
+  assertClose(rejected, 0.05 * numberOfTests, 15);
+});
+
+
+test('a sample from a shifted population is rejected', function() {
+  var parameters = Distributions.defaultParameters();
+  var population = Distributions.make('Normal', parameters);
+  parameters.mean = 0.5;
+  var shifted = Distributions.make('Normal', parameters).rebin(population.values);
+  var engine = new SamplingEngine(new Random(7));
+  var sample = HistogramData.makeWithDataPoints(engine.sample(shifted, 200), population.values);
+  assert.ok(GoodnessOfFit.test(sample, population).pValue < 0.001);
+});
@@ -0,0 +1,312 @@
+"use strict";
+
+/**
+ * @overview Tests that the frequency-weighted statistics of HistogramData match the formulas for raw data.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var HistogramData = require('../js/HistogramData.js');
+var StatisticsFunctions = require('../js/StatisticsFunctions.js');
+var assertClose = require('./assertions.js').assertClose;
+
+var binValues = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+/**
+ * Raw data sets whose values all lie on the bins, so binning loses nothing.
+ */
+var dataSets = [
+  [2, 4, 4, 4, 5, 5, 7, 9],
+  [1, 3],
+  [0, 0, 9],
+  [6],
+  [3, 3, 3, 3],
+  [0, 1, 1, 2, 2, 2, 8, 8, 9, 9, 9, 9, 9]
+];
+
+var rawSkew = function(values) {
+  var mean = StatisticsFunctions.mean(values);
+  var sd = StatisticsFunctions.standardDeviation(values);
+  if (sd === 0 || values.length < 2) {
+    return 0;
+  }
+  return StatisticsFunctions.mean(values.map(function(value) {
+    return Math.pow(value - mean, 3);
+  })) / Math.pow(sd, 3);
+};
+
+var rawKurtosis = function(values) {
+  var mean = StatisticsFunctions.mean(values);
+  var sd = StatisticsFunctions.standardDeviation(values);
+  if (sd === 0 || values.length < 2) {
+    return 0;
+  }
+  return StatisticsFunctions.mean(values.map(function(value) {
+    return Math.pow(value - mean, 4);
+  })) / Math.pow(sd, 4) - 3;
+};
+
+
+test('makeWithDataPoints counts each data point in its bin', function() {
+  var histogramData = HistogramData.makeWithDataPoints([2, 4, 4, 9.4, -3, 20], binValues);
+  assert.deepStrictEqual(histogramData.frequencies, [1, 0, 1, 0, 2, 0, 0, 0, 0, 2]);
+  assert.strictEqual(histogramData.numberOfObservations(), 6);
+});
+
+
+test('makeWithDataPoints leaves out values which are not numbers', function() {
+  var histogramData = HistogramData.makeWithDataPoints([2, NaN, Infinity, 3], binValues);
+  assert.strictEqual(histogramData.numberOfObservations(), 2);
+  assert.strictEqual(histogramData.mean(), 2.5);
+});
+
+
+dataSets.forEach(function(values) {
+  var histogramData = HistogramData.makeWithDataPoints(values, binValues);
+  var name = '[' + values.join(', ') + ']';
+
+  test('mean, SD and range match the raw data ' + name, function() {
+    assertClose(histogramData.mean(), StatisticsFunctions.mean(values), 1e-12);
+    assertClose(histogramData.standardDeviation(), StatisticsFunctions.standardDeviation(values), 1e-12);
+    assert.strictEqual(histogramData.range(), StatisticsFunctions.range(values));
+  });
+
+  test('median matches the raw data ' + name, function() {
+    assert.strictEqual(histogramData.median(), StatisticsFunctions.median(values));
+  });
+
+  test('quartiles, percentiles and IQR match the raw data ' + name, function() {
+    assertClose(histogramData.firstQuartile(), StatisticsFunctions.firstQuartile(values), 1e-12);
+    assertClose(histogramData.thirdQuartile(), StatisticsFunctions.thirdQuartile(values), 1e-12);
+    assertClose(histogramData.interquartileRange(), StatisticsFunctions.interquartileRange(values), 1e-12);
+    [0, 10, 37.5, 90, 100].forEach(function(percent) {
+      assertClose(histogramData.percentile(percent), StatisticsFunctions.percentile(values, percent), 1e-12);
+    });
+  });
+
+  test('other statistics match the raw data ' + name, function() {
+    assert.strictEqual(histogramData.mode(), StatisticsFunctions.mode(values));
+    assertClose(histogramData.trimmedMean(), StatisticsFunctions.trimmedMean(values), 1e-12);
+    assertClose(histogramData.trimmedMean(0.25), StatisticsFunctions.trimmedMean(values, 0.25), 1e-12);
+    assertClose(histogramData.meanAbsoluteDeviation(), StatisticsFunctions.meanAbsoluteDeviation(values), 1e-12);
+    assert.strictEqual(histogramData.medianAbsoluteDeviation(), StatisticsFunctions.medianAbsoluteDeviation(values));
+    var cv = StatisticsFunctions.coefficientOfVariation(values);
+    assertClose(histogramData.coefficientOfVariation(), cv, 1e-12);
+    var geometricMean = StatisticsFunctions.geometricMean(values);
+    if (isNaN(geometricMean)) {
+      assert.ok(isNaN(histogramData.geometricMean()));
+    }
+    else {
+      assertClose(histogramData.geometricMean(), geometricMean, 1e-12);
+    }
+    if (values.length > 1) {
+      assertClose(histogramData.varianceUnbiased(), StatisticsFunctions.varianceUnbiased(values), 1e-12);
+    }
+  });
+
+  test('getStatistics fills in every statistic ' + name, function() {
+    var stats = histogramData.getStatistics();
+    assertClose(stats.MAD, StatisticsFunctions.meanAbsoluteDeviation(values), 1e-12);
+    assert.strictEqual(stats.interquartileRange, histogramData.interquartileRange());
+    assert.strictEqual(stats.medianAbsoluteDeviation, histogramData.medianAbsoluteDeviation());
+  });
+
+  test('skew and kurtosis match the raw data ' + name, function() {
+    var mean = histogramData.mean();
+    var sd = histogramData.standardDeviation();
+    assertClose(histogramData.skew(mean, sd), rawSkew(values), 1e-12);
+    assertClose(histogramData.kurtosis(mean, sd), rawKurtosis(values), 1e-12);
+  });
+});
+
+
+test('recomputing the sums from the bins gives the same statistics', function() {
+  var histogramData = HistogramData.makeWithDataPoints(dataSets[0], binValues);
+  var recomputed = new HistogramData(binValues, histogramData.frequencies.slice());
+  assert.strictEqual(recomputed.sum, histogramData.sum);
+  assert.strictEqual(recomputed.sumOfSquares, histogramData.sumOfSquares);
+});
+
+
+test('makeByCombiningData matches binning the combined raw data', function() {
+  var first = [2, 4, 4, 9];
+  var second = [0, 4, 7];
+  var combined = HistogramData.makeByCombiningData(HistogramData.makeWithDataPoints(first, binValues),
+                                                   HistogramData.makeWithDataPoints(second, binValues));
+  var all = first.concat(second);
+  var expected = HistogramData.makeWithDataPoints(all, binValues);
+  assert.deepStrictEqual(combined.frequencies, expected.frequencies);
+  assertClose(combined.mean(), StatisticsFunctions.mean(all), 1e-12);
+  assertClose(combined.standardDeviation(), StatisticsFunctions.standardDeviation(all), 1e-12);
+  assert.strictEqual(combined.median(), StatisticsFunctions.median(all));
+});
+
+
+test('makeByCombiningData keeps the exact sums of unbinned data', function() {
+  var first = [2.2, 4.1];
+  var second = [0.3];
+  var combined = HistogramData.makeByCombiningData(HistogramData.makeWithDataPoints(first, binValues),
+                                                   HistogramData.makeWithDataPoints(second, binValues));
+  assertClose(combined.mean(), StatisticsFunctions.mean(first.concat(second)), 1e-12);
+});
+
+
+test('makeByCombiningData refuses histograms with different bins', function() {
+  var histogramData = HistogramData.makeEmpty(binValues);
+  assert.throws(function() {
+    HistogramData.makeByCombiningData(histogramData, HistogramData.makeEmpty(binValues.slice(1)));
+  });
+  assert.throws(function() {
+    HistogramData.makeByCombiningData(histogramData, HistogramData.makeEmpty(binValues.map(function(value) {
+      return value * 2;
+    })));
+  });
+});
+
+
+var edges = [0, 1, 2, 4, 8];
+var edgeValues = HistogramData.valuesForEdges(edges);
+
+
+test('bins of varying width are centered between their edges', function() {
+  assert.deepStrictEqual(edgeValues, [0.5, 1.5, 3, 6]);
+  assert.deepStrictEqual(HistogramData.edgesForValues(binValues.slice(0, 3)), [-0.5, 0.5, 1.5, 2.5]);
+});
+
+
+test('binIndexForDataPoint finds bins of varying width', function() {
+  assert.deepStrictEqual([-1, 0, 0.99, 1, 3.9, 4, 7.5, 8, 100].map(function(dataPoint) {
+    return HistogramData.binIndexForDataPoint(dataPoint, edgeValues, edges);
+  }), [0, 0, 0, 1, 2, 3, 3, 3, 3]);
+});
+
+
+test('widths and densities of bins of varying width', function() {
+  var histogramData = HistogramData.makeWithDataPoints([0.2, 2.5, 3, 5, 6, 7], edgeValues, edges);
+  assert.deepStrictEqual(histogramData.frequencies, [1, 0, 2, 3]);
+  assert.strictEqual(histogramData.binWidth(3), 4);
+  assert.strictEqual(histogramData.step(), 2);
+  assert.deepStrictEqual(histogramData.densities(), [1, 0, 1, 0.75]);
+  assert.strictEqual(histogramData.hasEqualWidths(), false);
+  assert.strictEqual(HistogramData.makeEmpty(binValues).hasEqualWidths(), true);
+  assert.strictEqual(histogramData.mean(), StatisticsFunctions.mean([0.2, 2.5, 3, 5, 6, 7]));
+});
+
+
+test('makeEmptyLike keeps the bin edges', function() {
+  var histogramData = HistogramData.makeEmptyLike(HistogramData.makeEmpty(edgeValues, edges));
+  assert.strictEqual(histogramData.edges, edges);
+  assert.strictEqual(histogramData.numberOfObservations(), 0);
+});
+
+
+test('rebin moves each bin into the new bin containing its value and keeps the sums', function() {
+  var histogramData = HistogramData.makeWithDataPoints(dataSets[0], binValues);
+  var rebinned = histogramData.rebin(edgeValues, edges);
+  assert.deepStrictEqual(rebinned.frequencies, [0, 0, 1, 7]);
+  assert.strictEqual(rebinned.mean(), histogramData.mean());
+  assert.strictEqual(rebinned.standardDeviation(), histogramData.standardDeviation());
+  var back = rebinned.rebin(binValues);
+  assert.deepStrictEqual(back.frequencies, [0, 0, 0, 1, 0, 0, 7, 0, 0, 0]);
+  assert.strictEqual(back.edges, undefined);
+});
+
+
+test('makeByCombiningData refuses histograms with different bin edges', function() {
+  assert.throws(function() {
+    HistogramData.makeByCombiningData(HistogramData.makeEmpty(edgeValues, edges),
+                                      HistogramData.makeEmpty(edgeValues, [0, 1, 2, 5, 7]));
+  });
+  var combined = HistogramData.makeByCombiningData(HistogramData.makeWithDataPoints([1], edgeValues, edges),
+                                                   HistogramData.makeWithDataPoints([5], edgeValues, edges));
+  assert.deepStrictEqual(combined.frequencies, [0, 1, 0, 1]);
+  assert.strictEqual(combined.edges, edges);
+});
+
+
+/**
+ * @param {Array<number>} frequencies The frequency of each of the ten bins.
+ * @return {HistogramData} A histogram of the bins 0 to 9.
+ */
+var makeWithFrequencies = function(frequencies) {
+  var histogramData = HistogramData.makeEmpty(binValues);
+  histogramData.frequencies = frequencies.slice();
+  histogramData.computeSums();
+  return histogramData;
+};
+
+
+test('smooth spreads a spike over its neighbours by binomial weights without losing it off the ends', function() {
+  var histogramData = makeWithFrequencies([0, 0, 0, 0, 40, 0, 0, 0, 0, 0]);
+  histogramData.smooth(1);
+  assert.deepStrictEqual(histogramData.frequencies, [0, 0, 0, 10, 20, 10, 0, 0, 0, 0]);
+  assert.strictEqual(histogramData.mean(), 4);
+  var edge = makeWithFrequencies([30, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  edge.smooth(1);
+  assert.deepStrictEqual(edge.frequencies, [20, 8, 0, 0, 0, 0, 0, 0, 0, 0]);
+  var flat = makeWithFrequencies([5, 5, 5, 5, 5, 5, 5, 5, 5, 5]);
+  flat.smooth(2);
+  assert.deepStrictEqual(flat.frequencies, [5, 5, 5, 5, 5, 5, 5, 5, 5, 5]);
+});
+
+
+test('symmetrize averages each bin with its mirror image and keeps the sums up to date', function() {
+  var histogramData = makeWithFrequencies([10, 0, 4, 0, 0, 0, 0, 0, 0, 2]);
+  histogramData.symmetrize();
+  assert.deepStrictEqual(histogramData.frequencies, [6, 0, 2, 0, 0, 0, 0, 2, 0, 6]);
+  assert.strictEqual(histogramData.mean(), 4.5);
+  assert.strictEqual(histogramData.skew(histogramData.mean(), histogramData.standardDeviation()), 0);
+});
+
+
+test('smooth and symmetrize follow the widths of unequal bins', function() {
+  var edges = [0, 1, 3, 4];
+  var even = new HistogramData(HistogramData.valuesForEdges(edges), [10, 20, 10], undefined, undefined, edges);
+  even.smooth(1);
+  assert.deepStrictEqual(even.frequencies, [10, 20, 10]);
+  var histogramData = new HistogramData(HistogramData.valuesForEdges(edges), [8, 4, 0], undefined, undefined, edges);
+  assert.strictEqual(histogramData.hasSymmetricBins(), true);
+  histogramData.symmetrize();
+  assert.deepStrictEqual(histogramData.frequencies, [4, 4, 4]);
+  assert.strictEqual(histogramData.mean(), 2);
+  var lopsidedEdges = [0, 1, 2, 4];
+  var lopsided = new HistogramData(HistogramData.valuesForEdges(lopsidedEdges), [8, 4, 0], undefined, undefined,
+                                   lopsidedEdges);
+  assert.strictEqual(lopsided.hasSymmetricBins(), false);
+  assert.throws(function() {
+    lopsided.symmetrize();
+  });
+  assert.deepStrictEqual(lopsided.frequencies, [8, 4, 0]);
+});
+
+
+test('scaleTo keeps the proportions and hits the total exactly', function() {
+  var histogramData = makeWithFrequencies([1, 1, 1, 0, 0, 0, 0, 0, 0, 0]);
+  histogramData.scaleTo(100);
+  assert.deepStrictEqual(histogramData.frequencies, [34, 33, 33, 0, 0, 0, 0, 0, 0, 0]);
+  assert.strictEqual(histogramData.numberOfObservations(), 100);
+  assert.strictEqual(histogramData.sum, 99);
+  histogramData.scaleTo(10);
+  assert.deepStrictEqual(histogramData.frequencies.slice(0, 3), [4, 3, 3]);
+  assert.throws(function() {
+    HistogramData.makeEmpty(binValues).scaleTo(10);
+  });
+});
+
+
+test('shift moves the frequencies along and drops those moved off the end', function() {
+  var histogramData = makeWithFrequencies([1, 2, 3, 0, 0, 0, 0, 0, 0, 4]);
+  histogramData.shift(2);
+  assert.deepStrictEqual(histogramData.frequencies, [0, 0, 1, 2, 3, 0, 0, 0, 0, 0]);
+  assert.strictEqual(histogramData.sum, 2 * 1 + 3 * 2 + 4 * 3);
+  histogramData.shift(-3);
+  assert.deepStrictEqual(histogramData.frequencies, [2, 3, 0, 0, 0, 0, 0, 0, 0, 0]);
+});
+
+
+test('clampNegatives sets negative frequencies to zero', function() {
+  var histogramData = makeWithFrequencies([3, -2, 1, 0, 0, 0, 0, 0, 0, -1]);
+  histogramData.clampNegatives();
+  assert.deepStrictEqual(histogramData.frequencies, [3, 0, 1, 0, 0, 0, 0, 0, 0, 0]);
+  assert.strictEqual(histogramData.sum, 2);
+});
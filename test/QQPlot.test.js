@@ -0,0 +1,80 @@
+"use strict";
+
+/**
+ * @overview Tests for the points and reference line of the normal Q-Q plot.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var Distributions = require('../js/Distributions.js');
+var HistogramData = require('../js/HistogramData.js');
+var QQPlot = require('../js/QQPlot.js');
+var StatisticsFunctions = require('../js/StatisticsFunctions.js');
+var assertClose = require('./assertions.js').assertClose;
+
+
+test('plotting positions are symmetric and inside (0, 1)', function() {
+  var positions = QQPlot.plottingPositions(4);
+  assert.deepStrictEqual(positions, [0.625 / 4.25, 1.625 / 4.25, 2.625 / 4.25, 3.625 / 4.25]);
+  positions.forEach(function(position, index) {
+    assertClose(position + positions[positions.length - 1 - index], 1, 1e-12);
+  });
+  assert.deepStrictEqual(QQPlot.plottingPositions(1), [0.5]);
+});
+
+
+test('pointsForValues pairs the sorted values with increasing normal quantiles', function() {
+  var plot = QQPlot.pointsForValues([3, -1, 2, 0, 1]);
+  assert.deepStrictEqual(plot.points.map(function(point) {
+    return point.observed;
+  }), [-1, 0, 1, 2, 3]);
+  assert.strictEqual(plot.points[2].theoretical, StatisticsFunctions.normalQuantile(0.5));
+  assertClose(plot.points[0].theoretical, -plot.points[4].theoretical, 1e-9);
+  assert.ok(plot.points[0].theoretical < plot.points[1].theoretical);
+});
+
+
+test('the reference line passes through the quartiles', function() {
+  var line = QQPlot.referenceLine(-1, 3);
+  var normalQuartile = StatisticsFunctions.normalQuantile(0.75);
+  assertClose(line.intercept - line.slope * normalQuartile, -1, 1e-12);
+  assertClose(line.intercept + line.slope * normalQuartile, 3, 1e-12);
+});
+
+
+test('a normal population lies along a line with slope near its SD', function() {
+  var parameters = Distributions.defaultParameters();
+  parameters.mean = 5;
+  parameters.sd = 2;
+  var population = Distributions.make('Normal', parameters);
+  var plot = QQPlot.pointsForHistogramData(population, 100);
+  assert.strictEqual(plot.points.length, 100);
+  // The quartiles of a histogram are only known to within a bin
+  assertClose(plot.line.intercept, 5, population.step());
+  assertClose(plot.line.slope, 2, population.step() / (2 * StatisticsFunctions.normalQuantile(0.75)));
+  // The population's tails are rounded to whole frequencies, so only the middle is checked
+  plot.points.filter(function(point) {
+    return Math.abs(point.theoretical) < 2;
+  }).forEach(function(point) {
+    assertClose(point.observed, 5 + 2 * point.theoretical, population.step());
+  });
+});
+
+
+test('a small histogram gives one point for each observation', function() {
+  var histogramData = HistogramData.makeWithDataPoints([1, 2, 2, 4], [0, 1, 2, 3, 4]);
+  var plot = QQPlot.pointsForHistogramData(histogramData, 100);
+  assert.deepStrictEqual(plot.points.map(function(point) {
+    return point.observed;
+  }), QQPlot.pointsForValues([1, 2, 2, 4]).points.map(function(point) {
+    return point.observed;
+  }));
+});
+
+
+test('a skewed population bends away from the line in its long tail', function() {
+  var population = Distributions.make('Skewed', Distributions.defaultParameters());
+  var plot = QQPlot.pointsForHistogramData(population, 100);
+  var last = plot.points[plot.points.length - 1];
+  assert.ok(last.observed > plot.line.intercept + plot.line.slope * last.theoretical + population.step());
+});
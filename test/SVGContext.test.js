@@ -0,0 +1,85 @@
+"use strict";
+
+/**
+ * @overview Tests for drawing on an SVG context instead of a canvas.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SVGContext = require('../js/SVGContext.js');
+
+
+test('lines are stroked as paths in the current style', function() {
+  var context = new SVGContext(100, 50);
+  context.strokeStyle = 'red';
+  context.lineWidth = 2;
+  context.beginPath();
+  context.moveTo(0.5, 10);
+  context.lineTo(99.5, 10.004);
+  context.stroke();
+  assert.deepStrictEqual(context.elements, ['<path d="M0.5 10L99.5 10" fill="none" stroke="red" stroke-width="2"/>']);
+});
+
+
+test('an empty path draws nothing', function() {
+  var context = new SVGContext(100, 50);
+  context.beginPath();
+  context.stroke();
+  context.fill();
+  assert.deepStrictEqual(context.elements, []);
+});
+
+
+test('rectangles and text keep their fill, font and alignment', function() {
+  var context = new SVGContext(100, 50);
+  context.fillStyle = 'rgb(64, 64, 64)';
+  context.fillRect(10, 20, 5, 30);
+  context.font = '9px Times New Roman';
+  context.textAlign = 'right';
+  context.fillText('a < b & c', 40, 12);
+  assert.deepStrictEqual(context.elements, [
+    '<rect x="10" y="20" width="5" height="30" fill="rgb(64, 64, 64)"/>',
+    '<text x="40" y="12" text-anchor="end" fill="rgb(64, 64, 64)" style="font: 9px Times New Roman">' +
+        'a &lt; b &amp; c</text>'
+  ]);
+});
+
+
+test('a whole circle is drawn as two half circles back to the start', function() {
+  var context = new SVGContext(100, 50);
+  context.beginPath();
+  context.arc(20, 20, 3, 0, 2 * Math.PI);
+  context.fill();
+  assert.deepStrictEqual(context.elements, ['<path d="M23 20A3 3 0 0 1 17 20A3 3 0 0 1 23 20" fill="black"/>']);
+});
+
+
+test('an arc of more than half a circle uses the large arc flag', function() {
+  var context = new SVGContext(100, 50);
+  context.beginPath();
+  context.arc(0, 0, 10, 0, 1.5 * Math.PI);
+  context.stroke();
+  assert.ok(context.elements[0].indexOf('A10 10 0 1 1 0 -10') >= 0, context.elements[0]);
+});
+
+
+test('restore brings back the saved style', function() {
+  var context = new SVGContext(100, 50);
+  context.fillStyle = 'blue';
+  context.save();
+  context.fillStyle = 'red';
+  context.textAlign = 'center';
+  context.restore();
+  assert.strictEqual(context.fillStyle, 'blue');
+  assert.strictEqual(context.textAlign, 'start');
+});
+
+
+test('the document is scaled by its size but keeps canvas coordinates', function() {
+  var context = new SVGContext(300, 150);
+  context.fillRect(0, 0, 300, 150);
+  var svg = context.toSVG(2);
+  assert.ok(svg.indexOf('width="600" height="300" viewBox="0 0 300 150"') >= 0, svg);
+  assert.ok(svg.indexOf('<rect x="0" y="0" width="300" height="150" fill="black"/>') >= 0, svg);
+  assert.ok(/<\/svg>\n$/.test(svg));
+});
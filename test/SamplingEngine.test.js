@@ -0,0 +1,201 @@
+"use strict";
+
+/**
+ * @overview Statistical tests that samples reproduce the proportions of the parent population.
+ * The generator is seeded, so the results are the same on every run.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var HistogramData = require('../js/HistogramData.js');
+var Random = require('../js/Random.js');
+var SamplingEngine = require('../js/SamplingEngine.js');
+var Distributions = require('../js/Distributions.js');
+var StatisticsFunctions = require('../js/StatisticsFunctions.js');
+
+var numberOfDraws = 20000;
+
+/**
+ * Draw many values and check that each bin's share is within 4 standard errors of its population proportion.
+ * The sampling model is 'discrete' unless another is given.
+ */
+var assertProportions = function(population, seed, samplingModel) {
+  var engine = new SamplingEngine(new Random(seed));
+  engine.samplingModel = samplingModel || 'discrete';
+  var sample = engine.sample(population, numberOfDraws);
+  var counts = HistogramData.makeWithDataPoints(sample, population.values, population.edges).frequencies;
+  var total = population.numberOfObservations();
+  for (var i = 0; i < population.numberOfBins(); i++) {
+    var proportion = population.frequencies[i] / total;
+    var standardError = Math.sqrt(proportion * (1 - proportion) / numberOfDraws);
+    var observed = counts[i] / numberOfDraws;
+    assert.ok(Math.abs(observed - proportion) <= 4 * standardError + 1e-12,
+              'Bin ' + population.values[i] + ': expected ' + proportion + ' but got ' + observed);
+  }
+};
+
+
+test('samples reproduce the proportions of a hand-drawn population', function() {
+  var values = Distributions.integerValues();
+  var frequencies = values.map(function(value) {
+    return value % 5 === 0 ? value + 3 : 0;
+  });
+  assertProportions(new HistogramData(values, frequencies), 1);
+});
+
+
+test('samples reproduce the proportions of a binomial population', function() {
+  assertProportions(Distributions.binomial(10, 0.3), 2);
+});
+
+
+test('samples reproduce the proportions of a skewed population', function() {
+  assertProportions(Distributions.skewed(2, 'Right'), 3);
+});
+
+
+test('samples never come from empty bins', function() {
+  var values = Distributions.integerValues();
+  var frequencies = values.map(function(value) {
+    return value === 0 || value === 32 ? 0 : 1;
+  });
+  var engine = new SamplingEngine(new Random(4));
+  var sample = engine.sample(new HistogramData(values, frequencies), numberOfDraws);
+  assert.ok(sample.indexOf(0) === -1, 'The first bin is empty');
+  assert.ok(sample.indexOf(32) === -1, 'The last bin is empty');
+});
+
+
+test('a population with a single value always gives that value', function() {
+  var values = Distributions.integerValues();
+  var frequencies = values.map(function(value) {
+    return value === 7 ? 1 : 0;
+  });
+  var engine = new SamplingEngine(new Random(5));
+  engine.sample(new HistogramData(values, frequencies), 100).forEach(function(value) {
+    assert.strictEqual(value, 7);
+  });
+});
+
+
+test('sample means are centered on the population mean with the expected spread', function() {
+  var population = Distributions.binomial(10, 0.3);
+  var engine = new SamplingEngine(new Random(6));
+  var sampleSize = 25;
+  var means = engine.sampleMany(population, sampleSize, 4000, StatisticsFunctions.mean);
+  var standardError = population.standardDeviation() / Math.sqrt(sampleSize);
+  assert.ok(Math.abs(StatisticsFunctions.mean(means) - population.mean()) < 4 * standardError / Math.sqrt(4000));
+  assert.ok(Math.abs(StatisticsFunctions.standardDeviation(means) / standardError - 1) < 0.05);
+});
+
+
+test('the same seed gives the same samples', function() {
+  var population = Distributions.normal(0, 1);
+  var first = new SamplingEngine(new Random(7));
+  var second = new SamplingEngine(new Random(7));
+  first.samplingModel = second.samplingModel = 'linear';
+  assert.deepStrictEqual(first.sample(population, 50), second.sample(population, 50));
+});
+
+
+test('the discrete model gives exact bin values', function() {
+  var population = Distributions.normal(0, 1);
+  var engine = new SamplingEngine(new Random(8));
+  engine.sample(population, 500).forEach(function(value) {
+    assert.ok(population.values.indexOf(value) !== -1, value);
+  });
+});
+
+
+test('continuous models keep values within their bin, with the bin proportions', function() {
+  var population = Distributions.normal(0, 1);
+  ['uniform', 'linear'].forEach(function(model) {
+    var engine = new SamplingEngine(new Random(8));
+    engine.samplingModel = model;
+    var halfStep = population.step() / 2;
+    engine.sample(population, 2000).forEach(function(value) {
+      var binValue = population.values[HistogramData.binIndexForDataPoint(value, population.values)];
+      assert.ok(Math.abs(value - binValue) <= halfStep + 1e-12);
+    });
+    assertProportions(population, 12, model);
+  });
+});
+
+
+test('continuous samples of a uniform population have its mean and variance', function() {
+  var engine = new SamplingEngine(new Random(13));
+  engine.samplingModel = 'uniform';
+  var sample = engine.sample(Distributions.uniform(0, 1), numberOfDraws);
+  var standardError = Math.sqrt(1 / 12 / numberOfDraws);
+  assert.ok(Math.abs(StatisticsFunctions.mean(sample) - 0.5) < 4 * standardError);
+  assert.ok(Math.abs(StatisticsFunctions.variance(sample) * 12 - 1) < 0.03);
+});
+
+
+test('linear slopes follow the neighbouring densities and never make the density negative', function() {
+  var population = new HistogramData([0, 1, 2, 3], [0, 10, 20, 1]);
+  assert.deepStrictEqual(SamplingEngine.linearSlopes(population), [0, 1, -0.225, -2]);
+  var flat = new HistogramData([0, 1, 2], [5, 5, 5]);
+  assert.deepStrictEqual(SamplingEngine.linearSlopes(flat), [0, 0, 0]);
+});
+
+
+test('positionWithSlope inverts the linear density across a bin', function() {
+  [0, 0.1, 0.5, 0.9].forEach(function(u) {
+    assert.strictEqual(SamplingEngine.positionWithSlope(0, u), u);
+    assert.ok(Math.abs(SamplingEngine.positionWithSlope(2, u) - Math.sqrt(u)) < 1e-12);
+    assert.ok(Math.abs(SamplingEngine.positionWithSlope(-2, u) - (1 - Math.sqrt(1 - u))) < 1e-12);
+    var slope = 0.7;
+    var t = SamplingEngine.positionWithSlope(slope, u);
+    assert.ok(Math.abs(t + slope * (t * t - t) / 2 - u) < 1e-12);
+  });
+});
+
+
+test('samples reproduce the proportions of a population with bins of varying width', function() {
+  var edges = [-3, -1, -0.5, 0, 0.5, 1, 3];
+  assertProportions(Distributions.normal(0, 1, edges), 10, 'linear');
+});
+
+
+test('continuous values stay within bins of varying width', function() {
+  var edges = [-3, -1, -0.5, 0, 0.5, 1, 3];
+  var population = Distributions.normal(0, 1, edges);
+  var engine = new SamplingEngine(new Random(11));
+  engine.samplingModel = 'linear';
+  engine.sample(population, 2000).forEach(function(value) {
+    var index = HistogramData.binIndexForDataPoint(value, population.values, edges);
+    assert.ok(value >= edges[index] && value <= edges[index + 1]);
+  });
+});
+
+
+test('sampling distributions of location statistics share the population bin edges', function() {
+  var population = Distributions.normal(0, 1, [-3, -1, -0.5, 0, 0.5, 1, 3]);
+  assert.deepStrictEqual(SamplingEngine.makeEmptyForStat(population, 'median', 5).edges, population.edges);
+  assert.strictEqual(SamplingEngine.makeEmptyForStat(population, 'variance', 5).edges, undefined);
+});
+
+
+test('the bins of a statistic depend only on its own inputs, not on the last population built', function() {
+  var parameters = Distributions.defaultParameters();
+  parameters.numberOfBins = 10;
+  var population = Distributions.make('Normal', parameters);
+  assert.strictEqual(population.numberOfBins(), 10);
+  parameters.numberOfBins = 50;
+  Distributions.make('Normal', parameters);
+  assert.strictEqual(SamplingEngine.binValuesForStat(population, 'variance', 5).length, 10);
+  assert.strictEqual(SamplingEngine.binValuesForStat(population, 'variance', 5, 20).length, 20);
+  assert.strictEqual(Distributions.binValuesForRange(0, 1).length, Distributions.defaultNumberOfBins);
+});
+
+
+test('resampling only draws values from the original sample', function() {
+  var engine = new SamplingEngine(new Random(9));
+  var values = [1.5, 2.5, 10];
+  var resample = engine.resample(values);
+  assert.strictEqual(resample.length, values.length);
+  resample.forEach(function(value) {
+    assert.ok(values.indexOf(value) !== -1);
+  });
+});
@@ -0,0 +1,128 @@
+"use strict";
+
+/**
+ * @overview Tests for running simulations a chunk at a time.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var HistogramData = require('../js/HistogramData.js');
+var Random = require('../js/Random.js');
+var SamplingEngine = require('../js/SamplingEngine.js');
+var SamplingWorker = require('../js/SamplingWorker.js');
+var StatisticsFunctions = require('../js/StatisticsFunctions.js');
+
+var population = new HistogramData([0, 1, 2, 3, 4], [1, 4, 6, 4, 1]);
+var statisticBins = SamplingEngine.binValuesForStat(population, 'mean', 5);
+
+/**
+ * @param {number} numberOfSamples The number of samples.
+ * @param {boolean} keepValues Send back every statistic.
+ * @return {Object} A request for the means of samples of 5 from the population.
+ */
+var makeRequest = function(numberOfSamples, keepValues) {
+  return {
+    population : { values : population.values, frequencies : population.frequencies },
+    samplingModel : 'discrete',
+    seed : 12345,
+    numberOfSamples : numberOfSamples,
+    keepValues : keepValues,
+    histograms : [{ statName : 'mean', sampleSize : 5, values : statisticBins }]
+  };
+};
+
+/**
+ * @param {Object} job The job to finish.
+ * @return {number} The number of chunks it took.
+ */
+var runToEnd = function(job) {
+  var chunks = 1;
+  while (!SamplingWorker.runChunk(job)) {
+    chunks++;
+  }
+  return chunks;
+};
+
+
+test('a simulation draws the same statistics as sampling all at once', function() {
+  var chunkSize = SamplingWorker.chunkSize;
+  SamplingWorker.chunkSize = 300;
+  var job = SamplingWorker.makeJob(makeRequest(1000, true));
+  var chunks = runToEnd(job);
+  SamplingWorker.chunkSize = chunkSize;
+  assert.strictEqual(chunks, 4);
+
+  var random = new Random(12345);
+  var engine = new SamplingEngine(random);
+  var expected = engine.sampleMany(population, 5, 1000, StatisticsFunctions.mean);
+  var result = SamplingWorker.result(job);
+  assert.deepStrictEqual(result.histograms[0].values, expected);
+  assert.deepStrictEqual(result.histograms[0].frequencies,
+                         HistogramData.makeWithDataPoints(expected, statisticBins).frequencies);
+  assert.strictEqual(result.randomState, random.state);
+});
+
+
+test('a simulation continues from the state of the generator', function() {
+  var random = new Random(12345);
+  var engine = new SamplingEngine(random);
+  engine.sampleMany(population, 5, 10, StatisticsFunctions.mean);
+  var expected = engine.sampleMany(population, 5, 10, StatisticsFunctions.mean);
+
+  var request = makeRequest(10, true);
+  var first = SamplingWorker.makeJob(request);
+  runToEnd(first);
+  request.randomState = SamplingWorker.result(first).randomState;
+  var second = SamplingWorker.makeJob(request);
+  runToEnd(second);
+  assert.deepStrictEqual(SamplingWorker.result(second).histograms[0].values, expected);
+});
+
+
+test('statistics are not kept unless asked for', function() {
+  var job = SamplingWorker.makeJob(makeRequest(100));
+  runToEnd(job);
+  var statistics = SamplingWorker.result(job).histograms[0];
+  assert.strictEqual(statistics.values, undefined);
+  assert.strictEqual(statistics.count, 100);
+  assert.ok(Math.abs(statistics.mean - 2) < 0.2);
+});
+
+
+test('a running simulation can be cancelled', function(context, done) {
+  var chunkSize = SamplingWorker.chunkSize;
+  SamplingWorker.chunkSize = 10;
+  var progress = [];
+  var job = SamplingWorker.run(makeRequest(100), function(proportion) {
+    progress.push(proportion);
+    if (progress.length === 2) {
+      job.cancelled = true;
+    }
+  }, function() {
+    assert.fail('a cancelled simulation finished');
+  });
+  setTimeout(function() {
+    SamplingWorker.chunkSize = chunkSize;
+    assert.deepStrictEqual(progress, [0.1, 0.2]);
+    done();
+  }, 50);
+});
+
+
+test('a failing simulation reports the error and stops', function(context, done) {
+  var errors = [];
+  var job = SamplingWorker.run(makeRequest(100), function() {
+    assert.fail('a failed simulation made progress');
+  }, function() {
+    assert.fail('a failed simulation finished');
+  }, function(message) {
+    errors.push(message);
+  });
+  job.engine.accumulateStatistics = function() {
+    throw 'Out of samples';
+  };
+  setTimeout(function() {
+    assert.deepStrictEqual(errors, ['Out of samples']);
+    done();
+  }, 50);
+});
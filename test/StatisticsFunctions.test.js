@@ -0,0 +1,151 @@
+"use strict";
+
+/**
+ * @overview Tests for StatisticsFunctions.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var StatisticsFunctions = require('../js/StatisticsFunctions.js');
+var assertClose = require('./assertions.js').assertClose;
+
+var data = [2, 4, 4, 4, 5, 5, 7, 9];
+
+
+test('mean', function() {
+  assert.strictEqual(StatisticsFunctions.mean(data), 5);
+  assert.strictEqual(StatisticsFunctions.mean([-3]), -3);
+});
+
+
+test('median of odd and even numbers of values, in any order', function() {
+  assert.strictEqual(StatisticsFunctions.median([9, 1, 5]), 5);
+  assert.strictEqual(StatisticsFunctions.median([7, 1, 3, 5]), 4);
+  assert.strictEqual(StatisticsFunctions.median(data), 4.5);
+});
+
+
+test('median does not reorder its argument', function() {
+  var values = [3, 1, 2];
+  StatisticsFunctions.median(values);
+  assert.deepStrictEqual(values, [3, 1, 2]);
+});
+
+
+test('variance and standard deviation divide by n', function() {
+  assert.strictEqual(StatisticsFunctions.variance(data), 4);
+  assert.strictEqual(StatisticsFunctions.standardDeviation(data), 2);
+});
+
+
+test('unbiased variance divides by n - 1', function() {
+  assertClose(StatisticsFunctions.varianceUnbiased(data), 32 / 7, 1e-12);
+});
+
+
+test('the spread of identical values is zero, not NaN', function() {
+  var values = [0.1, 0.1, 0.1];
+  assert.strictEqual(StatisticsFunctions.variance(values), 0);
+  assert.strictEqual(StatisticsFunctions.standardDeviation(values), 0);
+});
+
+
+test('range', function() {
+  assert.strictEqual(StatisticsFunctions.range(data), 7);
+  assert.strictEqual(StatisticsFunctions.range([5, -1, 3]), 6);
+  assert.strictEqual(StatisticsFunctions.range([5]), 0);
+});
+
+
+test('mean absolute deviation', function() {
+  assert.strictEqual(StatisticsFunctions.meanAbsoluteDeviation(data), 1.5);
+});
+
+
+test('functionByName finds every statistic', function() {
+  ['mean', 'median', 'standardDeviation', 'variance', 'varianceUnbiased', 'meanAbsoluteDeviation', 'range',
+   'firstQuartile', 'thirdQuartile', 'interquartileRange', 'mode', 'trimmedMean', 'geometricMean',
+   'coefficientOfVariation', 'medianAbsoluteDeviation', 'percentile5', 'percentile97.5']
+    .forEach(function(name) {
+      assert.strictEqual(typeof StatisticsFunctions.functionByName(name), 'function', name);
+    });
+  assert.strictEqual(StatisticsFunctions.functionByName('percentile101'), undefined);
+  assert.strictEqual(StatisticsFunctions.functionByName('percentile90')(data), 7.6);
+});
+
+
+test('quartiles, percentiles and IQR', function() {
+  assert.strictEqual(StatisticsFunctions.firstQuartile(data), 4);
+  assert.strictEqual(StatisticsFunctions.thirdQuartile(data), 5.5);
+  assert.strictEqual(StatisticsFunctions.interquartileRange(data), 1.5);
+  assert.strictEqual(StatisticsFunctions.percentile(data, 50), StatisticsFunctions.median(data));
+  assert.strictEqual(StatisticsFunctions.percentile(data, 100), 9);
+});
+
+
+test('mode picks the most frequent value, and the smallest when tied', function() {
+  assert.strictEqual(StatisticsFunctions.mode(data), 4);
+  assert.strictEqual(StatisticsFunctions.mode([3, 1, 3, 1, 2]), 1);
+});
+
+
+test('trimmed mean removes the same number of values from each end', function() {
+  assert.strictEqual(StatisticsFunctions.trimmedMean([1, 2, 3, 4, 5, 6, 7, 8, 9, 100]), 5.5);
+  assert.strictEqual(StatisticsFunctions.trimmedMean(data, 0.25), 4.5);
+  assert.strictEqual(StatisticsFunctions.trimmedMean(data, 0), StatisticsFunctions.mean(data));
+});
+
+
+test('geometric mean', function() {
+  assertClose(StatisticsFunctions.geometricMean([1, 10, 100]), 10, 1e-12);
+  assert.ok(isNaN(StatisticsFunctions.geometricMean([1, 0, 4])));
+});
+
+
+test('coefficient of variation', function() {
+  assert.strictEqual(StatisticsFunctions.coefficientOfVariation(data), 0.4);
+});
+
+
+test('median absolute deviation', function() {
+  assert.strictEqual(StatisticsFunctions.medianAbsoluteDeviation(data), 0.5);
+  assert.strictEqual(StatisticsFunctions.medianAbsoluteDeviation([1, 1, 2, 2, 4, 6, 9]), 1);
+});
+
+
+test('zprob matches the upper tail of the standard normal distribution', function() {
+  [[0, 0.5],
+   [1, 0.15865525393145707],
+   [1.96, 0.024997895148220435],
+   [-1, 0.8413447460685429],
+   [3, 0.0013498980316301],
+   [5, 2.866515718791939e-7]].forEach(function(pair) {
+    assertClose(StatisticsFunctions.zprob(pair[0]), pair[1], 1e-8);
+  });
+});
+
+
+test('zprob is 0 and 1 far in the tails', function() {
+  assert.strictEqual(StatisticsFunctions.zprob(8), 0);
+  assert.strictEqual(StatisticsFunctions.zprob(-8), 1);
+});
+
+
+test('normalQuantile inverts the normal distribution', function() {
+  [0.001, 0.025, 0.5, 0.9, 0.975].forEach(function(p) {
+    assertClose(1 - StatisticsFunctions.zprob(StatisticsFunctions.normalQuantile(p)), p, 1e-8);
+  });
+});
+
+
+test('tQuantile gives the familiar critical values', function() {
+  assertClose(StatisticsFunctions.tQuantile(0.975, 9), 2.262157, 1e-5);
+  assertClose(StatisticsFunctions.tQuantile(0.975, 1000), 1.962339, 1e-5);
+});
+
+
+test('quantile interpolates between order statistics', function() {
+  assert.strictEqual(StatisticsFunctions.quantile([1, 2, 3, 4], 0.5), 2.5);
+  assert.strictEqual(StatisticsFunctions.quantile([1, 2, 3, 4], 0), 1);
+  assert.strictEqual(StatisticsFunctions.quantile([1, 2, 3, 4], 1), 4);
+});
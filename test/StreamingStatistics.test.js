@@ -0,0 +1,70 @@
+"use strict";
+
+/**
+ * @overview Tests for statistics accumulated one value at a time.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var StatisticsFunctions = require('../js/StatisticsFunctions.js');
+var StreamingStatistics = require('../js/StreamingStatistics.js');
+
+var binValues = [1, 2, 3, 4, 5];
+var values = [2, 4, 4, 4, 5, 5, 1, 3];
+
+/**
+ * @param {Array<number>} values The values to add.
+ * @param {boolean} keepValues Keep the values as well.
+ * @return {StreamingStatistics} Statistics of the values, in bins 1 to 5.
+ */
+var accumulate = function(values, keepValues) {
+  var statistics = new StreamingStatistics(binValues, undefined, keepValues);
+  values.forEach(function(value) {
+    statistics.add(value);
+  });
+  return statistics;
+};
+
+
+test('the accumulated statistics match those of all the values at once', function() {
+  var statistics = accumulate(values);
+  assert.strictEqual(statistics.count, values.length);
+  assert.ok(Math.abs(statistics.mean - StatisticsFunctions.mean(values)) < 1e-12);
+  assert.ok(Math.abs(statistics.variance() - StatisticsFunctions.variance(values)) < 1e-12);
+  assert.ok(Math.abs(statistics.varianceUnbiased() - StatisticsFunctions.varianceUnbiased(values)) < 1e-12);
+  assert.ok(Math.abs(statistics.standardDeviation() - StatisticsFunctions.standardDeviation(values)) < 1e-12);
+  assert.strictEqual(statistics.minimum, 1);
+  assert.strictEqual(statistics.maximum, 5);
+  assert.deepStrictEqual(statistics.frequencies, [1, 1, 1, 3, 2]);
+  assert.strictEqual(statistics.values, undefined);
+});
+
+
+test('values which are not finite are left out', function() {
+  var statistics = accumulate([NaN, 2, Infinity, 4]);
+  assert.strictEqual(statistics.count, 2);
+  assert.strictEqual(statistics.mean, 3);
+  assert.deepStrictEqual(statistics.frequencies, [0, 1, 0, 1, 0]);
+});
+
+
+test('values are kept when asked for', function() {
+  assert.deepStrictEqual(accumulate(values, true).toObject().values, values);
+});
+
+
+test('the histogram of the values has their sums', function() {
+  var histogramData = accumulate(values).toHistogramData();
+  assert.deepStrictEqual(histogramData.frequencies, [1, 1, 1, 3, 2]);
+  assert.ok(Math.abs(histogramData.sum - 28) < 1e-9);
+  assert.ok(Math.abs(histogramData.sumOfSquares - 112) < 1e-9);
+});
+
+
+test('a new accumulator has no values', function() {
+  var statistics = new StreamingStatistics(binValues);
+  assert.strictEqual(statistics.count, 0);
+  assert.strictEqual(statistics.variance(), 0);
+  assert.strictEqual(statistics.sum(), 0);
+  assert.deepStrictEqual(statistics.frequencies, [0, 0, 0, 0, 0]);
+});
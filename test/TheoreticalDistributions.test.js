@@ -0,0 +1,174 @@
+"use strict";
+
+/**
+ * @overview Tests that the theoretical distributions drawn over the histograms match the populations and
+ * simulated sampling distributions.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var Distributions = require('../js/Distributions.js');
+var HistogramData = require('../js/HistogramData.js');
+var Random = require('../js/Random.js');
+var SamplingEngine = require('../js/SamplingEngine.js');
+var StatisticsFunctions = require('../js/StatisticsFunctions.js');
+var TheoreticalDistributions = require('../js/TheoreticalDistributions.js');
+var assertClose = require('./assertions.js').assertClose;
+
+/**
+ * Integrate a density by the midpoint rule.
+ */
+var integrate = function(density, from, to, steps) {
+  var width = (to - from) / steps;
+  var total = 0;
+  for (var i = 0; i < steps; i++) {
+    total += density(from + (i + 0.5) * width) * width;
+  }
+  return total;
+};
+
+/**
+ * The probability of each bin of a population under a continuous distribution.
+ */
+var continuousBinProbabilities = function(distribution, population) {
+  var edges = population.binEdges();
+  return population.values.map(function(value, index) {
+    return integrate(distribution.density, edges[index], edges[index + 1], 200);
+  });
+};
+
+/**
+ * Check that the population frequencies are the predicted proportions of the population size.
+ */
+var assertMatchesPopulation = function(probabilities, population) {
+  probabilities.forEach(function(probability, index) {
+    assertClose(population.frequencies[index], probability * Distributions.populationSize, 0.5 + 1e-6);
+  });
+};
+
+
+test('gamma density integrates to one and has the right mean', function() {
+  var density = function(x) {
+    return StatisticsFunctions.gammaDensity(x, 3, 2);
+  };
+  assertClose(integrate(density, 0, 100, 20000), 1, 1e-6);
+  assertClose(integrate(function(x) {
+    return x * density(x);
+  }, 0, 100, 20000), 6, 1e-6);
+  assert.strictEqual(StatisticsFunctions.gammaDensity(-1, 3, 2), 0);
+  assert.strictEqual(StatisticsFunctions.gammaDensity(0, 1, 2), 0.5);
+});
+
+
+test('continuous populations match their densities', function() {
+  var parameters = Distributions.defaultParameters();
+  parameters.mean = 3;
+  parameters.sd = 2;
+  parameters.min = -1;
+  parameters.max = 4;
+  ['Normal', 'Uniform', 'Skewed'].forEach(function(name) {
+    ['Right', 'Left'].forEach(function(direction) {
+      parameters.skew = direction;
+      var population = Distributions.make(name, parameters);
+      var distribution = TheoreticalDistributions.forPopulation(name, parameters, population);
+      assertMatchesPopulation(continuousBinProbabilities(distribution, population), population);
+    });
+  });
+});
+
+
+test('discrete populations match their probabilities, also with bins of varying width', function() {
+  var parameters = Distributions.defaultParameters();
+  parameters.n = 20;
+  parameters.p = 0.3;
+  parameters.lambda = 4;
+  ['Binomial', 'Poisson'].forEach(function(name) {
+    [undefined, [-0.5, 2.5, 4.5, 5.5, 9.5, 20.5]].forEach(function(edges) {
+      parameters.binEdges = edges;
+      var population = Distributions.make(name, parameters);
+      var distribution = TheoreticalDistributions.forPopulation(name, parameters, population);
+      assertMatchesPopulation(TheoreticalDistributions.binProbabilities(distribution, population), population);
+    });
+  });
+});
+
+
+test('bin probabilities only look at the whole numbers within the bins', function() {
+  var calls = 0;
+  var distribution = {
+    name : 'Wide',
+    min : 0,
+    max : 1e9,
+    probability : function() {
+      calls++;
+      return 1e-6;
+    }
+  };
+  var histogramData = HistogramData.makeEmpty([500, 510, 520], [495, 505, 515, 525]);
+  var probabilities = TheoreticalDistributions.binProbabilities(distribution, histogramData);
+  assert.strictEqual(calls, 30);
+  probabilities.forEach(function(probability) {
+    assertClose(probability, 1e-5, 1e-12);
+  });
+});
+
+
+test('custom and imported populations have no theoretical distribution', function() {
+  var parameters = Distributions.defaultParameters();
+  var population = Distributions.make('Custom', parameters);
+  assert.strictEqual(TheoreticalDistributions.forPopulation('Custom', parameters, population), undefined);
+  assert.strictEqual(TheoreticalDistributions.forPopulation('Imported', parameters, population), undefined);
+});
+
+
+test('predicted sampling distributions have the mean and spread of the simulated ones', function() {
+  var parameters = Distributions.defaultParameters();
+  parameters.mean = 10;
+  parameters.sd = 2;
+  var population = Distributions.make('Normal', parameters);
+  var engine = new SamplingEngine(new Random(42));
+  engine.samplingModel = 'linear';
+  var sampleSize = 6;
+  var expected = {
+    mean : [10, 2 / Math.sqrt(6)],
+    variance : [4 * 5 / 6, 4 * 5 / 6 * Math.sqrt(2 / 5)],
+    varianceUnbiased : [4, 4 * Math.sqrt(2 / 5)]
+  };
+  ['mean', 'variance', 'varianceUnbiased', 'standardDeviation'].forEach(function(statName) {
+    var distribution = TheoreticalDistributions.forStatistic(statName, population, sampleSize);
+    var top = 40;
+    assertClose(integrate(distribution.density, 0, top, 20000), 1, 1e-4);
+    var predictedMean = integrate(function(x) {
+      return x * distribution.density(x);
+    }, 0, top, 20000);
+    var predictedVariance = integrate(function(x) {
+      return (x - predictedMean) * (x - predictedMean) * distribution.density(x);
+    }, 0, top, 20000);
+    if (expected[statName]) {
+      assertClose(predictedMean, expected[statName][0], 0.02 * expected[statName][0]);
+      assertClose(Math.sqrt(predictedVariance), expected[statName][1], 0.02 * expected[statName][1]);
+    }
+    var results = engine.sampleMany(population, sampleSize, 4000, StatisticsFunctions.functionByName(statName));
+    var simulatedSD = StatisticsFunctions.standardDeviation(results);
+    assertClose(StatisticsFunctions.mean(results), predictedMean, 4 * simulatedSD / Math.sqrt(results.length));
+    assertClose(simulatedSD, Math.sqrt(predictedVariance), 0.05 * simulatedSD);
+  });
+});
+
+
+test('statistics without a prediction, and populations without spread, have no sampling distribution', function() {
+  var population = HistogramData.makeWithDataPoints([1, 2, 2, 3], [0, 1, 2, 3, 4]);
+  assert.strictEqual(TheoreticalDistributions.forStatistic('median', population, 5), undefined);
+  assert.strictEqual(TheoreticalDistributions.forStatistic('variance', population, 1), undefined);
+  assert.ok(TheoreticalDistributions.forStatistic('mean', population, 1));
+  var constant = HistogramData.makeWithDataPoints([2, 2], [0, 1, 2, 3, 4]);
+  assert.strictEqual(TheoreticalDistributions.forStatistic('mean', constant, 5), undefined);
+});
+
+
+test('distribution names show their parameters', function() {
+  var population = HistogramData.makeWithDataPoints([1, 3], [0, 1, 2, 3, 4]);
+  assert.strictEqual(TheoreticalDistributions.forStatistic('mean', population, 4).name, 'Normal(2, 0.5)');
+  assert.strictEqual(TheoreticalDistributions.forStatistic('varianceUnbiased', population, 5).name, '0.25 × χ²(4)');
+  assert.strictEqual(TheoreticalDistributions.binomial(8, 1 / 3).name, 'Binomial(8, 0.333)');
+});
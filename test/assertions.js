@@ -0,0 +1,24 @@
+"use strict";
+
+/**
+ * @overview Assertions shared by the tests.
+ */
+
+var assert = require('node:assert');
+
+
+/**
+ * Check that a number is within a tolerance of the expected value.
+ * @param {number} actual The number found.
+ * @param {number} expected The number wanted.
+ * @param {number} tolerance The largest acceptable difference.
+ */
+var assertClose = function(actual, expected, tolerance) {
+  assert.ok(Math.abs(actual - expected) <= tolerance,
+            'Expected ' + expected + ' but got ' + actual + ' (tolerance ' + tolerance + ')');
+};
+
+
+module.exports = {
+  assertClose : assertClose
+};